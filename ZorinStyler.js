@@ -210,6 +210,45 @@ export const ZorinStyler = GObject.registerClass(
             }
         }
 
+        /**
+         * Read panel position and size from Zorin Taskbar
+         * Prefers per-monitor JSON keys (panel-positions / panel-sizes), falls back to legacy single-value keys
+         * @param {number} monitorIndex - Monitor whose panel geometry is requested (usually primary)
+         * @returns {Object|null} {position: "TOP"|"BOTTOM"|"LEFT"|"RIGHT", size} or null if unavailable
+         */
+        getPanelGeometry(monitorIndex = 0) {
+            if (!this._isConnected) return null;
+
+            const schema = this._zorinSettings.settings_schema;
+            const readPerMonitor = key => {
+                if (!schema.has_key(key)) return undefined;
+                try {
+                    const values = JSON.parse(this._zorinSettings.get_string(key));
+                    return values[monitorIndex] ?? Object.values(values)[0];
+                } catch (e) {
+                    this._logger.debug(`Cannot parse Zorin Taskbar ${key}: ${e.message}`);
+                    return undefined;
+                }
+            };
+
+            let position = readPerMonitor("panel-positions");
+            let size = readPerMonitor("panel-sizes");
+
+            if (position === undefined && schema.has_key("panel-position")) {
+                position = this._zorinSettings.get_string("panel-position");
+            }
+            if (size === undefined && schema.has_key("panel-size")) {
+                size = this._zorinSettings.get_int("panel-size");
+            }
+
+            if (!["TOP", "BOTTOM", "LEFT", "RIGHT"].includes(position) || !(size > 0)) {
+                this._logger.debug(`Zorin Taskbar panel geometry unavailable (position: ${position}, size: ${size})`);
+                return null;
+            }
+
+            return { position, size };
+        }
+
         /**
          * Destroys the ZorinStyler instance
          */
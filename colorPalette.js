@@ -2,7 +2,7 @@
  * colorPalette.js
  *
  * CSS Gnommé Extension Module - GNOME 46+
- * Wallpaper color extraction using K-means clustering
+ * Wallpaper color extraction using K-means++ clustering (OKLab)
  */
 
 import GLib from "gi://GLib";
@@ -12,6 +12,14 @@ import System from "system";
 
 import { Constants } from "./constants.js";
 import { ThemeUtils } from "./themeUtils.js";
+import { WallpaperSlideshow } from "./wallpaperSlideshow.js";
+
+// Promise wrappers for async GIO/GdkPixbuf loaders (wallpaper decoding runs off the main thread)
+Gio._promisify(Gio.File.prototype, "read_async", "read_finish");
+Gio._promisify(Gio.File.prototype, "query_info_async", "query_info_finish");
+Gio._promisify(Gio.InputStream.prototype, "read_bytes_async", "read_bytes_finish");
+Gio._promisify(Gio.InputStream.prototype, "close_async", "close_finish");
+Gio._promisify(GdkPixbuf.Pixbuf, "new_from_stream_at_scale_async", "new_from_stream_finish");
 
 /* colorPalette.js
  *
@@ -39,22 +47,55 @@ export class ColorPalette {
         // Settings singleton caches (prevent duplicate instances)
         this._backgroundSettings = null;
 
-        // Initialize cache for palette results
+        // Initialize cache for palette results (keyed by content fingerprint + mode)
         this.cache = new Map();
+
+        // Cache bookkeeping: fingerprint → {wallpaperUri, lastUsed, analysisTimestamp}
+        this._cacheMetadata = new Map();
+
+        // Last known file state: uri → {size, mtime, fingerprint} (skips re-hashing unchanged files)
+        this._fileFingerprints = new Map();
+
+        // Panel-region palettes (keyed by palette key + panel geometry, not persisted)
+        this._panelCache = new Map();
+
+        // Parsed background XML slideshows (uri → {slideshow: WallpaperSlideshow, size, mtime} of the XML file)
+        this._slideshows = new Map();
+
+        // Wallpaper monitoring (setupBackgroundMonitoring): signal ids and the extraction in flight
+        this._monitorIds = [];
+        this._backgroundChangeCancellable = null;
         this.maxCacheSize = Constants.CACHE_LIMITS.colorPalette || 10;
 
         // Persistent cache configuration
         this._cachePath = `${GLib.get_user_cache_dir()}/cssgnomme/${Constants.CACHE_PERSISTENCE.cacheFileName}`;
         this._cacheSaveTimer = null;
+        this._cacheDirty = false; // In-memory cache has changes not yet on disk
+
+        // Cross-process cache sync (extension ↔ preferences share the cache file)
+        this._cacheEtag = null; // Etag of cache file as last read/written by this instance
+        this._lastCacheSaveTime = null; // ISO timestamp of our last successful save
+        this._cacheMonitor = null;
+        this._cacheMonitorId = null;
+        this._cacheSyncTimer = null;
 
         // MEMORY LEAK FIX: Track pending GC timers for cleanup
         this._pendingGcTimers = new Set();
 
+        // MEMORY LEAK FIX: Track idle sources of chunked analysis (sourceId → reject)
+        this._pendingIdleSources = new Map();
+
         this._logger.debug("ColorPalette initialized with timer tracking");
 
-        // Load persistent cache from disk (if exists)
+        // Load persistent cache from disk once enable() has returned - migration and the file checks
+        // touch every cached wallpaper. Anything reading the cache earlier loads it on the spot
+        this._cacheLoadSourceId = null;
         if (Constants.CACHE_PERSISTENCE.enabled) {
-            this._loadPersistentCache();
+            this._cacheLoadSourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                this._cacheLoadSourceId = null;
+                this._loadPersistentCache();
+                return GLib.SOURCE_REMOVE;
+            });
         }
     }
 
@@ -128,7 +169,7 @@ export class ColorPalette {
             // If overlay is active, check the source theme from extension settings
             let gtkTheme = this._interfaceSettings.get_string("gtk-theme");
 
-            if (gtkTheme === "CSSGnomme" && extensionSettings) {
+            if (ThemeUtils.isOverlayThemeName(gtkTheme) && extensionSettings) {
                 try {
                     gtkTheme = extensionSettings.get_string("overlay-source-theme");
                     this._logger.info(`Checking overlay source theme for fallback: ${gtkTheme}`);
@@ -157,15 +198,67 @@ export class ColorPalette {
     // ===== IMAGE COLOR EXTRACTION =====
 
     /**
-     * Extract dominant colors from image file
-     * MEMORY LEAK FIX: Uses new_from_stream_at_scale for efficient memory management
+     * Extract dominant colors from image file (asynchronous, cancellable)
+     * Convenience wrapper around extractPalettes() for callers that only need the full-image palette
      * @param {string} pictureUri - URI to image file
      * @param {number} maxColors - Maximum colors to extract
      * @param {boolean} preferLight - If true, prefer light colors; if false, prefer dark colors. If null, uses system color-scheme.
      * @param {boolean} forceExtraction - If true, bypass cache and force re-extraction
-     * @returns {Array} Array of RGB color arrays
+     * @param {Gio.Cancellable} cancellable - Optional cancellable to abort in-flight extraction
+     * @returns {Promise<Array>} Weighted palette ({rgb, weight} entries), or default [r, g, b] palette on failure
+     * @throws {GLib.Error} Gio.IOErrorEnum.CANCELLED if cancelled (nothing is cached in that case)
+     */
+    async extractColorsFromImage(
+        pictureUri,
+        maxColors = 8,
+        preferLight = null,
+        forceExtraction = false,
+        cancellable = null
+    ) {
+        const { palette } = await this.extractPalettes(
+            pictureUri,
+            maxColors,
+            preferLight,
+            forceExtraction,
+            cancellable
+        );
+        return palette;
+    }
+
+    /**
+     * Extract full-image palette and (optionally) panel-region palette from image file
+     * MEMORY LEAK FIX: Uses new_from_stream_at_scale for efficient memory management
+     * File reading and decoding run on GIO worker threads; pixel analysis is split into
+     * chunks that yield to the main loop so large wallpapers don't stall the compositor.
+     * Both palettes are computed from a single decode of the image.
+     * @param {string} pictureUri - URI to image file
+     * @param {number} maxColors - Maximum colors to extract (full image)
+     * @param {boolean} preferLight - If true, prefer light colors; if false, prefer dark colors. If null, uses system color-scheme.
+     * @param {boolean} forceExtraction - If true, bypass cache and force re-extraction
+     * @param {Gio.Cancellable} cancellable - Optional cancellable to abort in-flight extraction
+     * @param {Object} panelRegion - Optional panel geometry (see _resolvePanelRect) for the strip behind the panel
+     * @returns {Promise<Object>} {palette, panelPalette, fingerprint} - panelPalette is null without region or if strip
+     *   had no usable pixels; fingerprint is null when the default palette was returned
+     * @throws {GLib.Error} Gio.IOErrorEnum.CANCELLED if cancelled (nothing is cached in that case)
      */
-    extractColorsFromImage(pictureUri, maxColors = 8, preferLight = null, forceExtraction = false) {
+    async extractPalettes(
+        pictureUri,
+        maxColors = 8,
+        preferLight = null,
+        forceExtraction = false,
+        cancellable = null,
+        panelRegion = null
+    ) {
+        // Background XML (slideshow) - analyze the image currently on screen
+        if (WallpaperSlideshow.isSlideshowUri(pictureUri)) {
+            const frame = await this.getSlideshowFrame(pictureUri, cancellable);
+            if (!frame) {
+                return { palette: this.getDefaultPalette(), panelPalette: null, fingerprint: null };
+            }
+            const imageUri = frame.type === "static" ? frame.uri : frame.progress < 0.5 ? frame.from : frame.to;
+            return this.extractPalettes(imageUri, maxColors, preferLight, forceExtraction, cancellable, panelRegion);
+        }
+
         let pixbuf = null;
         let pictureFile = null;
         let inputStream = null;
@@ -180,43 +273,71 @@ export class ColorPalette {
                 preferLight = !this.shouldPreferDarkColors(this._extensionSettings);
             }
 
-            // Create cache key with theme preference
-            const cacheKey = `${pictureUri}:${preferLight ? "light" : "dark"}`;
+            this._ensurePersistentCacheLoaded();
+
+            // Content fingerprint identifies the image itself - overwriting the same path yields a new key
+            let fingerprint;
+            try {
+                fingerprint = await this._getFingerprint(pictureUri, cancellable);
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    this._logger.info(`Image file does not exist: ${pictureUri}`);
+                    return { palette: this.getDefaultPalette(), panelPalette: null, fingerprint: null };
+                }
+                throw e;
+            }
+
+            // Create cache keys with theme preference (panel key also depends on panel geometry)
+            const cacheKey = `${fingerprint}:${preferLight ? "light" : "dark"}`;
+            const panelCacheKey = panelRegion ? `${cacheKey}:${this._getPanelRegionKey(panelRegion)}` : null;
 
             // Check cache first (unless force extraction requested)
-            if (!forceExtraction && this.cache.has(cacheKey)) {
+            const hasFull = this.cache.has(cacheKey);
+            const hasPanel = !panelCacheKey || this._panelCache.has(panelCacheKey);
+            if (!forceExtraction && hasFull && hasPanel) {
                 this._logger.info(`📦 Cache HIT - reusing palette (cache size: ${this.cache.size})`);
-                return this.cache.get(cacheKey);
+                this._touchCacheEntry(fingerprint, pictureUri);
+                // lastUsed alone is not worth a write - it goes out with the next save or on disable
+                this._cacheDirty = true;
+                return {
+                    palette: this.cache.get(cacheKey),
+                    panelPalette: panelCacheKey ? this._panelCache.get(panelCacheKey) : null,
+                    fingerprint
+                };
             }
 
             // Log cache bypass reason
-            if (forceExtraction && this.cache.has(cacheKey)) {
+            if (forceExtraction && hasFull) {
                 this._logger.info(`🔄 Force extraction - bypassing cache (cache size: ${this.cache.size})`);
             }
 
             pictureFile = Gio.File.new_for_uri(pictureUri);
 
-            if (!pictureFile.query_exists(null)) {
-                this._logger.info(`Image file does not exist: ${pictureUri}`);
-                return this.getDefaultPalette();
+            try {
+                inputStream = await pictureFile.read_async(GLib.PRIORITY_DEFAULT, cancellable);
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    this._logger.info(`Image file does not exist: ${pictureUri}`);
+                    return { palette: this.getDefaultPalette(), panelPalette: null, fingerprint: null };
+                }
+                throw e;
             }
 
             // MEMORY LEAK FIX: Use new_from_stream_at_scale instead of new_from_file
             // This loads and scales the image in ONE operation, using 5-10x less memory
-            inputStream = pictureFile.read(null);
             const MAX_DIMENSION = Constants.COLOR_ANALYSIS_MAX_DIMENSION;
 
-            pixbuf = GdkPixbuf.Pixbuf.new_from_stream_at_scale(
+            pixbuf = await GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(
                 inputStream, // Input stream
                 MAX_DIMENSION, // Max width (-1 for preserve aspect)
                 MAX_DIMENSION, // Max height (-1 for preserve aspect)
                 true, // Preserve aspect ratio
-                null // Cancellable (null = no cancellation)
+                cancellable // Cancellable (aborts decoding on newer wallpaper change)
             );
 
             if (!pixbuf) {
                 this._logger.info(`Failed to load scaled image: ${pictureUri}`);
-                return this.getDefaultPalette();
+                return { palette: this.getDefaultPalette(), panelPalette: null, fingerprint: null };
             }
 
             const pixbufSize = (pixbuf.get_width() * pixbuf.get_height() * pixbuf.get_n_channels()) / (1024 * 1024);
@@ -230,7 +351,7 @@ export class ColorPalette {
             // Pixbuf is already loaded into memory, stream is no longer needed
             if (inputStream) {
                 try {
-                    inputStream.close(null);
+                    await inputStream.close_async(GLib.PRIORITY_DEFAULT, null);
                     this._logger.debug(`Closed input stream after pixbuf loading`);
                 } catch (e) {
                     this._logger.debug(`Error closing input stream: ${e.message}`);
@@ -238,24 +359,49 @@ export class ColorPalette {
                 inputStream = null; // Mark as closed for finally block
             }
 
-            // analyzePixbuf will dispose the pixbuf internally
-            const palette = this.analyzePixbuf(pixbuf, maxColors, preferLight);
-            pixbuf = null; // Mark as disposed by analyzePixbuf
+            // Full-image palette (reuse cached one if only the panel palette is missing)
+            let palette;
+            if (!forceExtraction && hasFull) {
+                palette = this.cache.get(cacheKey);
+            } else {
+                palette = await this.analyzePixbuf(pixbuf, maxColors, preferLight, cancellable);
+
+                // Cache the result with theme-specific key
+                this.cache.set(cacheKey, palette);
+                this._touchCacheEntry(fingerprint, pictureUri, true);
+                this._evictCacheOverflow();
 
-            // Cache the result with theme-specific key
-            this.cache.set(cacheKey, palette);
-            if (this.cache.size > this.maxCacheSize) {
-                const firstKey = this.cache.keys().next().value;
-                this.cache.delete(firstKey);
-                this._logger.debug(`♻️  Evicted oldest cache entry (size: ${this.cache.size}/${this.maxCacheSize})`);
+                // Schedule persistent cache save (debounced to prevent excessive disk I/O)
+                this._schedulePersistentCacheSave();
             }
 
-            // Schedule persistent cache save (debounced to prevent excessive disk I/O)
-            this._schedulePersistentCacheSave();
+            // Panel-region palette from the strip behind the panel
+            let panelPalette = null;
+            if (panelRegion) {
+                const rect = this._resolvePanelRect(pixbuf.get_width(), pixbuf.get_height(), panelRegion);
+                if (rect) {
+                    const regional = await this.analyzePixbuf(
+                        pixbuf,
+                        Constants.PANEL_REGION_SAMPLING.maxColors,
+                        preferLight,
+                        cancellable,
+                        rect
+                    );
+                    panelPalette = regional.length > 0 ? regional : null;
+                }
+
+                // In-memory only: geometry-dependent, cheap to recompute from cached wallpaper decode
+                this._panelCache.set(panelCacheKey, panelPalette);
+                if (this._panelCache.size > this.maxCacheSize) {
+                    this._panelCache.delete(this._panelCache.keys().next().value);
+                }
+            }
 
             // MEMORY LEAK FIX: Force GC after pixbuf disposal to clean native memory
             // GdkPixbuf allocates uncompressed RGB data (even scaled 800x600 = ~2MB)
             // JavaScript GC doesn't clean native memory immediately without explicit trigger
+            this._disposePixbuf(pixbuf);
+            pixbuf = null;
             try {
                 System.gc(); // Force garbage collection of native objects
 
@@ -279,26 +425,28 @@ export class ColorPalette {
                 this._logger.error(`⚠️  GC ERROR: ${e.message} - Memory leak will occur!`);
             }
 
-            this._logger.info(`Extracted ${palette.length} ${preferLight ? "light" : "dark"} colors from image`);
-            return palette;
+            this._logger.info(
+                `Extracted ${palette.length} ${preferLight ? "light" : "dark"} colors from image${
+                    panelRegion ? `, ${panelPalette ? panelPalette.length : 0} from panel region` : ""
+                }`
+            );
+            return { palette, panelPalette, fingerprint };
         } catch (e) {
-            this._logger.info(`Error extracting colors: ${e.message}`);
+            // Cancellation is not a failure - propagate so caller can drop the stale result
+            if (ColorPalette.isCancelledError(e)) {
+                this._logger.debug(`Extraction cancelled: ${this._getWallpaperName(pictureUri)}`);
+                throw e;
+            }
 
-            // Cleanup on error if pixbuf wasn't disposed yet
+            this._logger.info(`Error extracting colors: ${e.message}`);
+            return { palette: this.getDefaultPalette(), panelPalette: null, fingerprint: null };
+        } finally {
+            // Cleanup on error/cancel if pixbuf wasn't disposed yet
             if (pixbuf) {
-                try {
-                    // GNOME Review Guidelines: run_dispose() necessary for GdkPixbuf objects
-                    // after image loading to immediately free image data from memory (can be 10s of MB)
-                    // GdkPixbuf doesn't automatically free image buffer on JS nullification
-                    pixbuf.run_dispose();
-                    this._logger.debug(`Disposed pixbuf on error path`);
-                } catch (disposeError) {
-                    this._logger.debug(`Error disposing pixbuf on error: ${disposeError.message}`);
-                }
+                this._disposePixbuf(pixbuf);
+                pixbuf = null;
             }
 
-            return this.getDefaultPalette();
-        } finally {
             // Final cleanup for input stream and file reference
             // Note: inputStream should already be closed in try block, this is safety cleanup
             if (inputStream) {
@@ -323,161 +471,616 @@ export class ColorPalette {
                 }
                 pictureFile = null;
             }
+        }
+    }
 
-            // Ensure pixbuf is disposed (should already be done in analyzePixbuf)
-            pixbuf = null;
+    /**
+     * Dispose pixbuf image data
+     * @param {GdkPixbuf.Pixbuf} pixbuf - Pixbuf to dispose
+     * @private
+     */
+    _disposePixbuf(pixbuf) {
+        try {
+            // GNOME Review Guidelines: run_dispose() necessary for GdkPixbuf objects
+            // after image loading to immediately free image data from memory (can be 10s of MB)
+            // GdkPixbuf doesn't automatically free image buffer on JS nullification
+            pixbuf.run_dispose();
+            this._logger.debug(`Disposed pixbuf (${pixbuf.get_width()}x${pixbuf.get_height()})`);
+        } catch (e) {
+            this._logger.debug(`Error disposing pixbuf: ${e.message}`);
         }
     }
 
     /**
-     * Analyze pixbuf to extract dominant colors
-     * MEMORY LEAK FIX: Dispose pixbuf after analysis to prevent accumulation
+     * Analyze pixbuf (or a rectangle of it) to extract dominant colors
+     * The caller keeps ownership of the pixbuf; only an internally resized copy is disposed here
      * @param {GdkPixbuf.Pixbuf} pixbuf - Image pixbuf to analyze
      * @param {number} maxColors - Maximum number of colors to extract
      * @param {boolean} preferLight - If true, extract light colors; if false, extract dark colors
-     * @returns {Array} Array of RGB color arrays
+     * @param {Gio.Cancellable} cancellable - Optional cancellable checked between analysis chunks
+     * @param {Object} rect - Optional {x, y, width, height} in pixbuf coordinates (default: whole image)
+     * @returns {Promise<Array>} Array of {rgb: [r, g, b], weight} cluster centroids, most populous first.
+     *   Whole-image analysis falls back to the default palette; region analysis returns [] when no pixel qualifies
      */
-    analyzePixbuf(pixbuf, maxColors, preferLight = false) {
+    async analyzePixbuf(pixbuf, maxColors, preferLight = false, cancellable = null, rect = null) {
         // Track if we created a resized pixbuf that needs disposal
-        let needsDispose = false;
-        let pixbufToDispose = null;
-
-        // Resize large images for better performance
-        const MAX_DIMENSION = Constants.COLOR_ANALYSIS_MAX_DIMENSION;
-        if (pixbuf.get_width() > MAX_DIMENSION || pixbuf.get_height() > MAX_DIMENSION) {
-            const scale = MAX_DIMENSION / Math.max(pixbuf.get_width(), pixbuf.get_height());
-            const resizedPixbuf = pixbuf.scale_simple(
-                Math.round(pixbuf.get_width() * scale),
-                Math.round(pixbuf.get_height() * scale),
-                GdkPixbuf.InterpType.BILINEAR
+        let resizedPixbuf = null;
+
+        try {
+            // Resize large images for better performance
+            const MAX_DIMENSION = Constants.COLOR_ANALYSIS_MAX_DIMENSION;
+            if (pixbuf.get_width() > MAX_DIMENSION || pixbuf.get_height() > MAX_DIMENSION) {
+                const scale = MAX_DIMENSION / Math.max(pixbuf.get_width(), pixbuf.get_height());
+                resizedPixbuf = pixbuf.scale_simple(
+                    Math.round(pixbuf.get_width() * scale),
+                    Math.round(pixbuf.get_height() * scale),
+                    GdkPixbuf.InterpType.BILINEAR
+                );
+                this._logger.info(
+                    `Resized image to ${resizedPixbuf.get_width()}x${resizedPixbuf.get_height()} for analysis`
+                );
+
+                // Region coordinates follow the resized copy
+                if (rect) {
+                    rect = {
+                        x: Math.floor(rect.x * scale),
+                        y: Math.floor(rect.y * scale),
+                        width: Math.max(1, Math.round(rect.width * scale)),
+                        height: Math.max(1, Math.round(rect.height * scale))
+                    };
+                }
+
+                // Use resized pixbuf for analysis
+                pixbuf = resizedPixbuf;
+            }
+
+            const nChannels = pixbuf.get_n_channels();
+            const rowstride = pixbuf.get_rowstride();
+            const pixels = pixbuf.get_pixels();
+            const hasAlpha = pixbuf.get_has_alpha();
+
+            // Analysis window (whole image unless region requested)
+            const x0 = rect ? Math.max(0, rect.x) : 0;
+            const y0 = rect ? Math.max(0, rect.y) : 0;
+            const x1 = rect ? Math.min(pixbuf.get_width(), rect.x + rect.width) : pixbuf.get_width();
+            const y1 = rect ? Math.min(pixbuf.get_height(), rect.y + rect.height) : pixbuf.get_height();
+            const width = Math.max(0, x1 - x0);
+            const height = Math.max(0, y1 - y0);
+
+            const scheduler = this._createChunkScheduler(cancellable);
+
+            // Sample pixels (don't analyze every pixel for performance)
+            // Step applies to both axes, so take the square root to land near the target sample count
+            const sampleRate = Math.max(
+                1,
+                Math.floor(Math.sqrt((width * height) / Constants.COLOR_ANALYSIS_TARGET_SAMPLES))
             );
+
+            // Preallocate OKLab sample buffer (3 floats per accepted pixel)
+            const maxSamples = Math.ceil(height / sampleRate) * Math.ceil(width / sampleRate);
+            const samples = new Float64Array(maxSamples * 3);
+
+            let skippedTransparent = 0;
+            let skippedBlackWhite = 0;
+            let processedPixels = 0;
+
+            // Define brightness thresholds based on theme preference
+            const thresholds = Constants.COLOR_BRIGHTNESS_THRESHOLDS[preferLight ? "light" : "dark"];
+            const brightnessMin = thresholds.min;
+            const brightnessMax = thresholds.max;
+
+            for (let y = y0; y < y1; y += sampleRate) {
+                for (let x = x0; x < x1; x += sampleRate) {
+                    const offset = y * rowstride + x * nChannels;
+                    const r = pixels[offset];
+                    const g = pixels[offset + 1];
+                    const b = pixels[offset + 2];
+                    const a = hasAlpha ? pixels[offset + 3] : 255;
+
+                    // Skip transparent pixels (alpha < 128)
+                    if (a < 128) {
+                        skippedTransparent++;
+                        continue;
+                    }
+
+                    // Calculate brightness
+                    const brightness = ThemeUtils.getHSP(r, g, b);
+
+                    // Skip colors outside desired brightness range
+                    if (brightness < brightnessMin || brightness > brightnessMax) {
+                        skippedBlackWhite++;
+                        continue;
+                    }
+
+                    // Skip grayscale/desaturated pixels (near black/white)
+                    const max = Math.max(r, g, b);
+                    const min = Math.min(r, g, b);
+                    const delta = max - min;
+
+                    // Skip if too desaturated (grayscale threshold)
+                    if (delta < Constants.COLOR_MIN_SATURATION_DELTA) {
+                        skippedBlackWhite++;
+                        continue;
+                    }
+
+                    // Store in perceptual space - clustering distances then match perceived difference
+                    const [L, A, B] = ThemeUtils.rgbToOklab(r, g, b);
+                    const idx = processedPixels * 3;
+                    samples[idx] = L;
+                    samples[idx + 1] = A;
+                    samples[idx + 2] = B;
+                    processedPixels++;
+                }
+
+                // Row boundary: give the compositor a frame if this slice used up its budget
+                await scheduler.checkpoint();
+            }
+
             this._logger.info(
-                `Resized image to ${resizedPixbuf.get_width()}x${resizedPixbuf.get_height()} for analysis`
+                `Analyzed ${processedPixels} pixels${rect ? ` in ${width}x${height} region` : ""} (${
+                    preferLight ? "light" : "dark"
+                } mode), skipped ${skippedTransparent} transparent, ${skippedBlackWhite} out-of-range`
             );
 
-            // Dispose original pixbuf immediately as we have resized copy
-            try {
-                // GNOME Review Guidelines: run_dispose() necessary for original GdkPixbuf
-                // after creating scaled copy - prevents memory leak when processing large images
-                // (original can be 50MB+, scaled is ~2MB)
-                pixbuf.run_dispose();
-            } catch (e) {
-                this._logger.debug(`Error disposing original pixbuf: ${e.message}`);
+            // Cluster samples into weighted centroids (sorted by population)
+            const sortedColors = await this._clusterSamples(samples, processedPixels, maxColors, scheduler);
+
+            if (rect) {
+                return sortedColors;
             }
+            return sortedColors.length > 0 ? sortedColors : this.getDefaultPalette();
+        } finally {
+            // MEMORY LEAK FIX: Dispose resized copy after analysis
+            if (resizedPixbuf) {
+                this._disposePixbuf(resizedPixbuf);
+            }
+        }
+    }
+
+    // ===== PANEL REGION SAMPLING =====
+
+    /**
+     * Map panel geometry (monitor coordinates) to a rectangle of the wallpaper image
+     * Follows GNOME picture-options: "stretched" maps axes independently, "scaled"/"centered"
+     * letterbox the image, everything else (zoom, spanned, wallpaper) is treated as zoom (cover + center crop)
+     * @param {number} imageWidth - Pixbuf width
+     * @param {number} imageHeight - Pixbuf height
+     * @param {Object} panelRegion - {edge: "top"|"bottom"|"left"|"right", size, margin, monitorWidth, monitorHeight}
+     * @returns {Object|null} {x, y, width, height} in image coordinates, null if strip isn't over the image
+     * @private
+     */
+    _resolvePanelRect(imageWidth, imageHeight, panelRegion) {
+        const { edge, size, margin, monitorWidth, monitorHeight } = panelRegion;
+        const padding = Constants.PANEL_REGION_SAMPLING.paddingPx;
+
+        // Strip in monitor coordinates: panel thickness plus floating margin, padded for blur bleed
+        const thickness = size + margin + padding;
+        const strip = {
+            top: { x: margin, y: 0, width: monitorWidth - 2 * margin, height: thickness },
+            bottom: { x: margin, y: monitorHeight - thickness, width: monitorWidth - 2 * margin, height: thickness },
+            left: { x: 0, y: margin, width: thickness, height: monitorHeight - 2 * margin },
+            right: { x: monitorWidth - thickness, y: margin, width: thickness, height: monitorHeight - 2 * margin }
+        }[edge];
+
+        if (!strip || monitorWidth <= 0 || monitorHeight <= 0) {
+            return null;
+        }
+
+        const bgSettings = this._getBackgroundSettings();
+        const pictureOptions = bgSettings ? bgSettings.get_string("picture-options") : "zoom";
 
-            // Use resized pixbuf for analysis
-            pixbuf = resizedPixbuf;
-            pixbufToDispose = resizedPixbuf;
-            needsDispose = true;
+        let scaleX, scaleY;
+        if (pictureOptions === "stretched") {
+            scaleX = monitorWidth / imageWidth;
+            scaleY = monitorHeight / imageHeight;
+        } else if (pictureOptions === "scaled" || pictureOptions === "centered") {
+            scaleX = scaleY = Math.min(monitorWidth / imageWidth, monitorHeight / imageHeight);
         } else {
-            // No resize needed, but we still need to dispose the loaded pixbuf after analysis
-            pixbufToDispose = pixbuf;
-            needsDispose = true;
-        }
-
-        const width = pixbuf.get_width();
-        const height = pixbuf.get_height();
-        const nChannels = pixbuf.get_n_channels();
-        const pixels = pixbuf.get_pixels();
-        const hasAlpha = pixbuf.get_has_alpha();
-
-        // Sample pixels (don't analyze every pixel for performance)
-        const sampleRate = Math.max(1, Math.floor((width * height) / Constants.COLOR_ANALYSIS_TARGET_SAMPLES));
-        const colorMap = new Map();
-
-        let skippedTransparent = 0;
-        let skippedBlackWhite = 0;
-        let processedPixels = 0;
-
-        // Define brightness thresholds based on theme preference
-        const thresholds = Constants.COLOR_BRIGHTNESS_THRESHOLDS[preferLight ? "light" : "dark"];
-        const brightnessMin = thresholds.min;
-        const brightnessMax = thresholds.max;
-
-        for (let y = 0; y < height; y += sampleRate) {
-            for (let x = 0; x < width; x += sampleRate) {
-                const offset = (y * width + x) * nChannels;
-                const r = pixels[offset];
-                const g = pixels[offset + 1];
-                const b = pixels[offset + 2];
-                const a = hasAlpha ? pixels[offset + 3] : 255;
-
-                // Skip transparent pixels (alpha < 128)
-                if (a < 128) {
-                    skippedTransparent++;
-                    continue;
+            scaleX = scaleY = Math.max(monitorWidth / imageWidth, monitorHeight / imageHeight);
+        }
+
+        // Image is centered on the monitor
+        const offsetX = (monitorWidth - imageWidth * scaleX) / 2;
+        const offsetY = (monitorHeight - imageHeight * scaleY) / 2;
+
+        const x0 = Math.max(0, Math.floor((strip.x - offsetX) / scaleX));
+        const y0 = Math.max(0, Math.floor((strip.y - offsetY) / scaleY));
+        const x1 = Math.min(imageWidth, Math.ceil((strip.x + strip.width - offsetX) / scaleX));
+        const y1 = Math.min(imageHeight, Math.ceil((strip.y + strip.height - offsetY) / scaleY));
+
+        if (x1 <= x0 || y1 <= y0) {
+            this._logger.debug(`Panel strip (${edge}) lies outside wallpaper image (${pictureOptions})`);
+            return null;
+        }
+
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    /**
+     * Build cache key fragment for panel geometry
+     * @param {Object} panelRegion - Panel geometry
+     * @returns {string} Key such as "panel-bottom-48-8@1920x1080"
+     * @private
+     */
+    _getPanelRegionKey(panelRegion) {
+        const { edge, size, margin, monitorWidth, monitorHeight } = panelRegion;
+        return `panel-${edge}-${size}-${margin}@${monitorWidth}x${monitorHeight}`;
+    }
+
+    // ===== SLIDESHOW WALLPAPERS =====
+
+    /**
+     * Get current frame of a background XML slideshow
+     * Parsed slideshows are kept until the XML file changes (size / mtime) or clearCache()
+     * @param {string} pictureUri - URI of background XML file
+     * @param {Gio.Cancellable} cancellable - Optional cancellable
+     * @returns {Promise<Object|null>} Frame from WallpaperSlideshow.getFrame(), null if XML is unusable
+     * @throws {GLib.Error} Gio.IOErrorEnum.CANCELLED if cancelled
+     */
+    async getSlideshowFrame(pictureUri, cancellable = null) {
+        try {
+            const info = await Gio.File.new_for_uri(pictureUri).query_info_async(
+                "standard::size,time::modified,time::modified-usec",
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT,
+                cancellable
+            );
+            const size = info.get_size();
+            const mtime = this._getModificationTime(info);
+
+            let parsed = this._slideshows.get(pictureUri);
+            if (!parsed || parsed.size !== size || parsed.mtime !== mtime) {
+                const slideshow = await WallpaperSlideshow.load(pictureUri, cancellable);
+                parsed = { slideshow, size, mtime };
+                this._slideshows.set(pictureUri, parsed);
+                this._logger.info(
+                    `🎞️  Parsed slideshow "${this._getWallpaperName(pictureUri)}": ${slideshow.slides.length} slides, ${(
+                        slideshow.totalDuration / 3600
+                    ).toFixed(1)}h cycle`
+                );
+            }
+            return parsed.slideshow.getFrame();
+        } catch (e) {
+            if (ColorPalette.isCancelledError(e)) {
+                throw e;
+            }
+            this._logger.warn(`Cannot read slideshow ${pictureUri}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Crossfade two color schemes in OKLab
+     * Foreground and hover are re-derived from the blended background so text contrast stays valid.
+     * Swatches present in both schemes are blended too; otherwise the nearer scheme's swatch is kept
+     * @param {Object} from - Color scheme at progress 0
+     * @param {Object} to - Color scheme at progress 1
+     * @param {number} progress - Crossfade progress (0-1)
+     * @returns {Object} Blended color scheme
+     * @private
+     */
+    _blendColorSchemes(from, to, progress) {
+        const background = ThemeUtils.mixOklab(from.background, to.background, progress);
+        // Harmony colors exist on both sides or neither (same color-harmony setting)
+        const mixHarmony = key => (from[key] && to[key] ? ThemeUtils.mixOklab(from[key], to[key], progress) : null);
+        return {
+            accent: ThemeUtils.mixOklab(from.accent, to.accent, progress),
+            background,
+            panelBackground: ThemeUtils.mixOklab(from.panelBackground, to.panelBackground, progress),
+            foreground: ThemeUtils.getAutoFgColor(background),
+            hover: mixHarmony("popup") ? mixHarmony("hover") : ThemeUtils.getAutoHighlightColor(background),
+            popup: mixHarmony("popup"),
+            border: mixHarmony("border"),
+            harmony: to.harmony,
+            swatches: this._blendSwatches(from.swatches, to.swatches, progress),
+            panelSwatches: this._blendSwatches(from.panelSwatches, to.panelSwatches, progress),
+            pinnedColors: this._blendPinnedColors(from, to, progress)
+        };
+    }
+
+    /**
+     * Crossfade two swatch maps
+     * @param {Object|null} from - Swatches at progress 0
+     * @param {Object|null} to - Swatches at progress 1
+     * @param {number} progress - Crossfade progress (0-1)
+     * @returns {Object|null} Blended swatches
+     * @private
+     */
+    _blendSwatches(from, to, progress) {
+        if (!from || !to) {
+            return progress < 0.5 ? from : to;
+        }
+
+        const blended = {};
+        for (const name of Object.keys(Constants.PALETTE_SWATCHES.targets)) {
+            const a = from[name];
+            const b = to[name];
+            if (a && b) {
+                blended[name] = {
+                    ...this._createSwatch(
+                        ThemeUtils.mixOklab(a.rgb, b.rgb, progress),
+                        a.population + (b.population - a.population) * progress
+                    ),
+                    derived: a.derived || b.derived
+                };
+            } else {
+                blended[name] = progress < 0.5 ? a : b;
+            }
+        }
+        return blended;
+    }
+
+    /**
+     * Check if error is a Gio cancellation (superseded extraction, extension disabled)
+     * @param {Error} error - Error thrown by an async extraction call
+     * @returns {boolean} True if error signals cancellation
+     */
+    static isCancelledError(error) {
+        return error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED);
+    }
+
+    // ===== MAIN LOOP COOPERATION =====
+
+    /**
+     * Create scheduler for chunked analysis
+     * checkpoint() is cheap when called often: it only yields to the main loop once the
+     * current slice exceeds COLOR_ANALYSIS_SLICE_MS, and throws if the cancellable fired
+     * @param {Gio.Cancellable} cancellable - Optional cancellable
+     * @returns {Object} Scheduler with async checkpoint()
+     * @private
+     */
+    _createChunkScheduler(cancellable) {
+        const sliceBudget = Constants.COLOR_ANALYSIS_SLICE_MS * 1000; // monotonic time is in µs
+        let sliceStart = GLib.get_monotonic_time();
+
+        return {
+            checkpoint: async () => {
+                if (GLib.get_monotonic_time() - sliceStart < sliceBudget) {
+                    return;
                 }
 
-                // Calculate brightness
-                const brightness = ThemeUtils.getHSP(r, g, b);
+                await this._yieldToMainLoop();
+                // Throws Gio.IOErrorEnum.CANCELLED if cancelled while we were idle
+                cancellable?.set_error_if_cancelled();
+                sliceStart = GLib.get_monotonic_time();
+            }
+        };
+    }
 
-                // Skip colors outside desired brightness range
-                if (brightness < brightnessMin || brightness > brightnessMax) {
-                    skippedBlackWhite++;
-                    continue;
+    /**
+     * Resolve on next idle cycle of the main loop
+     * MEMORY LEAK FIX: Idle sources tracked so destroy() can remove them and reject waiters
+     * @returns {Promise<void>}
+     * @private
+     */
+    _yieldToMainLoop() {
+        return new Promise((resolve, reject) => {
+            const sourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                this._pendingIdleSources.delete(sourceId);
+                resolve();
+                return GLib.SOURCE_REMOVE;
+            });
+            this._pendingIdleSources.set(sourceId, reject);
+        });
+    }
+
+    // ===== CLUSTERING =====
+
+    /**
+     * Cluster OKLab samples with K-means++ (weighted palette output)
+     * Seeding spreads initial centroids proportionally to squared distance, so
+     * small but distinct accents get their own cluster instead of being absorbed
+     * by the dominant hue. Gradients collapse into one centroid per perceived color.
+     * @param {Float64Array} samples - Packed OKLab triplets [L, a, b, L, a, b, ...]
+     * @param {number} count - Number of valid samples in buffer
+     * @param {number} k - Desired cluster count
+     * @param {Object} scheduler - Chunk scheduler from _createChunkScheduler (yields between passes)
+     * @returns {Promise<Array>} Array of {rgb: [r, g, b], weight} sorted by weight (descending), weights sum to 1
+     * @private
+     */
+    async _clusterSamples(samples, count, k, scheduler) {
+        if (count === 0) {
+            return [];
+        }
+
+        k = Math.min(k, count);
+        const { maxIterations, convergenceDelta, seed } = Constants.COLOR_CLUSTERING;
+        const random = this._createSeededRandom(seed);
+
+        const centroids = new Float64Array(k * 3);
+        const distances = new Float64Array(count).fill(Infinity);
+        const assignments = new Int32Array(count);
+
+        const distanceTo = (i, c) => {
+            const dL = samples[i * 3] - centroids[c * 3];
+            const dA = samples[i * 3 + 1] - centroids[c * 3 + 1];
+            const dB = samples[i * 3 + 2] - centroids[c * 3 + 2];
+            return dL * dL + dA * dA + dB * dB;
+        };
+
+        // K-means++ seeding: first centroid random, next ones weighted by D(x)^2
+        let chosen = Math.floor(random() * count);
+        let seeded = 0;
+        while (seeded < k) {
+            centroids.set(samples.subarray(chosen * 3, chosen * 3 + 3), seeded * 3);
+
+            let total = 0;
+            for (let i = 0; i < count; i++) {
+                const d = distanceTo(i, seeded);
+                if (d < distances[i]) {
+                    distances[i] = d;
                 }
+                total += distances[i];
+            }
+            seeded++;
+            await scheduler.checkpoint();
+
+            // All remaining samples coincide with existing centroids - no more distinct clusters
+            if (total === 0) {
+                break;
+            }
 
-                // Skip grayscale/desaturated pixels (near black/white)
-                const max = Math.max(r, g, b);
-                const min = Math.min(r, g, b);
-                const delta = max - min;
+            let target = random() * total;
+            chosen = count - 1;
+            for (let i = 0; i < count; i++) {
+                target -= distances[i];
+                if (target <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+        }
+        k = seeded;
+
+        // Lloyd iterations
+        const sums = new Float64Array(k * 3);
+        const populations = new Uint32Array(k);
+        let iterations = 0;
+
+        for (; iterations < maxIterations; iterations++) {
+            sums.fill(0);
+            populations.fill(0);
+
+            for (let i = 0; i < count; i++) {
+                let best = 0;
+                let bestDist = Infinity;
+                for (let c = 0; c < k; c++) {
+                    const d = distanceTo(i, c);
+                    if (d < bestDist) {
+                        bestDist = d;
+                        best = c;
+                    }
+                }
+                assignments[i] = best;
+                populations[best]++;
+                sums[best * 3] += samples[i * 3];
+                sums[best * 3 + 1] += samples[i * 3 + 1];
+                sums[best * 3 + 2] += samples[i * 3 + 2];
+            }
 
-                // Skip if too desaturated (grayscale threshold)
-                if (delta < Constants.COLOR_MIN_SATURATION_DELTA) {
-                    skippedBlackWhite++;
+            let maxShift = 0;
+            for (let c = 0; c < k; c++) {
+                // Empty cluster keeps its previous centroid (dropped from output below)
+                if (populations[c] === 0) {
                     continue;
                 }
+                for (let j = 0; j < 3; j++) {
+                    const updated = sums[c * 3 + j] / populations[c];
+                    maxShift = Math.max(maxShift, Math.abs(updated - centroids[c * 3 + j]));
+                    centroids[c * 3 + j] = updated;
+                }
+            }
 
-                // Quantize color to reduce similar colors
-                const colorKey = this.quantizeColor(r, g, b, Constants.COLOR_QUANTIZATION_STEP);
-                colorMap.set(colorKey, (colorMap.get(colorKey) || 0) + 1);
-                processedPixels++;
+            if (maxShift < convergenceDelta) {
+                iterations++;
+                break;
             }
+
+            await scheduler.checkpoint();
         }
 
-        this._logger.info(
-            `Analyzed ${processedPixels} pixels (${
-                preferLight ? "light" : "dark"
-            } mode), skipped ${skippedTransparent} transparent, ${skippedBlackWhite} out-of-range`
+        let merged = [];
+        for (let c = 0; c < k; c++) {
+            if (populations[c] > 0) {
+                merged.push({ lab: Array.from(centroids.subarray(c * 3, c * 3 + 3)), population: populations[c] });
+            }
+        }
+        merged = this._mergeCloseCentroids(merged);
+
+        const clusters = merged
+            .map(({ lab, population }) => ({
+                rgb: ThemeUtils.oklabToRgb(lab),
+                weight: population / count
+            }))
+            .sort((a, b) => b.weight - a.weight);
+
+        this._logger.debug(
+            `K-means++ converged after ${iterations} iterations: ${clusters
+                .map(cl => `RGB(${cl.rgb.join(",")}) ${(cl.weight * 100).toFixed(1)}%`)
+                .join(", ")}`
         );
 
-        // Sort by frequency and get top colors
-        const sortedColors = Array.from(colorMap.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, maxColors)
-            .map(([colorKey]) => this.parseColorKey(colorKey));
+        return clusters;
+    }
 
-        // MEMORY LEAK FIX: Dispose pixbuf after analysis
-        if (needsDispose && pixbufToDispose) {
-            try {
-                // GNOME Review Guidelines: run_dispose() necessary for GdkPixbuf objects
-                // after color analysis to immediately free image data (especially for large wallpapers)
-                pixbufToDispose.run_dispose();
-                this._logger.debug(`Disposed pixbuf after analysis (${width}x${height})`);
-            } catch (e) {
-                this._logger.debug(`Error disposing pixbuf: ${e.message}`);
+    /**
+     * Merge centroids that are perceptually indistinguishable
+     * K-means always produces k clusters, so a smooth gradient would otherwise be
+     * sliced into several near-identical shades that crowd out distinct colors
+     * @param {Array} centroids - Array of {lab: [L, a, b], population}
+     * @returns {Array} Merged centroids (population-weighted means)
+     * @private
+     */
+    _mergeCloseCentroids(centroids) {
+        const threshold = Constants.COLOR_CLUSTERING.mergeDistance;
+
+        while (centroids.length > 1) {
+            let closest = null;
+            let closestDist = Infinity;
+
+            for (let i = 0; i < centroids.length; i++) {
+                for (let j = i + 1; j < centroids.length; j++) {
+                    const [L1, a1, b1] = centroids[i].lab;
+                    const [L2, a2, b2] = centroids[j].lab;
+                    const dist = Math.hypot(L1 - L2, a1 - a2, b1 - b2);
+                    if (dist < closestDist) {
+                        closestDist = dist;
+                        closest = [i, j];
+                    }
+                }
+            }
+
+            if (closestDist >= threshold) {
+                break;
             }
+
+            const [i, j] = closest;
+            const a = centroids[i];
+            const b = centroids[j];
+            const population = a.population + b.population;
+            centroids[i] = {
+                lab: a.lab.map((v, idx) => (v * a.population + b.lab[idx] * b.population) / population),
+                population
+            };
+            centroids.splice(j, 1);
         }
 
-        return sortedColors.length > 0 ? sortedColors : this.getDefaultPalette();
+        return centroids;
     }
 
     /**
-     * Quantize color to reduce similar colors
-     * Clamps values to valid RGB range (0-255) to prevent overflow
+     * Create deterministic PRNG (mulberry32)
+     * Math.random() would make palettes differ between runs for the same wallpaper
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} Generator returning floats in [0, 1)
+     * @private
      */
-    quantizeColor(r, g, b, step = 16) {
-        const qr = Math.min(255, Math.round(r / step) * step);
-        const qg = Math.min(255, Math.round(g / step) * step);
-        const qb = Math.min(255, Math.round(b / step) * step);
-        return `${qr},${qg},${qb}`;
+    _createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 
     /**
-     * Parse color key back to RGB
+     * Normalize palette to weighted form
+     * Accepts clustered palettes ({rgb, weight}) and plain [r, g, b] arrays
+     * (default palette, caches written before clustering) - plain colors get equal weight
+     * @param {Array} palette - Palette in either format
+     * @returns {Array} Array of {rgb: [r, g, b], weight}
      */
-    parseColorKey(colorKey) {
-        return colorKey.split(",").map(n => parseInt(n));
+    normalizePalette(palette) {
+        if (!palette || palette.length === 0) {
+            return [];
+        }
+
+        return palette.map(entry =>
+            Array.isArray(entry) ? { rgb: entry, weight: 1 / palette.length } : { rgb: entry.rgb, weight: entry.weight }
+        );
     }
 
     /**
@@ -498,37 +1101,38 @@ export class ColorPalette {
 
     /**
      * Get best accent color from palette
-     * Prefers vibrant, saturated colors
+     * Prefers vibrant, saturated colors (scored in OKLCH); population weight breaks ties between
+     * similar candidates so a visible accent beats a few stray pixels
+     * @param {Array} palette - Weighted ({rgb, weight}) or plain [r, g, b] palette
+     * @returns {Array} [r, g, b] accent color
      */
     getBestAccentColor(palette) {
-        if (!palette || palette.length === 0) {
+        const candidates = this._filterNoiseClusters(this.normalizePalette(palette));
+        if (candidates.length === 0) {
             return [136, 192, 208]; // Default Nord frost
         }
 
-        let bestColor = palette[0];
+        const maxWeight = Math.max(...candidates.map(c => c.weight));
+        let bestColor = candidates[0].rgb;
         let bestScore = -1;
 
-        for (const color of palette) {
-            const [r, g, b] = color;
+        for (const { rgb, weight } of candidates) {
+            // OKLCH: chroma measures perceived colorfulness (HSV saturation rates dark muddy
+            // colors as fully saturated), lightness is perceptually even across hues
+            const [lightness, chroma] = ThemeUtils.rgbToOklch(rgb);
 
-            // Calculate saturation
-            const max = Math.max(r, g, b);
-            const min = Math.min(r, g, b);
-            const delta = max - min;
-            const saturation = max === 0 ? 0 : delta / max;
+            // Prefer medium lightness with high chroma (0.2 ≈ vivid sRGB accent)
+            const brightnessScore = 1 - Math.abs(lightness - 0.65) / 0.65;
+            const saturationScore = Math.min(1, chroma / 0.2);
 
-            // Calculate brightness
-            const brightness = ThemeUtils.getHSP(r, g, b);
+            // Population only scales the score (sqrt keeps small vivid clusters competitive)
+            const populationFactor = 0.75 + 0.25 * Math.sqrt(weight / maxWeight);
 
-            // Prefer medium brightness with high saturation
-            const brightnessScore = 1 - Math.abs(brightness - 140) / 140;
-            const saturationScore = saturation;
-
-            const score = brightnessScore * 0.4 + saturationScore * 0.6;
+            const score = (brightnessScore * 0.4 + saturationScore * 0.6) * populationFactor;
 
             if (score > bestScore) {
                 bestScore = score;
-                bestColor = color;
+                bestColor = rgb;
             }
         }
 
@@ -537,23 +1141,33 @@ export class ColorPalette {
 
     /**
      * Get best background color from palette
+     * Balances closeness to target brightness with cluster population -
+     * panel backgrounds should represent dominant wallpaper areas
+     * @param {Array} palette - Weighted ({rgb, weight}) or plain [r, g, b] palette
+     * @param {boolean} preferDark - Target dark background brightness
+     * @returns {Array} [r, g, b] background color
      */
     getBestBackgroundColor(palette, preferDark = false) {
-        if (!palette || palette.length === 0) {
+        const candidates = this._filterNoiseClusters(this.normalizePalette(palette));
+        if (candidates.length === 0) {
             return preferDark ? [46, 52, 64] : [236, 239, 244];
         }
 
         const targetBrightness = preferDark ? 60 : 200;
-        let bestColor = palette[0];
-        let bestDiff = Infinity;
+        const maxWeight = Math.max(...candidates.map(c => c.weight));
+        let bestColor = candidates[0].rgb;
+        let bestScore = -Infinity;
 
-        for (const color of palette) {
-            const brightness = ThemeUtils.getHSP(...color);
-            const diff = Math.abs(brightness - targetBrightness);
+        for (const { rgb, weight } of candidates) {
+            const brightness = ThemeUtils.getHSP(...rgb);
+            const brightnessScore = 1 - Math.abs(brightness - targetBrightness) / 255;
+            const populationScore = Math.sqrt(weight / maxWeight);
 
-            if (diff < bestDiff) {
-                bestDiff = diff;
-                bestColor = color;
+            const score = brightnessScore * 0.6 + populationScore * 0.4;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestColor = rgb;
             }
         }
 
@@ -561,44 +1175,252 @@ export class ColorPalette {
     }
 
     /**
-     * Generate complementary color scheme
+     * Drop clusters below minimum population share (sensor noise, tiny UI elements in screenshots)
+     * Returns input unchanged if filtering would leave nothing
+     * @param {Array} weightedPalette - Normalized {rgb, weight} palette
+     * @returns {Array} Filtered palette
+     * @private
      */
-    generateColorScheme(palette, colorScheme = "prefer-light") {
-        const preferDark = colorScheme === "prefer-dark";
+    _filterNoiseClusters(weightedPalette) {
+        const filtered = weightedPalette.filter(c => c.weight >= Constants.COLOR_CLUSTERING.minClusterWeight);
+        return filtered.length > 0 ? filtered : weightedPalette;
+    }
 
-        // Select best colors from palette
-        const accentColor = this.getBestAccentColor(palette);
-        const bgColor = this.getBestBackgroundColor(palette, preferDark);
+    // ===== NAMED SWATCHES =====
 
-        // Adjust accent if needed for better visibility
-        const contrastRatio = ThemeUtils.contrastRatio(accentColor, bgColor);
-        let finalAccent = accentColor;
+    /**
+     * Generate named swatches (Vibrant, DarkVibrant, LightVibrant, Muted, DarkMuted, LightMuted)
+     * Each palette color can fill only one swatch; swatches with no matching color are derived
+     * from a same-family neighbour (population 0, derived: true)
+     * @param {Array} palette - Weighted or legacy [r, g, b] palette
+     * @returns {Object} {name: {rgb, population, textColor, derived}} - null entries if palette is empty
+     */
+    generateSwatches(palette) {
+        const { targets, weights } = Constants.PALETTE_SWATCHES;
+        const candidates = this.normalizePalette(palette).map(({ rgb, weight }) => {
+            const [, s, l] = ThemeUtils.rgbToHsl(rgb);
+            return { rgb, weight, saturation: s / 100, lightness: l / 100 };
+        });
+        const maxWeight = Math.max(0, ...candidates.map(c => c.weight));
+        const used = new Set();
+        const swatches = {};
+
+        for (const [name, target] of Object.entries(targets)) {
+            const [minL, targetL, maxL] = target.lightness;
+            const [minS, targetS, maxS] = target.saturation;
+            let best = null;
+            let bestScore = -Infinity;
+
+            for (const c of candidates) {
+                if (used.has(c)) continue;
+                if (c.lightness < minL || c.lightness > maxL || c.saturation < minS || c.saturation > maxS) continue;
+
+                const score =
+                    weights.saturation * (1 - Math.abs(c.saturation - targetS)) +
+                    weights.lightness * (1 - Math.abs(c.lightness - targetL)) +
+                    weights.population * (maxWeight > 0 ? c.weight / maxWeight : 0);
+                if (score > bestScore) {
+                    best = c;
+                    bestScore = score;
+                }
+            }
 
-        if (contrastRatio < 3.0) {
-            // Accent doesn't stand out enough, adjust it
-            const isDarkBg = ThemeUtils.getBgDark(...bgColor);
-            finalAccent = ThemeUtils.colorShade(accentColor, isDarkBg ? 0.3 : -0.3);
+            if (best) {
+                used.add(best);
+                swatches[name] = this._createSwatch(best.rgb, best.weight);
+            } else {
+                swatches[name] = null;
+            }
         }
 
-        return {
-            accent: finalAccent,
-            background: bgColor,
-            foreground: ThemeUtils.getAutoFgColor(bgColor),
-            hover: ThemeUtils.getAutoHighlightColor(bgColor)
+        this._deriveMissingSwatches(swatches);
+        return swatches;
+    }
+
+    /**
+     * Fill empty swatches from the closest same-family swatch (falls back to the other family)
+     * Hue is kept; HSL lightness moves to the target and saturation is clamped into range
+     * @param {Object} swatches - Swatch map from generateSwatches() (modified in place)
+     * @private
+     */
+    _deriveMissingSwatches(swatches) {
+        const { targets } = Constants.PALETTE_SWATCHES;
+        const families = {
+            Vibrant: ["Vibrant", "DarkVibrant", "LightVibrant", "Muted", "DarkMuted", "LightMuted"],
+            Muted: ["Muted", "DarkMuted", "LightMuted", "Vibrant", "DarkVibrant", "LightVibrant"]
         };
+
+        for (const name of Object.keys(targets)) {
+            if (swatches[name]) continue;
+
+            const order = name.endsWith("Vibrant") ? families.Vibrant : families.Muted;
+            const sourceName = order.find(n => swatches[n] && !swatches[n].derived);
+            if (!sourceName) continue;
+
+            const [h, s] = ThemeUtils.rgbToHsl(swatches[sourceName].rgb);
+            const [minS, , maxS] = targets[name].saturation;
+            const saturation = Math.min(maxS, Math.max(minS, s / 100));
+            const rgb = ThemeUtils.hslToRgb(h, saturation * 100, targets[name].lightness[1] * 100);
+            swatches[name] = { ...this._createSwatch(rgb, 0), derived: true };
+        }
     }
 
-    // ===== THEME INTEGRATION =====
+    /**
+     * Build swatch entry with its best text color
+     * @param {Array} rgb - Swatch color [r, g, b]
+     * @param {number} population - Population share of the source cluster (0-1)
+     * @returns {Object} {rgb, population, textColor, derived}
+     * @private
+     */
+    _createSwatch(rgb, population) {
+        const { lightOnDark, darkOnLight } = Constants.AUTO_TEXT_COLORS;
+        const textColor =
+            ThemeUtils.contrastRatio(lightOnDark, rgb) >= ThemeUtils.contrastRatio(darkOnLight, rgb)
+                ? lightOnDark
+                : darkOnLight;
+        return { rgb, population, textColor: [...textColor], derived: false };
+    }
 
     /**
-     * Apply extracted colors to CSSGnomme settings
-     * Sets color values but does NOT automatically enable overrides
-     * User must manually enable override-popup-color if they want to use extracted popup color
-     *
+     * Resolve swatch assigned to a role in settings
+     * Panel prefers swatches of the wallpaper strip behind the panel
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Object} colorScheme - Color scheme from generateColorScheme()
+     * @param {string} role - Key of Constants.PALETTE_SWATCHES.roles (panel, popup, border, shadow)
+     * @returns {Array|null} [r, g, b], or null for "auto" / unavailable swatch
+     * @private
+     */
+    _resolveSwatchRole(settings, colorScheme, role) {
+        const name = settings.get_string(Constants.PALETTE_SWATCHES.roles[role]);
+        if (name === "auto" || !(name in Constants.PALETTE_SWATCHES.targets)) {
+            return null;
+        }
+
+        const swatch = (role === "panel" && colorScheme.panelSwatches?.[name]) || colorScheme.swatches?.[name];
+        if (!swatch) {
+            this._logger.debug(`Swatch ${name} unavailable for ${role} - using automatic color`);
+            return null;
+        }
+        return swatch.rgb;
+    }
+
+    /**
+     * Generate complementary color scheme
+     * @param {Array} palette - Full-image palette
+     * @param {string} colorScheme - System color-scheme value
+     * @param {Array} panelPalette - Optional palette of the wallpaper strip behind the panel
+     * @param {string} harmonyMode - Key of Constants.COLOR_HARMONY.modes or "none" (default: color-harmony setting)
+     * @returns {Object} {accent, background, panelBackground, foreground, hover, popup, border, harmony, swatches,
+     *   panelSwatches} - popup and border are null without harmony mode
+     */
+    generateColorScheme(palette, colorScheme = "prefer-light", panelPalette = null, harmonyMode = null) {
+        const preferDark = colorScheme === "prefer-dark";
+        const harmony = harmonyMode ?? this._extensionSettings?.get_string("color-harmony") ?? "none";
+
+        // Select best colors from palette
+        const accentColor = this.getBestAccentColor(palette);
+        const bgColor = this.getBestBackgroundColor(palette, preferDark);
+
+        // Panel sits on top of its own wallpaper strip - pick its background from that region
+        const panelBgColor =
+            panelPalette && panelPalette.length > 0 ? this.getBestBackgroundColor(panelPalette, preferDark) : bgColor;
+
+        if (Constants.COLOR_HARMONY.modes[harmony]) {
+            const finalAccent = ThemeUtils.ensureContrast(
+                accentColor,
+                bgColor,
+                Constants.COLOR_HARMONY.modes[harmony].minContrast.accent
+            );
+            return {
+                accent: finalAccent,
+                background: bgColor,
+                panelBackground: panelBgColor,
+                foreground: ThemeUtils.getAutoFgColor(bgColor),
+                ...this._deriveHarmonyColors(finalAccent, bgColor, harmony),
+                harmony,
+                swatches: this.generateSwatches(palette),
+                panelSwatches: panelPalette && panelPalette.length > 0 ? this.generateSwatches(panelPalette) : null
+            };
+        }
+
+        // Adjust accent if needed for better visibility
+        const contrastRatio = ThemeUtils.contrastRatio(accentColor, bgColor);
+        let finalAccent = accentColor;
+
+        if (contrastRatio < 3.0) {
+            // Accent doesn't stand out enough, adjust it
+            const isDarkBg = ThemeUtils.getBgDark(...bgColor);
+            finalAccent = ThemeUtils.colorShade(accentColor, isDarkBg ? 0.3 : -0.3);
+        }
+
+        return {
+            accent: finalAccent,
+            background: bgColor,
+            panelBackground: panelBgColor,
+            foreground: ThemeUtils.getAutoFgColor(bgColor),
+            hover: ThemeUtils.getAutoHighlightColor(bgColor),
+            popup: null,
+            border: null,
+            harmony: "none",
+            swatches: this.generateSwatches(palette),
+            panelSwatches: panelPalette && panelPalette.length > 0 ? this.generateSwatches(panelPalette) : null
+        };
+    }
+
+    /**
+     * Derive popup, border and hover colors from accent hue for a harmony mode
+     * Each color is then moved in OKLCH lightness until it reaches the mode's contrast against the background
+     * @param {Array} accent - [r, g, b] accent (harmony base)
+     * @param {Array} background - [r, g, b] background
+     * @param {string} mode - Key of Constants.COLOR_HARMONY.modes
+     * @returns {Object} {popup, border, hover} as [r, g, b]
+     * @private
+     */
+    _deriveHarmonyColors(accent, background, mode) {
+        const { hues, minContrast } = Constants.COLOR_HARMONY.modes[mode];
+        let popup, border, hoverBase;
+
+        if (mode === "monochromatic") {
+            // Same hue, lightness steps away from the background (shades[2] is the accent itself)
+            const shades = ThemeUtils.generateColorPalette(accent, 5);
+            const direction = ThemeUtils.getBgDark(...background) ? 1 : -1;
+            const { popup: popupStep, border: borderStep } = Constants.COLOR_HARMONY.monochromaticSteps;
+            popup = shades[2 + direction * popupStep];
+            border = shades[2 + direction * borderStep];
+            hoverBase = accent;
+        } else {
+            const harmonize = degrees =>
+                Math.abs(degrees) === 180
+                    ? ThemeUtils.getComplementaryColor(accent)
+                    : ThemeUtils.rotateHueOklch(accent, degrees);
+            popup = harmonize(hues.popup);
+            border = harmonize(hues.border);
+            hoverBase = harmonize(hues.hover);
+        }
+
+        const hover = ThemeUtils.mixOklab(background, hoverBase, Constants.COLOR_HARMONY.hoverMix);
+        return {
+            popup: ThemeUtils.ensureContrast(popup, background, minContrast.popup),
+            border: ThemeUtils.ensureContrast(border, background, minContrast.border),
+            hover: ThemeUtils.ensureContrast(hover, background, minContrast.hover)
+        };
+    }
+
+    // ===== THEME INTEGRATION =====
+
+    /**
+     * Apply extracted colors to CSSGnomme settings
+     * Sets color values but does NOT automatically enable overrides
+     * User must manually enable override-popup-color if they want to use extracted popup color
+     *
      * Applies colors to:
      * - Panel/popup backgrounds (choose-override-panel-color, choose-override-popup-color)
      * - Blur effects (blur-background, shadow-color)
      *
+     * Source color of each role comes from the swatch chosen in swatch-panel / swatch-popup /
+     * swatch-border / swatch-shadow; "auto" keeps background (panel), the color-harmony color (popup,
+     * border) or accent
+     *
      * NOTE: blur-border-color is NOT set by wallpaper extraction.
      * Theme extraction (detectAndApplyAccentColor in overlayThemeManager.js) controls
      * blur-border-color to preserve theme accent. This prevents wallpaper extraction
@@ -608,7 +1430,15 @@ export class ColorPalette {
         try {
             // Detect theme brightness for optimal blur effects
             const isDarkTheme = ThemeUtils.getBgDark(...colorScheme.background);
-            const accentColor = colorScheme.accent;
+            const pinned = colorScheme.pinnedColors ?? {};
+            const accentColor = pinned.accent ?? colorScheme.accent;
+
+            // Harmony colors follow the effective accent - a pinned accent re-derives them
+            const harmonyActive = !!colorScheme.harmony && colorScheme.harmony !== "none";
+            const harmonyColors =
+                harmonyActive && pinned.accent
+                    ? this._deriveHarmonyColors(pinned.accent, colorScheme.background, colorScheme.harmony)
+                    : colorScheme;
 
             // === BATCH SETTINGS MODE - Prevent callback storm ===
             // Multiple color settings trigger separate callbacks → debounce timer extended N times
@@ -624,33 +1454,57 @@ export class ColorPalette {
             const panelOpacity = settings.get_double("panel-opacity") || Constants.DEFAULT_OPACITY.panel;
             const menuOpacity = settings.get_double("menu-opacity") || 0.8;
 
-            // Apply background color to panel
-            const panelColor = ThemeUtils.rgbaToCss(...colorScheme.background, panelOpacity);
+            // Apply background color to panel (regional color from the strip behind the panel when available)
+            // Colors pinned by the user for this wallpaper win over swatches and extraction
+            const panelBackground =
+                pinned.panel ??
+                this._resolveSwatchRole(settings, colorScheme, "panel") ??
+                colorScheme.panelBackground ??
+                colorScheme.background;
+            const panelColor = ThemeUtils.rgbaToCss(...panelBackground, panelOpacity);
             settings.set_string("choose-override-panel-color", panelColor);
 
-            // Apply accent or lighter variant to popup
-            const popupColor = ThemeUtils.rgbaToCss(...colorScheme.accent, menuOpacity);
+            // Apply accent, harmony color or assigned swatch to popup
+            const popupSource =
+                pinned.popup ??
+                this._resolveSwatchRole(settings, colorScheme, "popup") ??
+                harmonyColors.popup ??
+                accentColor;
+            const popupColor = ThemeUtils.rgbaToCss(...popupSource, menuOpacity);
             settings.set_string("choose-override-popup-color", popupColor);
 
+            // Harmony hover for panel/popup hover states ("" without harmony = derived from backgrounds)
+            settings.set_string(
+                "harmony-hover-color",
+                harmonyActive && harmonyColors.hover ? ThemeUtils.rgbaToCss(...harmonyColors.hover, 1.0) : ""
+            );
+
             // === BLUR EFFECTS COLORS - DISABLED (Theme extraction controls these) ===
             // NOTE: Commented out for standard mode - theme extraction controls blur effects
             // TODO: Re-enable for "Full Auto Mode" feature (wallpaper overrides all colors)
 
             // Log extracted accent for debugging
-            this._logger.info(`Extracted wallpaper accent: RGB(${accentColor.join(", ")})`);
+            this._logger.info(
+                `${pinned.accent ? "Pinned" : "Extracted"} wallpaper accent: RGB(${accentColor.join(", ")})`
+            );
             this._logger.info(`Theme detected: ${isDarkTheme ? "DARK" : "LIGHT"}`);
 
+            // Border and shadow sources (harmony color / accent unless a swatch is assigned)
+            const borderSource =
+                this._resolveSwatchRole(settings, colorScheme, "border") ?? harmonyColors.border ?? accentColor;
+            const shadowSource = this._resolveSwatchRole(settings, colorScheme, "shadow") ?? accentColor;
+
             // Calculate border shade for background tint consistency
             const borderShade = isDarkTheme
                 ? Constants.WALLPAPER_ACCENT_SHADING.border.darkTheme
                 : Constants.WALLPAPER_ACCENT_SHADING.border.lightTheme;
-            const borderAccent = ThemeUtils.colorShade(accentColor, borderShade);
+            const borderAccent = ThemeUtils.colorShade(borderSource, borderShade);
 
             // Calculate shadow variant
             const shadowShade = isDarkTheme
                 ? Constants.WALLPAPER_ACCENT_SHADING.shadow.darkTheme
                 : Constants.WALLPAPER_ACCENT_SHADING.shadow.lightTheme;
-            const shadowVariant = ThemeUtils.colorShade(accentColor, shadowShade);
+            const shadowVariant = ThemeUtils.colorShade(shadowSource, shadowShade);
 
             // === FULL AUTO MODE - Wallpaper extraction controls blur effects ===
             const fullAutoMode = settings.get_boolean("full-auto-mode") || false;
@@ -659,11 +1513,11 @@ export class ColorPalette {
                 // Full Auto Mode: wallpaper controls blur-border, blur-background, shadow-color
                 this._logger.info(`FULL AUTO MODE: Applying wallpaper colors to blur effects`);
 
-                // blur-border-color: Use accent color with theme-appropriate alpha
+                // blur-border-color: Use border source color with theme-appropriate alpha
                 const borderAlpha = isDarkTheme
                     ? Constants.BLUR_ALPHA.border.darkTheme
                     : Constants.BLUR_ALPHA.border.lightTheme;
-                const blurBorderColor = ThemeUtils.rgbaToCss(...accentColor, borderAlpha);
+                const blurBorderColor = ThemeUtils.rgbaToCss(...borderSource, borderAlpha);
                 settings.set_string("blur-border-color", blurBorderColor);
 
                 // blur-background: Use lighter/darker variant for glossy effect
@@ -782,8 +1636,14 @@ export class ColorPalette {
      * @param {Object} settings - Extension settings
      * @param {Object} bgSettings - Background settings
      * @param {Function} onColorsChanged - Callback when colors change
+     * @returns {Promise<void>}
      */
-    handleBackgroundChange(settings, bgSettings, onColorsChanged) {
+    async handleBackgroundChange(settings, bgSettings, onColorsChanged) {
+        // A newer wallpaper change supersedes the extraction still running for the previous one
+        this._backgroundChangeCancellable?.cancel();
+        const cancellable = new Gio.Cancellable();
+        this._backgroundChangeCancellable = cancellable;
+
         try {
             // Get current color scheme preference using singleton
             const colorScheme = this.getSystemColorScheme();
@@ -815,7 +1675,11 @@ export class ColorPalette {
             );
 
             // Extract and apply colors with theme-aware brightness preference
-            const palette = this.extractColorsFromImage(pictureUri, 8, preferLight);
+            const palette = await this.extractColorsFromImage(pictureUri, 8, preferLight, false, cancellable);
+            if (cancellable.is_cancelled()) {
+                this._logger.debug(`Background change processing superseded`);
+                return;
+            }
             this._logger.info(
                 `Auto-extracted ${palette.length} ${preferLight ? "light" : "dark"} colors from "${wallpaperName}"`
             );
@@ -834,7 +1698,15 @@ export class ColorPalette {
 
             this._logger.info(`=== WALLPAPER PROCESSING COMPLETE ===`);
         } catch (e) {
+            if (ColorPalette.isCancelledError(e)) {
+                this._logger.debug(`Background change processing cancelled`);
+                return;
+            }
             this._logger.error(`Error handling background change: ${e.message}`);
+        } finally {
+            if (this._backgroundChangeCancellable === cancellable) {
+                this._backgroundChangeCancellable = null;
+            }
         }
     }
 
@@ -932,9 +1804,23 @@ export class ColorPalette {
 
     /**
      * Extract colors from current background (for manual trigger)
+     * Background XML slideshows resolve to the image on screen; during long transitions
+     * the schemes of both images are crossfaded by transition progress
      * @param {boolean} forceExtraction - If true, bypass cache and force re-extraction
+     * @param {Gio.Cancellable} cancellable - Optional cancellable (newer wallpaper change aborts this one)
+     * @param {Object} panelRegion - Optional panel geometry for regional panel color (see _resolvePanelRect)
+     * @param {boolean|null} forceDark - Extract for this mode instead of the current one (inactive Light/Dark
+     *   overlay of dual-overlays); null = follow color-scheme
+     * @returns {Promise<Object|null>} Color scheme, or null if no wallpaper / extraction failed.
+     *   Slideshows add nextUpdateSeconds (when the scheme should be re-evaluated)
+     * @throws {GLib.Error} Gio.IOErrorEnum.CANCELLED if cancelled
      */
-    extractFromCurrentBackground(forceExtraction = false) {
+    async extractFromCurrentBackground(
+        forceExtraction = false,
+        cancellable = null,
+        panelRegion = null,
+        forceDark = null
+    ) {
         try {
             const bgSettings = this._getBackgroundSettings();
             if (!bgSettings) {
@@ -942,7 +1828,10 @@ export class ColorPalette {
                 return null;
             }
 
-            const colorScheme = this.getSystemColorScheme();
+            let colorScheme = this.getSystemColorScheme();
+            if (forceDark !== null) {
+                colorScheme = forceDark ? "prefer-dark" : "prefer-light";
+            }
             const preferDark = colorScheme === "prefer-dark"; // Only prefer-dark is dark mode
             const pictureKey = preferDark ? "picture-uri-dark" : "picture-uri";
             const pictureUri = bgSettings.get_string(pictureKey);
@@ -953,19 +1842,70 @@ export class ColorPalette {
             }
 
             // Determine if we should prefer light or dark colors
-            // Priority: 1) color-scheme, 2) overlay source theme suffix, 3) gtk-theme suffix
-            let preferLight = !this.shouldPreferDarkColors(this._extensionSettings);
+            // Priority: 1) forced mode, 2) color-scheme, 3) overlay source theme suffix, 4) gtk-theme suffix
+            let preferLight = forceDark !== null ? !forceDark : !this.shouldPreferDarkColors(this._extensionSettings);
 
             // Extract colors with theme-aware brightness preference (propagate forceExtraction)
-            const palette = this.extractColorsFromImage(pictureUri, 8, preferLight, forceExtraction);
+            const schemeFor = async imageUri => {
+                const { palette, panelPalette, fingerprint } = await this.extractPalettes(
+                    imageUri,
+                    8,
+                    preferLight,
+                    forceExtraction,
+                    cancellable,
+                    panelRegion
+                );
+                this._logger.info(
+                    `Extracted ${palette.length} ${preferLight ? "light" : "dark"} colors for ${
+                        preferLight ? "Light" : "Dark"
+                    } theme`
+                );
+                return {
+                    ...this.generateColorScheme(palette, colorScheme, panelPalette),
+                    pinnedColors: this.getPinnedColors(fingerprint)
+                };
+            };
+
+            if (!WallpaperSlideshow.isSlideshowUri(pictureUri)) {
+                return await schemeFor(pictureUri);
+            }
+
+            const frame = await this.getSlideshowFrame(pictureUri, cancellable);
+            if (!frame) {
+                return await schemeFor(pictureUri); // Unusable XML → default palette path
+            }
+
+            const limits = Constants.WALLPAPER_SLIDESHOW;
+            if (frame.type === "static") {
+                this._logger.info(`Slideshow showing "${this._getWallpaperName(frame.uri)}"`);
+                return { ...(await schemeFor(frame.uri)), nextUpdateSeconds: frame.secondsRemaining };
+            }
+
+            if (frame.duration < limits.minCrossfadeDuration) {
+                // Short transition: switch at the midpoint, then once more when it ends
+                const halfway = frame.progress < 0.5;
+                const scheme = await schemeFor(halfway ? frame.from : frame.to);
+                const untilMidpoint = frame.secondsRemaining - frame.duration / 2;
+                return { ...scheme, nextUpdateSeconds: halfway ? untilMidpoint : frame.secondsRemaining };
+            }
+
+            // Long transition (time-of-day): blend both schemes and step through the fade
+            const fromScheme = await schemeFor(frame.from);
+            const toScheme = await schemeFor(frame.to);
+            const step = Math.max(limits.minUpdateIntervalSeconds, frame.duration / limits.crossfadeSteps);
             this._logger.info(
-                `Extracted ${palette.length} ${preferLight ? "light" : "dark"} colors for ${
-                    preferLight ? "Light" : "Dark"
-                } theme`
+                `Slideshow crossfade ${Math.round(frame.progress * 100)}%: "${this._getWallpaperName(
+                    frame.from
+                )}" → "${this._getWallpaperName(frame.to)}"`
             );
-
-            return this.generateColorScheme(palette, colorScheme);
+            return {
+                ...this._blendColorSchemes(fromScheme, toScheme, frame.progress),
+                nextUpdateSeconds: Math.min(step, frame.secondsRemaining)
+            };
         } catch (e) {
+            if (ColorPalette.isCancelledError(e)) {
+                throw e;
+            }
             this._logger.error(`Error in extractFromCurrentBackground: ${e.message}`);
             return null;
         }
@@ -979,21 +1919,209 @@ export class ColorPalette {
             palette = this.getDefaultPalette();
         }
 
-        return palette.slice(0, maxColors).map(color => ThemeUtils.rgbaToCss(...color, 1.0));
+        return this.normalizePalette(palette)
+            .slice(0, maxColors)
+            .map(({ rgb }) => ThemeUtils.rgbaToCss(...rgb, 1.0));
     }
 
     /**
      * Clear color cache
      */
     clearCache() {
+        // A deferred load would bring the entries back
+        this._ensurePersistentCacheLoaded();
+
         this.cache.clear();
+        this._panelCache.clear();
+        this._slideshows.clear();
+        this._cacheMetadata.clear();
+        this._fileFingerprints.clear();
+    }
+
+    // ===== CONTENT FINGERPRINTS =====
+
+    /**
+     * Get content fingerprint of wallpaper file
+     * Unchanged files (same size and mtime) reuse the known fingerprint; otherwise the first and
+     * last blocks are hashed. A file whose content changed invalidates its previous cache entries
+     * @param {string} pictureUri - Image URI
+     * @param {Gio.Cancellable} cancellable - Optional cancellable
+     * @returns {Promise<string>} Fingerprint ("<size hex>-<hash hex>")
+     * @throws {GLib.Error} NOT_FOUND if file is missing, CANCELLED if cancelled
+     * @private
+     */
+    async _getFingerprint(pictureUri, cancellable = null) {
+        const file = Gio.File.new_for_uri(pictureUri);
+        const info = await file.query_info_async(
+            "standard::size,time::modified,time::modified-usec",
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            cancellable
+        );
+        const size = info.get_size();
+        const mtime = this._getModificationTime(info);
+
+        const known = this._fileFingerprints.get(pictureUri);
+        if (known && known.size === size && known.mtime === mtime) {
+            return known.fingerprint;
+        }
+
+        const blockSize = Constants.CACHE_PERSISTENCE.fingerprintBlockSize;
+        const stream = await file.read_async(GLib.PRIORITY_DEFAULT, cancellable);
+        let fingerprint;
+        try {
+            const head = await stream.read_bytes_async(blockSize, GLib.PRIORITY_DEFAULT, cancellable);
+            let tail = null;
+            if (size > blockSize) {
+                stream.seek(Math.max(blockSize, size - blockSize), GLib.SeekType.SET, cancellable);
+                tail = await stream.read_bytes_async(blockSize, GLib.PRIORITY_DEFAULT, cancellable);
+            }
+            fingerprint = this._hashFingerprint(size, head.toArray(), tail?.toArray());
+        } finally {
+            try {
+                await stream.close_async(GLib.PRIORITY_DEFAULT, null);
+            } catch (e) {
+                this._logger.debug(`Error closing fingerprint stream: ${e.message}`);
+            }
+        }
+
+        if (known && known.fingerprint !== fingerprint) {
+            this._logger.info(`♻️  Wallpaper changed on disk: ${this._getWallpaperName(pictureUri)}`);
+            this._fileFingerprints.delete(pictureUri);
+            this._invalidateFingerprint(known.fingerprint);
+        }
+
+        this._fileFingerprints.set(pictureUri, { size, mtime, fingerprint });
+        return fingerprint;
+    }
+
+    /**
+     * Get content fingerprint synchronously (cache migration only - runs once on upgrade)
+     * @param {Gio.File} file - Image file
+     * @param {Gio.FileInfo} info - File info with standard::size
+     * @returns {string} Fingerprint
+     * @private
+     */
+    _getFingerprintSync(file, info) {
+        const size = info.get_size();
+        const blockSize = Constants.CACHE_PERSISTENCE.fingerprintBlockSize;
+        const stream = file.read(null);
+        try {
+            const head = stream.read_bytes(blockSize, null);
+            let tail = null;
+            if (size > blockSize) {
+                stream.seek(Math.max(blockSize, size - blockSize), GLib.SeekType.SET, null);
+                tail = stream.read_bytes(blockSize, null);
+            }
+            return this._hashFingerprint(size, head.toArray(), tail?.toArray());
+        } finally {
+            stream.close(null);
+        }
+    }
+
+    /**
+     * Hash file size and sampled blocks (32-bit FNV-1a)
+     * @param {number} size - File size in bytes
+     * @param {Uint8Array} head - First block
+     * @param {Uint8Array|null} tail - Last block (null for files within one block)
+     * @returns {string} Fingerprint ("<size hex>-<hash hex>")
+     * @private
+     */
+    _hashFingerprint(size, head, tail = null) {
+        let hash = 0x811c9dc5;
+        for (const bytes of [head, tail]) {
+            if (!bytes) continue;
+            for (let i = 0; i < bytes.length; i++) {
+                hash = Math.imul(hash ^ bytes[i], 0x01000193);
+            }
+        }
+        return `${size.toString(16)}-${(hash >>> 0).toString(16).padStart(8, "0")}`;
+    }
+
+    /**
+     * Modification time in microseconds
+     * @param {Gio.FileInfo} info - File info with time::modified and time::modified-usec
+     * @returns {number} mtime (µs since epoch)
+     * @private
+     */
+    _getModificationTime(info) {
+        return info.get_attribute_uint64("time::modified") * 1000000 + info.get_attribute_uint32("time::modified-usec");
+    }
+
+    /**
+     * Record cache use for fingerprint (drives lastUsed in persistent cache)
+     * @param {string} fingerprint - Content fingerprint
+     * @param {string} pictureUri - Image URI the fingerprint was read from
+     * @param {boolean} analyzed - True when palette was (re-)analyzed now
+     * @private
+     */
+    _touchCacheEntry(fingerprint, pictureUri, analyzed = false) {
+        const now = new Date().toISOString();
+        const meta = this._cacheMetadata.get(fingerprint);
+        this._cacheMetadata.set(fingerprint, {
+            wallpaperUri: pictureUri,
+            lastUsed: now,
+            analysisTimestamp: analyzed || !meta ? now : meta.analysisTimestamp,
+            pinned: meta?.pinned ?? false,
+            pinnedColors: meta?.pinnedColors ?? null
+        });
+    }
+
+    /**
+     * Evict oldest in-memory palettes beyond maxCacheSize (pinned wallpapers are never evicted)
+     * @private
+     */
+    _evictCacheOverflow() {
+        while (this.cache.size > this.maxCacheSize) {
+            const victim = [...this.cache.keys()].find(key => !this._cacheMetadata.get(key.split(":")[0])?.pinned);
+            if (!victim) break;
+
+            this.cache.delete(victim);
+            this._logger.debug(`♻️  Evicted oldest cache entry (size: ${this.cache.size}/${this.maxCacheSize})`);
+        }
+    }
+
+    /**
+     * Drop all cached palettes of a fingerprint (content no longer on disk)
+     * Kept if another path still points at identical content
+     * @param {string} fingerprint - Content fingerprint
+     * @private
+     */
+    _invalidateFingerprint(fingerprint) {
+        for (const known of this._fileFingerprints.values()) {
+            if (known.fingerprint === fingerprint) return;
+        }
+
+        this.cache.delete(`${fingerprint}:light`);
+        this.cache.delete(`${fingerprint}:dark`);
+        for (const key of [...this._panelCache.keys()]) {
+            if (key.startsWith(`${fingerprint}:`)) {
+                this._panelCache.delete(key);
+            }
+        }
+        this._cacheMetadata.delete(fingerprint);
+        this._schedulePersistentCacheSave();
     }
 
     // ===== PERSISTENT CACHE METHODS =====
 
     /**
-     * Load persistent cache from disk on extension enable
+     * Load persistent cache now if the deferred load scheduled by the constructor has not run yet
+     * @private
+     */
+    _ensurePersistentCacheLoaded() {
+        if (!this._cacheLoadSourceId) {
+            return;
+        }
+        GLib.source_remove(this._cacheLoadSourceId);
+        this._cacheLoadSourceId = null;
+        this._loadPersistentCache();
+    }
+
+    /**
+     * Load persistent cache from disk (idle after construction, see _ensurePersistentCacheLoaded)
      * Reads wallpaper colors from JSON file to avoid re-analysis
+     * Entries whose file is gone or changed (size/mtime) since analysis are dropped
      * @private
      */
     _loadPersistentCache() {
@@ -1005,17 +2133,17 @@ export class ColorPalette {
                 return;
             }
 
-            const [success, contents] = cacheFile.load_contents(null);
+            const [success, contents, etag] = cacheFile.load_contents(null);
             if (!success) {
                 this._logger.error("Failed to read persistent cache file");
                 return;
             }
+            this._cacheEtag = etag;
 
-            const cacheData = JSON.parse(new TextDecoder().decode(contents));
-
-            // Validate schema version
-            if (cacheData.version !== Constants.CACHE_PERSISTENCE.cacheVersion) {
-                this._logger.warn(`Unsupported cache version ${cacheData.version}, ignoring`);
+            // Bring older cache files up to the current schema
+            const storedData = JSON.parse(new TextDecoder().decode(contents));
+            const cacheData = this._migrateCacheData(storedData);
+            if (!cacheData) {
                 return;
             }
 
@@ -1025,9 +2153,9 @@ export class ColorPalette {
             const staleThreshold = Constants.CACHE_PERSISTENCE.staleAfterDays * 24 * 60 * 60 * 1000;
 
             for (const entry of cacheData.entries || []) {
-                // Skip stale entries (older than 30 days)
+                // Skip stale entries (older than 30 days) unless pinned by user
                 const age = now - new Date(entry.lastUsed).getTime();
-                if (age > staleThreshold) {
+                if (age > staleThreshold && !entry.pinned) {
                     this._logger.debug(
                         `Skipping stale cache entry: ${entry.wallpaperUri} (${Math.floor(
                             age / (24 * 60 * 60 * 1000)
@@ -1042,9 +2170,17 @@ export class ColorPalette {
                     continue;
                 }
 
+                // Skip entries whose file no longer matches what was analyzed
+                if (!this._isCacheEntryCurrent(entry)) {
+                    this._logger.debug(
+                        `Skipping outdated cache entry: ${entry.wallpaperUri} (file changed or removed)`
+                    );
+                    continue;
+                }
+
                 // Populate in-memory cache
-                const lightKey = `${entry.wallpaperUri}:light`;
-                const darkKey = `${entry.wallpaperUri}:dark`;
+                const lightKey = `${entry.fingerprint}:light`;
+                const darkKey = `${entry.fingerprint}:dark`;
 
                 if (entry.lightColors && entry.lightColors.length > 0) {
                     this.cache.set(lightKey, entry.lightColors);
@@ -1053,6 +2189,19 @@ export class ColorPalette {
                     this.cache.set(darkKey, entry.darkColors);
                 }
 
+                this._cacheMetadata.set(entry.fingerprint, {
+                    wallpaperUri: entry.wallpaperUri,
+                    lastUsed: entry.lastUsed,
+                    analysisTimestamp: entry.analysisTimestamp,
+                    pinned: entry.pinned === true,
+                    pinnedColors: entry.pinnedColors ?? null
+                });
+                this._fileFingerprints.set(entry.wallpaperUri, {
+                    size: entry.size,
+                    mtime: entry.mtime,
+                    fingerprint: entry.fingerprint
+                });
+
                 loadedCount++;
             }
 
@@ -1061,19 +2210,116 @@ export class ColorPalette {
                     cacheData.entries?.length || 0
                 } total entries)`
             );
+
+            // Persist migrated schema right away (next load skips migration)
+            if (storedData.version !== cacheData.version) {
+                this._schedulePersistentCacheSave();
+            }
         } catch (e) {
             this._logger.error(`Error loading persistent cache: ${e.message}`);
             // Continue with empty cache on error (graceful degradation)
         }
     }
 
+    /**
+     * Check that the file behind a cache entry still has the analyzed size and mtime
+     * @param {Object} entry - Persistent cache entry
+     * @returns {boolean} True if file exists unchanged
+     * @private
+     */
+    _isCacheEntryCurrent(entry) {
+        try {
+            const info = Gio.File.new_for_uri(entry.wallpaperUri).query_info(
+                "standard::size,time::modified,time::modified-usec",
+                Gio.FileQueryInfoFlags.NONE,
+                null
+            );
+            return info.get_size() === entry.size && this._getModificationTime(info) === entry.mtime;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Migrate persistent cache data to Constants.CACHE_PERSISTENCE.cacheVersion
+     * Applies one migration step per schema version until current
+     * @param {Object} cacheData - Parsed cache file
+     * @returns {Object|null} Cache data in current schema, null if version is unknown
+     * @private
+     */
+    _migrateCacheData(cacheData) {
+        const migrations = {
+            "1.0": data => this._migrateCacheV1(data)
+        };
+
+        let data = cacheData;
+        while (data.version !== Constants.CACHE_PERSISTENCE.cacheVersion) {
+            const migrate = migrations[data.version];
+            if (!migrate) {
+                this._logger.warn(`Unsupported cache version ${data.version}, ignoring`);
+                return null;
+            }
+
+            const fromVersion = data.version;
+            data = migrate(data);
+            this._logger.info(`Migrated persistent cache ${fromVersion} → ${data.version}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Cache schema 1.0 → 2.0: URI keys become content fingerprints
+     * Entries are fingerprinted from the file as it is now (1.0 assumed it never changed);
+     * entries for missing files are dropped
+     * @param {Object} data - Cache data (version 1.0)
+     * @returns {Object} Cache data (version 2.0)
+     * @private
+     */
+    _migrateCacheV1(data) {
+        const entries = [];
+
+        for (const entry of data.entries || []) {
+            if (!entry.wallpaperUri) continue;
+
+            try {
+                const file = Gio.File.new_for_uri(entry.wallpaperUri);
+                const info = file.query_info(
+                    "standard::size,time::modified,time::modified-usec",
+                    Gio.FileQueryInfoFlags.NONE,
+                    null
+                );
+                entries.push({
+                    ...entry,
+                    fingerprint: this._getFingerprintSync(file, info),
+                    size: info.get_size(),
+                    mtime: this._getModificationTime(info)
+                });
+            } catch (e) {
+                this._logger.debug(`Dropping 1.0 cache entry ${entry.wallpaperUri}: ${e.message}`);
+            }
+        }
+
+        return { ...data, version: "2.0", entries };
+    }
+
     /**
      * Save in-memory cache to disk
      * Called on extension disable and periodically during runtime
+     * Write is conditional on the etag we last saw - if the other process (preferences or
+     * extension) changed the file meanwhile, its changes are merged in first
      * @private
      */
     _savePersistentCache() {
+        // Never write an in-memory cache that does not hold the file's entries yet
+        this._ensurePersistentCacheLoaded();
+
         try {
+            if (this._cacheEtag !== null && this._readCacheEtag() !== this._cacheEtag) {
+                this._logger.debug("Cache file changed by another process - merging before save");
+                this._reloadPersistentCache();
+            }
+
             const cacheDir = Gio.File.new_for_path(`${GLib.get_user_cache_dir()}/cssgnomme`);
 
             // Create cache directory if it doesn't exist
@@ -1082,40 +2328,45 @@ export class ColorPalette {
                 this._logger.debug("Created cache directory");
             }
 
-            // Convert Map to JSON-friendly structure
-            const entries = [];
-            const processedUris = new Set();
+            // Convert Map to JSON-friendly structure (one entry per fingerprint)
+            const entriesByFingerprint = new Map();
 
             for (const [cacheKey, colors] of this.cache.entries()) {
-                // Split on LAST ':' to handle URIs like "file:///path:dark"
-                const lastColonIndex = cacheKey.lastIndexOf(":");
-                const wallpaperUri = cacheKey.substring(0, lastColonIndex);
-                const mode = cacheKey.substring(lastColonIndex + 1);
-
-                if (processedUris.has(wallpaperUri)) {
-                    // Already have entry for this URI, update colors
-                    const entry = entries.find(e => e.wallpaperUri === wallpaperUri);
-                    if (mode === "light") {
-                        entry.lightColors = colors;
-                    } else {
-                        entry.darkColors = colors;
-                    }
-                } else {
-                    // Create new entry
-                    const entry = {
-                        wallpaperUri: wallpaperUri,
-                        lightColors: mode === "light" ? colors : [],
-                        darkColors: mode === "dark" ? colors : [],
-                        lastUsed: new Date().toISOString(),
-                        analysisTimestamp: new Date().toISOString()
+                // Fingerprints contain no ':', mode is the suffix
+                const [fingerprint, mode] = cacheKey.split(":");
+                const meta = this._cacheMetadata.get(fingerprint);
+                const fileState = meta && this._fileFingerprints.get(meta.wallpaperUri);
+                if (!fileState || fileState.fingerprint !== fingerprint) {
+                    continue; // Content no longer on disk at its last known path
+                }
+
+                let entry = entriesByFingerprint.get(fingerprint);
+                if (!entry) {
+                    entry = {
+                        fingerprint,
+                        wallpaperUri: meta.wallpaperUri,
+                        size: fileState.size,
+                        mtime: fileState.mtime,
+                        lightColors: [],
+                        darkColors: [],
+                        lastUsed: meta.lastUsed,
+                        analysisTimestamp: meta.analysisTimestamp,
+                        pinned: meta.pinned === true,
+                        pinnedColors: meta.pinnedColors ?? null
                     };
-                    entries.push(entry);
-                    processedUris.add(wallpaperUri);
+                    entriesByFingerprint.set(fingerprint, entry);
+                }
+
+                if (mode === "light") {
+                    entry.lightColors = colors;
+                } else {
+                    entry.darkColors = colors;
                 }
             }
 
-            // Sort by lastUsed (most recent first) and limit to maxEntries
-            entries.sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
+            // Sort pinned first, then by lastUsed (most recent first) and limit to maxEntries
+            const entries = [...entriesByFingerprint.values()];
+            entries.sort((a, b) => b.pinned - a.pinned || new Date(b.lastUsed) - new Date(a.lastUsed));
             const limitedEntries = entries.slice(0, Constants.CACHE_PERSISTENCE.maxEntries);
 
             const cacheData = {
@@ -1128,13 +2379,17 @@ export class ColorPalette {
             const cacheFile = Gio.File.new_for_path(this._cachePath);
             const jsonString = JSON.stringify(cacheData, null, 2);
 
-            cacheFile.replace_contents(
+            // Atomic replace (temp file + rename) - readers in the other process never see partial JSON
+            const [, etag] = cacheFile.replace_contents(
                 new TextEncoder().encode(jsonString),
                 null,
                 false,
                 Gio.FileCreateFlags.REPLACE_DESTINATION,
                 null
             );
+            this._cacheEtag = etag;
+            this._lastCacheSaveTime = cacheData.created;
+            this._cacheDirty = false;
 
             this._logger.info(`💾 Saved ${limitedEntries.length} wallpapers to persistent cache`);
         } catch (e) {
@@ -1152,6 +2407,7 @@ export class ColorPalette {
         if (!Constants.CACHE_PERSISTENCE.enabled) {
             return;
         }
+        this._cacheDirty = true;
 
         // Cancel existing timer
         if (this._cacheSaveTimer) {
@@ -1180,15 +2436,31 @@ export class ColorPalette {
         if (!entry.wallpaperUri || typeof entry.wallpaperUri !== "string") {
             return false;
         }
+        if (typeof entry.fingerprint !== "string" || entry.fingerprint.includes(":")) {
+            return false;
+        }
+        if (!Number.isFinite(entry.size) || !Number.isFinite(entry.mtime)) {
+            return false;
+        }
+        if (entry.pinned !== undefined && typeof entry.pinned !== "boolean") {
+            return false;
+        }
 
         // Validate color arrays (RGB range 0-255)
+        // Entries are weighted clusters {rgb, weight} or plain [r, g, b] from pre-clustering caches
+        const isValidRgb = rgb =>
+            Array.isArray(rgb) && rgb.length === 3 && rgb.every(v => typeof v === "number" && v >= 0 && v <= 255);
         const validateColorArray = colors => {
             if (!Array.isArray(colors)) return false;
-            return colors.every(
-                rgb =>
-                    Array.isArray(rgb) &&
-                    rgb.length === 3 &&
-                    rgb.every(v => typeof v === "number" && v >= 0 && v <= 255)
+            return colors.every(entry =>
+                Array.isArray(entry)
+                    ? isValidRgb(entry)
+                    : entry !== null &&
+                      typeof entry === "object" &&
+                      isValidRgb(entry.rgb) &&
+                      typeof entry.weight === "number" &&
+                      entry.weight >= 0 &&
+                      entry.weight <= 1
             );
         };
 
@@ -1198,27 +2470,377 @@ export class ColorPalette {
         if (entry.darkColors && !validateColorArray(entry.darkColors)) {
             return false;
         }
+        if (entry.pinnedColors != null && !this._isValidPinnedColors(entry.pinnedColors)) {
+            return false;
+        }
 
         return true;
     }
 
+    // ===== CROSS-PROCESS CACHE SYNC =====
+
+    /**
+     * Watch persistent cache file for changes made by the other process
+     * Extension and preferences each keep a ColorPalette; both write the same file atomically
+     * and reload when the other side saved (own writes are recognized by etag)
+     * @param {Function} onChanged - Optional callback after an external change was loaded,
+     *   called with the Set of fingerprints whose palettes or pins changed
+     */
+    watchPersistentCache(onChanged = null) {
+        if (this._cacheMonitor || !Constants.CACHE_PERSISTENCE.enabled) {
+            return;
+        }
+
+        try {
+            const cacheFile = Gio.File.new_for_path(this._cachePath);
+            const cacheDir = cacheFile.get_parent();
+            if (!cacheDir.query_exists(null)) {
+                cacheDir.make_directory_with_parents(null);
+            }
+
+            this._cacheMonitor = cacheFile.monitor_file(Gio.FileMonitorFlags.WATCH_MOVES, null);
+            this._cacheMonitorId = this._cacheMonitor.connect("changed", () => {
+                // Debounce: one atomic replace emits several events
+                if (this._cacheSyncTimer) {
+                    GLib.source_remove(this._cacheSyncTimer);
+                }
+                this._cacheSyncTimer = GLib.timeout_add(
+                    GLib.PRIORITY_DEFAULT,
+                    Constants.CACHE_PERSISTENCE.syncDebounceMs,
+                    () => {
+                        this._cacheSyncTimer = null;
+                        if (this._readCacheEtag() !== this._cacheEtag) {
+                            this._logger.info("🔄 Palette cache changed by another process - reloading");
+                            const changed = this._reloadPersistentCache();
+                            onChanged?.(changed);
+                        }
+                        return GLib.SOURCE_REMOVE;
+                    }
+                );
+            });
+            this._logger.debug("Watching persistent cache for external changes");
+        } catch (e) {
+            this._logger.warn(`Cannot watch persistent cache: ${e.message}`);
+        }
+    }
+
+    /**
+     * Read current etag of cache file
+     * @returns {string|null} Etag, null if file is missing
+     * @private
+     */
+    _readCacheEtag() {
+        try {
+            return Gio.File.new_for_path(this._cachePath)
+                .query_info("etag::value", Gio.FileQueryInfoFlags.NONE, null)
+                .get_etag();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Reload persistent cache, keeping palettes analyzed here since our last save
+     * (they are not on disk yet and would otherwise be lost)
+     * @returns {Set} Fingerprints added, removed or with different palettes / pins after the reload
+     * @private
+     */
+    _reloadPersistentCache() {
+        this._ensurePersistentCacheLoaded();
+
+        const before = new Map();
+        for (const fingerprint of this._cacheMetadata.keys()) {
+            before.set(fingerprint, this._getCacheEntrySignature(fingerprint));
+        }
+
+        const unsaved = [];
+        for (const [fingerprint, meta] of this._cacheMetadata.entries()) {
+            if (this._lastCacheSaveTime === null || meta.analysisTimestamp > this._lastCacheSaveTime) {
+                unsaved.push({
+                    fingerprint,
+                    meta,
+                    fileState: this._fileFingerprints.get(meta.wallpaperUri),
+                    light: this.cache.get(`${fingerprint}:light`),
+                    dark: this.cache.get(`${fingerprint}:dark`)
+                });
+            }
+        }
+
+        this.cache.clear();
+        this._cacheMetadata.clear();
+        this._fileFingerprints.clear();
+        this._loadPersistentCache();
+
+        for (const { fingerprint, meta, fileState, light, dark } of unsaved) {
+            if (this._cacheMetadata.has(fingerprint)) continue;
+
+            this._cacheMetadata.set(fingerprint, meta);
+            if (fileState) this._fileFingerprints.set(meta.wallpaperUri, fileState);
+            if (light) this.cache.set(`${fingerprint}:light`, light);
+            if (dark) this.cache.set(`${fingerprint}:dark`, dark);
+        }
+
+        const changed = new Set();
+        for (const fingerprint of new Set([...before.keys(), ...this._cacheMetadata.keys()])) {
+            if (before.get(fingerprint) !== this._getCacheEntrySignature(fingerprint)) {
+                changed.add(fingerprint);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Comparable form of what a cache entry contributes to the applied colors (lastUsed is ignored)
+     * @param {string} fingerprint - Wallpaper fingerprint
+     * @returns {string|undefined} Signature, undefined if the entry does not exist
+     * @private
+     */
+    _getCacheEntrySignature(fingerprint) {
+        const meta = this._cacheMetadata.get(fingerprint);
+        if (!meta) return undefined;
+
+        return JSON.stringify({
+            pinned: meta.pinned,
+            pinnedColors: meta.pinnedColors,
+            light: this.cache.get(`${fingerprint}:light`) ?? null,
+            dark: this.cache.get(`${fingerprint}:dark`) ?? null
+        });
+    }
+
+    // ===== CACHE MANAGEMENT =====
+
+    /**
+     * List cached wallpapers (for the preferences cache page)
+     * @returns {Array} [{fingerprint, wallpaperUri, lightColors, darkColors, lastUsed, analysisTimestamp, pinned,
+     *   pinnedColors}]
+     *   most recently used first
+     */
+    getCacheEntries() {
+        this._ensurePersistentCacheLoaded();
+
+        const entries = [];
+        for (const [fingerprint, meta] of this._cacheMetadata.entries()) {
+            const lightColors = this.cache.get(`${fingerprint}:light`) ?? [];
+            const darkColors = this.cache.get(`${fingerprint}:dark`) ?? [];
+            if (lightColors.length === 0 && darkColors.length === 0) continue;
+
+            entries.push({ fingerprint, ...meta, lightColors, darkColors });
+        }
+        return entries.sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
+    }
+
+    /**
+     * Cache entry of the wallpaper currently shown (picture-uri-dark in dark mode)
+     * @returns {Object|null} Entry as in getCacheEntries() or null if not analyzed yet
+     */
+    getCurrentWallpaperEntry() {
+        const bgSettings = this._getBackgroundSettings();
+        if (!bgSettings) return null;
+
+        const pictureKey = this.getSystemColorScheme() === "prefer-dark" ? "picture-uri-dark" : "picture-uri";
+        const pictureUri = bgSettings.get_string(pictureKey);
+        return this.getCacheEntries().find(entry => entry.wallpaperUri === pictureUri) ?? null;
+    }
+
+    /**
+     * Remove wallpaper from cache (next use re-analyzes it)
+     * @param {string} fingerprint - Content fingerprint of entry
+     */
+    deleteCacheEntry(fingerprint) {
+        const meta = this._cacheMetadata.get(fingerprint);
+        if (!meta) return;
+
+        this.cache.delete(`${fingerprint}:light`);
+        this.cache.delete(`${fingerprint}:dark`);
+        for (const key of [...this._panelCache.keys()]) {
+            if (key.startsWith(`${fingerprint}:`)) {
+                this._panelCache.delete(key);
+            }
+        }
+        this._cacheMetadata.delete(fingerprint);
+
+        this._logger.info(`🗑️  Removed cached palette: ${this._getWallpaperName(meta.wallpaperUri)}`);
+        this._savePersistentCacheNow();
+    }
+
+    /**
+     * Pin or unpin cache entry (pinned entries survive staleness pruning and eviction)
+     * @param {string} fingerprint - Content fingerprint of entry
+     * @param {boolean} pinned - New pin state
+     */
+    setCacheEntryPinned(fingerprint, pinned) {
+        const meta = this._cacheMetadata.get(fingerprint);
+        if (!meta || meta.pinned === pinned) return;
+
+        meta.pinned = pinned;
+        this._logger.info(
+            `📌 ${pinned ? "Pinned" : "Unpinned"} cached palette: ${this._getWallpaperName(meta.wallpaperUri)}`
+        );
+        this._savePersistentCacheNow();
+    }
+
+    /**
+     * Re-analyze cached wallpaper in both light and dark modes
+     * If the file changed on disk, the entry is replaced by one for the new content (pin is kept)
+     * @param {string} fingerprint - Content fingerprint of entry
+     * @param {Gio.Cancellable} cancellable - Optional cancellable
+     * @returns {Promise<void>}
+     */
+    async reextractCacheEntry(fingerprint, cancellable = null) {
+        const meta = this._cacheMetadata.get(fingerprint);
+        if (!meta) return;
+
+        const { wallpaperUri, pinned, pinnedColors } = meta;
+        await this.extractPalettes(wallpaperUri, 8, true, true, cancellable);
+        await this.extractPalettes(wallpaperUri, 8, false, true, cancellable);
+
+        const current = this._fileFingerprints.get(wallpaperUri)?.fingerprint;
+        if (current && current !== fingerprint) {
+            this.deleteCacheEntry(fingerprint);
+        }
+        if (current) {
+            const currentMeta = this._cacheMetadata.get(current);
+            currentMeta.pinned ||= pinned;
+            currentMeta.pinnedColors ??= pinnedColors;
+        }
+
+        this._savePersistentCacheNow();
+    }
+
+    /**
+     * Save persistent cache immediately (user actions - the other process should see them right away)
+     * @private
+     */
+    _savePersistentCacheNow() {
+        if (!Constants.CACHE_PERSISTENCE.enabled) {
+            return;
+        }
+        if (this._cacheSaveTimer) {
+            GLib.source_remove(this._cacheSaveTimer);
+            this._cacheSaveTimer = null;
+        }
+        this._savePersistentCache();
+    }
+
+    // ===== PINNED COLORS =====
+
+    /**
+     * Colors pinned by the user for a wallpaper (used in light and dark mode alike)
+     * @param {string|null} fingerprint - Content fingerprint of wallpaper
+     * @returns {Object|null} {accent?, panel?, popup?} as [r, g, b] or null if nothing pinned
+     */
+    getPinnedColors(fingerprint) {
+        return (fingerprint && this._cacheMetadata.get(fingerprint)?.pinnedColors) ?? null;
+    }
+
+    /**
+     * Pin accent / panel / popup colors to a wallpaper
+     * Pinning colors also pins the cache entry, so the choice survives staleness pruning
+     * @param {string} fingerprint - Content fingerprint of entry
+     * @param {Object|null} pinnedColors - {accent?, panel?, popup?} as [r, g, b]; null or {} removes all pins
+     * @throws {Error} If a role is unknown or a color is not a valid [r, g, b] triplet
+     */
+    setPinnedColors(fingerprint, pinnedColors) {
+        const meta = this._cacheMetadata.get(fingerprint);
+        if (!meta) return;
+
+        const hasColors = pinnedColors && Object.keys(pinnedColors).length > 0;
+        if (hasColors && !this._isValidPinnedColors(pinnedColors)) {
+            throw new Error(`Invalid pinned colors: ${JSON.stringify(pinnedColors)}`);
+        }
+
+        meta.pinnedColors = hasColors ? { ...pinnedColors } : null;
+        if (hasColors) {
+            meta.pinned = true;
+        }
+
+        const roles = hasColors ? Object.keys(pinnedColors).join(", ") : "none";
+        this._logger.info(`🎯 Pinned colors for ${this._getWallpaperName(meta.wallpaperUri)}: ${roles}`);
+        this._savePersistentCacheNow();
+    }
+
+    /**
+     * Check pinned colors object (known roles, RGB 0-255 triplets)
+     * @param {Object} pinnedColors - {accent?, panel?, popup?}
+     * @returns {boolean} True if valid
+     * @private
+     */
+    _isValidPinnedColors(pinnedColors) {
+        if (typeof pinnedColors !== "object" || Array.isArray(pinnedColors)) {
+            return false;
+        }
+        return Object.entries(pinnedColors).every(
+            ([role, rgb]) =>
+                Constants.CACHE_PERSISTENCE.pinnedColorRoles.includes(role) &&
+                Array.isArray(rgb) &&
+                rgb.length === 3 &&
+                rgb.every(v => Number.isInteger(v) && v >= 0 && v <= 255)
+        );
+    }
+
+    /**
+     * Pinned colors during a slideshow crossfade
+     * Roles pinned on both images are blended; otherwise the image closer in time decides
+     * @param {Object} from - Color scheme at progress 0
+     * @param {Object} to - Color scheme at progress 1
+     * @param {number} progress - Crossfade progress (0-1)
+     * @returns {Object|null} Pinned colors for the blended scheme
+     * @private
+     */
+    _blendPinnedColors(from, to, progress) {
+        const a = from.pinnedColors;
+        const b = to.pinnedColors;
+        if (!a || !b) {
+            return (progress < 0.5 ? a : b) ?? null;
+        }
+
+        const blended = { ...(progress < 0.5 ? a : b) };
+        for (const role of Object.keys(blended)) {
+            if (a[role] && b[role]) {
+                blended[role] = ThemeUtils.mixOklab(a[role], b[role], progress);
+            }
+        }
+        return blended;
+    }
+
     /**
      * Cleanup and disconnect monitors
      * MEMORY LEAK FIX: Cancel pending GC timers
      */
     destroy() {
         // Save cache to disk before cleanup (if enabled)
-        if (Constants.CACHE_PERSISTENCE.enabled && this._cacheSaveTimer === null) {
-            // Only save if no pending timer (avoid double-save)
+        if (Constants.CACHE_PERSISTENCE.enabled && this._cacheDirty) {
+            // Only save unsaved changes (incl. pending debounced save) - an unchanged rewrite
+            // would make the other process reload for nothing
             this._savePersistentCache();
         }
 
+        // Deferred load never ran - nothing to save or release
+        if (this._cacheLoadSourceId) {
+            GLib.source_remove(this._cacheLoadSourceId);
+            this._cacheLoadSourceId = null;
+        }
+
         // Cancel pending cache save timer
         if (this._cacheSaveTimer) {
             GLib.source_remove(this._cacheSaveTimer);
             this._cacheSaveTimer = null;
         }
 
+        // Stop watching shared cache file
+        if (this._cacheSyncTimer) {
+            GLib.source_remove(this._cacheSyncTimer);
+            this._cacheSyncTimer = null;
+        }
+        if (this._cacheMonitor) {
+            if (this._cacheMonitorId) {
+                this._cacheMonitor.disconnect(this._cacheMonitorId);
+                this._cacheMonitorId = null;
+            }
+            this._cacheMonitor.cancel();
+            this._cacheMonitor = null;
+        }
+
         // MEMORY LEAK FIX: Cancel all pending GC timers
         if (this._pendingGcTimers.size > 0) {
             this._logger.debug(`Cancelling ${this._pendingGcTimers.size} pending GC timers`);
@@ -1232,6 +2854,28 @@ export class ColorPalette {
             this._pendingGcTimers.clear();
         }
 
+        // MEMORY LEAK FIX: Remove idle sources of in-flight chunked analysis
+        // Waiters are rejected as cancelled so their finally blocks dispose pixbufs
+        if (this._pendingIdleSources.size > 0) {
+            this._logger.debug(`Cancelling ${this._pendingIdleSources.size} pending analysis chunks`);
+            this._pendingIdleSources.forEach((reject, sourceId) => {
+                GLib.source_remove(sourceId);
+                reject(
+                    new Gio.IOErrorEnum({
+                        code: Gio.IOErrorEnum.CANCELLED,
+                        message: "ColorPalette destroyed during analysis"
+                    })
+                );
+            });
+            this._pendingIdleSources.clear();
+        }
+
+        // Abort wallpaper change extraction in flight
+        if (this._backgroundChangeCancellable) {
+            this._backgroundChangeCancellable.cancel();
+            this._backgroundChangeCancellable = null;
+        }
+
         // Disconnect background monitors using proper settings references
         if (this._monitorIds && this._monitorIds.length > 0) {
             const monitorCount = this._monitorIds.length;
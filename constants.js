@@ -33,12 +33,178 @@ export const Constants = {
     COLOR_ANALYSIS_TARGET_SAMPLES: 10000,
 
     /**
-     * Color quantization step for clustering similar colors
-     * Step of 16 (256/16 = 16 levels per channel) balances:
-     * - Reducing similar colors (e.g., RGB(100,50,30) ≈ RGB(105,55,35))
-     * - Preserving distinct hues
+     * Main loop time slice for chunked color analysis (milliseconds)
+     * Pixel sampling and clustering yield to the main loop once a slice exceeds this budget,
+     * keeping the compositor responsive (~half a 60Hz frame) during wallpaper analysis
+     */
+    COLOR_ANALYSIS_SLICE_MS: 8,
+
+    /**
+     * K-means++ clustering of sampled pixels (performed in OKLab space)
+     * - maxIterations: Lloyd iterations cap (palettes typically converge in 8-15)
+     * - convergenceDelta: Stop when no centroid moves further than this (OKLab units, ~0.5% lightness)
+     * - mergeDistance: Centroids closer than this (OKLab euclidean, ~2x just-noticeable difference)
+     *   are merged so smooth gradients don't consume several palette slots
+     * - minClusterWeight: Clusters below this population share are treated as noise
+     *   when picking accent and background colors (small clusters above it can still win the accent)
+     * - seed: Fixed PRNG seed so the same wallpaper always yields the same palette
+     *   (keeps persistent cache and re-extraction results stable)
+     */
+    COLOR_CLUSTERING: {
+        maxIterations: 20,
+        convergenceDelta: 0.005,
+        mergeDistance: 0.04,
+        minClusterWeight: 0.01,
+        seed: 0x9e3779b9
+    },
+
+    /**
+     * Panel-region sampling (wallpaper strip behind the panel drives the panel color)
+     * - maxColors: Clusters extracted from the strip (narrow region, few distinct colors)
+     * - paddingPx: Extra monitor pixels sampled beyond the panel edge (blur and shadow bleed)
+     */
+    PANEL_REGION_SAMPLING: {
+        maxColors: 4,
+        paddingPx: 8
+    },
+
+    /**
+     * GNOME background XML slideshows (time-of-day wallpapers)
+     * - minCrossfadeDuration: Shorter transitions switch palettes at their midpoint instead of blending
+     *   (a 5s overlay fade isn't worth regenerating CSS several times)
+     * - crossfadeSteps: Palette updates spread across a long transition
+     * - minUpdateIntervalSeconds: Lower bound between scheduled updates (limits CSS regeneration)
+     */
+    WALLPAPER_SLIDESHOW: {
+        minCrossfadeDuration: 300,
+        crossfadeSteps: 6,
+        minUpdateIntervalSeconds: 60
+    },
+
+    /**
+     * Named swatches picked from the clustered palette (Android Palette style)
+     * - targets: HSL lightness / saturation as [min, target, max] (0-1) per swatch, in selection order.
+     *   Each palette color is used by at most one swatch; missing swatches are derived from a
+     *   neighbour of the same family by moving it to the target lightness
+     * - weights: Score = saturation closeness + lightness closeness + relative population
+     * - roles: Settings keys that assign a swatch ("auto" keeps the built-in background/accent logic)
+     */
+    PALETTE_SWATCHES: {
+        targets: {
+            LightVibrant: { lightness: [0.55, 0.74, 1.0], saturation: [0.35, 1.0, 1.0] },
+            Vibrant: { lightness: [0.3, 0.5, 0.7], saturation: [0.35, 1.0, 1.0] },
+            DarkVibrant: { lightness: [0.0, 0.26, 0.45], saturation: [0.35, 1.0, 1.0] },
+            LightMuted: { lightness: [0.55, 0.74, 1.0], saturation: [0.0, 0.3, 0.4] },
+            Muted: { lightness: [0.3, 0.5, 0.7], saturation: [0.0, 0.3, 0.4] },
+            DarkMuted: { lightness: [0.0, 0.26, 0.45], saturation: [0.0, 0.3, 0.4] }
+        },
+        weights: {
+            saturation: 0.24,
+            lightness: 0.52,
+            population: 0.24
+        },
+        roles: {
+            panel: "swatch-panel",
+            popup: "swatch-popup",
+            border: "swatch-border",
+            shadow: "swatch-shadow"
+        }
+    },
+
+    /**
+     * Color harmony modes for generateColorScheme (color-harmony setting)
+     * Popup, border and hover colors are derived from the wallpaper accent hue: hue offsets are
+     * OKLCH degrees (monochromatic uses lightness steps instead). minContrast holds the WCAG
+     * ratios each color must reach against the background - modes whose colors
+     * differ only in lightness need more of it than modes separated by hue
+     */
+    COLOR_HARMONY: {
+        modes: {
+            monochromatic: {
+                minContrast: { accent: 3.0, popup: 1.6, border: 2.2, hover: 1.25 }
+            },
+            analogous: {
+                hues: { popup: 30, border: -30, hover: 30 },
+                minContrast: { accent: 3.0, popup: 1.4, border: 1.8, hover: 1.2 }
+            },
+            complementary: {
+                hues: { popup: 180, border: 180, hover: 180 },
+                minContrast: { accent: 3.0, popup: 1.3, border: 1.5, hover: 1.15 }
+            },
+            "split-complementary": {
+                hues: { popup: 150, border: 210, hover: 150 },
+                minContrast: { accent: 3.0, popup: 1.3, border: 1.5, hover: 1.15 }
+            },
+            triadic: {
+                hues: { popup: 120, border: 240, hover: 120 },
+                minContrast: { accent: 3.0, popup: 1.35, border: 1.6, hover: 1.15 }
+            }
+        },
+        monochromaticSteps: { popup: 1, border: 2 }, // Shade steps away from background (generateColorPalette, 0.2 each)
+        hoverMix: 0.2 // Share of harmony color mixed into the background for hover
+    },
+
+    /**
+     * Material 3 style tonal palettes and color roles (see materialColors.js)
+     * Tones are CIELAB L* (0 = black, 100 = white); palettes keep hue and chroma of the seed
+     * (CIE LCh). Role table: [palette, light tone, dark tone] following the Material 3 baseline,
+     * plus shadowTint for the accent-tinted shadows CSSGnomme uses
      */
-    COLOR_QUANTIZATION_STEP: 16,
+    MATERIAL_COLORS: {
+        tones: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100],
+        palettes: {
+            primary: { hueShift: 0, minChroma: 40 }, // Seed chroma, raised to minChroma for colorful seeds
+            secondary: { hueShift: 0, chroma: 16 },
+            tertiary: { hueShift: 60, chroma: 24 },
+            neutral: { hueShift: 0, chroma: 4 },
+            neutralVariant: { hueShift: 0, chroma: 8 }
+        },
+        neutralSeedChroma: 8, // Seeds below this chroma (grey themes) keep their chroma - no invented color
+        roles: {
+            primary: ["primary", 40, 80],
+            onPrimary: ["primary", 100, 20],
+            primaryContainer: ["primary", 90, 30],
+            onPrimaryContainer: ["primary", 10, 90],
+            inversePrimary: ["primary", 80, 40],
+            surfaceTint: ["primary", 40, 80],
+            secondary: ["secondary", 40, 80],
+            onSecondary: ["secondary", 100, 20],
+            secondaryContainer: ["secondary", 90, 30],
+            onSecondaryContainer: ["secondary", 10, 90],
+            tertiary: ["tertiary", 40, 80],
+            onTertiary: ["tertiary", 100, 20],
+            tertiaryContainer: ["tertiary", 90, 30],
+            onTertiaryContainer: ["tertiary", 10, 90],
+            surface: ["neutral", 98, 6],
+            onSurface: ["neutral", 10, 90],
+            surfaceContainerLowest: ["neutral", 100, 4],
+            surfaceContainerLow: ["neutral", 96, 10],
+            surfaceContainer: ["neutral", 94, 12],
+            surfaceContainerHigh: ["neutral", 92, 17],
+            surfaceContainerHighest: ["neutral", 90, 22],
+            inverseSurface: ["neutral", 20, 90],
+            inverseOnSurface: ["neutral", 95, 20],
+            surfaceVariant: ["neutralVariant", 90, 30],
+            onSurfaceVariant: ["neutralVariant", 30, 80],
+            outline: ["neutralVariant", 50, 60],
+            outlineVariant: ["neutralVariant", 80, 30],
+            shadowTint: ["primary", 95, 10]
+        },
+        // [foreground, background, minimum WCAG ratio] - verified after tone lookup
+        contrastPairs: [
+            ["onPrimary", "primary", 4.5],
+            ["onPrimaryContainer", "primaryContainer", 4.5],
+            ["onSecondary", "secondary", 4.5],
+            ["onSecondaryContainer", "secondaryContainer", 4.5],
+            ["onTertiary", "tertiary", 4.5],
+            ["onTertiaryContainer", "tertiaryContainer", 4.5],
+            ["onSurface", "surface", 4.5],
+            ["onSurfaceVariant", "surfaceVariant", 4.5],
+            ["inverseOnSurface", "inverseSurface", 4.5],
+            ["primary", "surface", 3.0],
+            ["outline", "surface", 3.0]
+        ]
+    },
 
     /**
      * Minimum color saturation delta to avoid grayscale
@@ -59,6 +225,42 @@ export const Constants = {
         dark: { min: 20, max: 180 } // Unchanged: dark mode already works well
     }, // === OVERLAY THEME SETTINGS ===
 
+    /**
+     * GTK refresh by theme-name alternation
+     * ~/.themes/<overlay><aliasSuffix> is a symlink to the overlay; refreshTheme switches gtk-theme between
+     * the two names, so GTK reloads the overlay with a single change and never shows another theme
+     */
+    OVERLAY_REFRESH: {
+        aliasSuffix: "-Alt"
+    },
+
+    /**
+     * Light/Dark overlay pair (dual-overlays setting)
+     * Each color scheme gets its own overlay <overlay><variantSuffix>; the inactive one is rebuilt
+     * regenerateDelay seconds (GLib low priority) after the last change that affects it.
+     * Changes to ignoredKeys never make it stale (no effect on generated CSS or colors)
+     */
+    DUAL_OVERLAYS: {
+        variantSuffixes: { light: "-Light", dark: "-Dark" },
+        regenerateDelay: 5,
+        ignoredKeys: [
+            "initialized",
+            "hide-tray-icon",
+            "notifications-enabled",
+            "debug-logging",
+            "active-profile",
+            "enable-overlay-theme",
+            "dual-overlays",
+            "auto-switch-color-scheme",
+            "shell-stylesheet-backend",
+            "original-user-theme",
+            "original-shell-theme",
+            "manual-apply-trigger",
+            "trigger-color-extraction",
+            "trigger-recreate-overlay"
+        ]
+    },
+
     /**
      * Debounce delays for overlay theme updates (milliseconds)
      * Different contexts require different timing to balance UX and performance
@@ -66,7 +268,82 @@ export const Constants = {
     OVERLAY_UPDATE_DEBOUNCE: {
         userSettings: 2000, // Prefs.js slider adjustments (user "tuning")
         colorScheme: 800, // Dark/Light automatic switch (balance speed/hardware)
-        wallpaper: 800 // Wallpaper change (same as color-scheme for consistency)
+        wallpaper: 800, // Wallpaper change (same as color-scheme for consistency)
+        sourceTheme: 3000, // Source theme files changed on disk (package updates write many files)
+        customCss: 500 // User CSS snippet saved (editors write temp file + rename)
+    },
+
+    /**
+     * Overlay index.theme metadata
+     * Bump version when the overlay layout changes - the integrity check on enable rebuilds
+     * overlays written with any other version
+     */
+    OVERLAY_METADATA: {
+        version: "1.1"
+    },
+
+    /**
+     * Shell stylesheet backends (shell-stylesheet-backend setting)
+     * user-theme is used only while that extension is active and its schema is installed system-wide;
+     * otherwise gnome-shell.css is loaded straight into St.ThemeContext
+     */
+    SHELL_STYLESHEET: {
+        backends: ["auto", "user-theme", "theme-context"],
+        userThemeUuid: "user-theme@gnome-shell-extensions.gcampax.github.com",
+        userThemeSchema: "org.gnome.shell.extensions.user-theme"
+    },
+
+    /**
+     * Shell overlay components - one stylesheet each in gnome-shell/components/<name>.css
+     * Names match _createComponentCacheKey; only components whose key changed are rewritten and
+     * hot-swapped. Load order = list order (fluent first: it used to be the tail of base-theme.css;
+     * custom last: user snippets override everything generated). A hot swap reloads the changed component
+     * and every one after it, so custom is reloaded after any swap and stays last
+     */
+    SHELL_COMPONENTS: {
+        directory: "components",
+        names: ["fluent", "panel", "popup", "zorin", "quick-settings", "custom"]
+    },
+
+    /**
+     * User CSS snippets appended after the generated overrides (~/.config/cssgnomme/custom/<target>.css)
+     * gnome-shell.css becomes the "custom" Shell component (loaded last), gtk-3.0.css/gtk-4.0.css are
+     * appended to that version's gtk.css and gtk-dark.css. ${name} placeholders are filled from the palette
+     */
+    CUSTOM_CSS: {
+        directory: "cssgnomme/custom", // Relative to GLib.get_user_config_dir()
+        targets: ["gnome-shell", "gtk-3.0", "gtk-4.0"],
+        placeholderPattern: /\$\{([a-z][a-z0-9-]*)\}/g
+    },
+
+    /**
+     * Managed color block in the user's GTK4 stylesheet (~/.config/gtk-4.0/gtk.css)
+     * libadwaita apps ignore gtk-theme but always load this file, so named colors set here
+     * reach them. Only the text between the markers is ever rewritten or removed
+     */
+    GTK4_USER_CSS: {
+        directory: "gtk-4.0", // Relative to GLib.get_user_config_dir()
+        fileName: "gtk.css",
+        beginMarker: "/* BEGIN CSSGnomme managed colors - edits inside this block are overwritten */",
+        endMarker: "/* END CSSGnomme managed colors */",
+        accentMinContrast: 4.5 // accent_color is used as text on window/view backgrounds
+    },
+
+    /**
+     * GNOME named accent colors (org.gnome.desktop.interface accent-color, GNOME 47+)
+     * RGB values are libadwaita's accent_bg_color for each name; the overlay accent is mapped
+     * to the nearest one by CIEDE2000 distance
+     */
+    GNOME_ACCENT_COLORS: {
+        blue: [53, 132, 228],
+        teal: [33, 144, 164],
+        green: [58, 148, 74],
+        yellow: [200, 136, 0],
+        orange: [237, 91, 0],
+        red: [230, 45, 66],
+        pink: [213, 97, 153],
+        purple: [145, 65, 172],
+        slate: [111, 131, 150]
     },
 
     /**
@@ -101,14 +378,92 @@ export const Constants = {
      * Memory/Disk Impact:
      * - maxEntries: 100 wallpapers = ~50KB disk space (negligible)
      * - saveDebounceMs: 15s provides quick persistence while preventing excessive I/O
+     *
+     * Entries are keyed by content fingerprint (file size + FNV-1a hash of first and last
+     * fingerprintBlockSize bytes), so a wallpaper overwritten in place gets re-analyzed.
+     * Older cache files are migrated step by step up to cacheVersion (see ColorPalette._migrateCacheData)
      */
     CACHE_PERSISTENCE: {
         enabled: true, // Enable persistent cache (can be controlled via GSettings in future)
         maxEntries: 100, // Maximum number of wallpapers to cache (increased from 50 for better retention)
         saveDebounceMs: 15000, // 15s debounce after last cache change (reduced from 30s for faster persistence)
-        cacheVersion: "1.0", // Schema version for future migrations
+        cacheVersion: "2.0", // Schema version (2.0: content fingerprint keys)
+        fingerprintBlockSize: 16384, // Bytes hashed at start and end of image file
+        syncDebounceMs: 500, // Delay before reloading cache file changed by the other process (prefs ↔ extension)
         staleAfterDays: 30, // Remove entries older than 30 days (cleanup)
-        cacheFileName: "wallpaper-colors.json" // File name in cache directory
+        cacheFileName: "wallpaper-colors.json", // File name in cache directory
+        pinnedColorRoles: ["accent", "panel", "popup"] // Colors a user can pin per wallpaper (stored in cache entry)
+    },
+
+    /**
+     * Named settings profiles (see SettingsProfiles)
+     * Stored in GLib.get_user_data_dir()/cssgnomme/fileName; keys lists everything a profile snapshots.
+     * Appearance keys only: wallpaper extraction toggles, source theme and debug settings stay per-machine.
+     */
+    SETTINGS_PROFILES: {
+        fileName: "profiles.json",
+        formatVersion: 1,
+        keys: [
+            "panel-opacity",
+            "menu-opacity",
+            "override-panel-color",
+            "choose-override-panel-color",
+            "override-popup-color",
+            "choose-override-popup-color",
+            "harmony-hover-color",
+            "border-radius",
+            "apply-panel-radius",
+            "panel-margin",
+            "auto-detect-radius",
+            "enable-blur",
+            "blur-radius",
+            "blur-saturate",
+            "blur-contrast",
+            "blur-brightness",
+            "blur-background",
+            "blur-border-color",
+            "blur-border-width",
+            "blur-opacity",
+            "shadow-strength",
+            "shadow-color",
+            "enable-alttab-styling",
+            "zorin-tint-strength",
+            "gtk4-user-colors",
+            "sync-gnome-accent-color",
+            "swatch-panel",
+            "swatch-popup",
+            "swatch-border",
+            "swatch-shadow",
+            "color-harmony"
+        ]
+    },
+
+    /**
+     * Configuration import/export document (see SettingsProfiles.exportConfiguration)
+     * The document carries every schema key except excludedKeys (machine state and one-shot triggers);
+     * the source theme travels as sourceTheme. Documents newer than formatVersion are rejected.
+     */
+    CONFIG_TRANSFER: {
+        format: "cssgnomme-config",
+        formatVersion: 1,
+        fileExtension: ".json",
+        excludedKeys: [
+            "initialized",
+            "overlay-source-theme", // Exported as sourceTheme
+            "original-user-theme",
+            "original-shell-theme",
+            "manual-apply-trigger",
+            "trigger-color-extraction",
+            "trigger-recreate-overlay",
+            "active-profile"
+        ],
+        colorKeys: [
+            "choose-override-panel-color",
+            "choose-override-popup-color",
+            "blur-background",
+            "blur-border-color",
+            "shadow-color"
+        ]
     }, // === UI SETTINGS ===
 
     /**
@@ -176,10 +531,21 @@ export const Constants = {
     },
 
     /**
-     * Color adjustment step for contrast enhancement
-     * When auto-generating foreground colors
+     * Precision of OKLCH lightness search for contrast enhancement
+     * Fraction of the distance to white/black; 0.01 = within 1% of the minimal adjustment
+     */
+    CONTRAST_SEARCH_PRECISION: 0.01,
+
+    /**
+     * APCA lightness contrast minimums (|Lc|, see ThemeUtils.apcaContrast)
+     * Perceptual complement to WCAG ratios - better behaved for dark themes
      */
-    CONTRAST_ADJUSTMENT_STEP: 0.1,
+    MIN_APCA_CONTRAST: {
+        body: 75,
+        content: 60,
+        large: 45,
+        ui: 30
+    },
 
     /**
      * Auto-highlight intensity for hover effects
@@ -392,6 +758,40 @@ export const Constants = {
      */
     ZORIN_THEME_KEYWORDS: ["zorin", "zorinblue", "zorinos"],
 
+    /**
+     * Theme name tokens for ThemeFamilyResolver (themeFamilies.js), matched case-insensitively
+     * - colors: Color words used by theme families (ZorinRed, Orchis-Purple, Fluent-teal, Yaru-olive, ...)
+     * - variants: Dark/Light tokens; any other token is a style modifier (round, compact, solid, ...)
+     * - neutralChroma: Accents below this OKLCH chroma count as grey when matching a color variant
+     *   to the wallpaper accent - grey wallpapers pick grey variants, colorful ones never do
+     */
+    THEME_FAMILIES: {
+        colors: [
+            "red",
+            "orange",
+            "yellow",
+            "green",
+            "teal",
+            "cyan",
+            "blue",
+            "indigo",
+            "purple",
+            "violet",
+            "magenta",
+            "pink",
+            "brown",
+            "grey",
+            "gray",
+            "olive",
+            "sage",
+            "bark",
+            "viridian",
+            "prussiangreen"
+        ],
+        variants: ["dark", "light"],
+        neutralChroma: 0.04
+    },
+
     /**
      * CSS selectors for theme accent color extraction
      * Priority order for parsing theme colors
@@ -6,7 +6,6 @@
  */
 
 import { Constants } from "./constants.js";
-import { ThemeUtils } from "./themeUtils.js";
 
 /* cssTemplates.js
  *
@@ -209,28 +208,25 @@ ${modifiedCss}
 
     /**
      * Generate Zorin accent color CSS
-     * @param {string} accentRgb - Accent color in rgb() format
-     * @param {boolean} isDark - Is dark theme
+     * Accent is the primary role (tone 40 light / 80 dark), text on it onPrimary - contrast guaranteed by tone gap
+     * @param {Object} materialRoles - Material color roles seeded by theme accent (MaterialColors.getRoles)
      * @returns {string} Accent color CSS
      */
-    getZorinAccentStyle(accentRgb, isDark) {
+    getZorinAccentStyle(materialRoles) {
         // Null guard: Skip Zorin accent CSS if no valid color detected
         // This handles neutral/grey themes (e.g., ZorinGrey-Dark) gracefully
-        if (!accentRgb || accentRgb === null || accentRgb === "null") {
+        if (!materialRoles) {
             return "/* Zorin accent color not detected - using theme defaults (neutral/grey theme) */\n";
         }
 
-        const cacheKey = `zorin_accent_${accentRgb}_${isDark}`;
+        const displayColor = `rgb(${materialRoles.primary.join(", ")})`;
+        const fgColor = `rgb(${materialRoles.onPrimary.join(", ")})`;
+        const cacheKey = `zorin_accent_${displayColor}_${fgColor}`;
 
         if (this._templateCache.has(cacheKey)) {
             return this._templateCache.get(cacheKey);
         }
 
-        // Enhanced pastel for dark themes
-        const displayColor = isDark ? this._enhancePastelForDark(accentRgb) : accentRgb;
-        // Generate foreground color with proper contrast
-        const fgColor = isDark ? Constants.AUTO_TEXT_COLORS.lightHex : Constants.AUTO_TEXT_COLORS.darkHex; // Contrasting text color
-
         const css = `
 /* Zorin Theme Accent Color Variables */
 @define-color accent_color ${displayColor};
@@ -363,9 +359,10 @@ windowcontrols {
     /**
      * Generate GTK CSS variables section
      * @param {Object} colorSettings - Color settings from _extractColorSettings
+     * @param {Object|null} materialRoles - Material color roles (MaterialColors.getRoles), exported as cssgnomme_md_*
      * @returns {string} CSS variables
      */
-    getGtkCssVariables(colorSettings) {
+    getGtkCssVariables(colorSettings, materialRoles = null) {
         return `
 /*** CSSGnomme CSS Variables ***/
 
@@ -377,7 +374,37 @@ windowcontrols {
 @define-color cssgnomme_popup_bg ${colorSettings.popup.color};
 @define-color cssgnomme_popup_fg ${colorSettings.popup.fgCss};
 @define-color cssgnomme_popup_hover ${colorSettings.popup.hoverCss};
-`;
+${materialRoles ? this.getMaterialRoleVariables(materialRoles) : ""}`;
+    }
+
+    /**
+     * Generate @define-color lines for Material color roles
+     * Role names become snake_case: onPrimaryContainer → cssgnomme_md_on_primary_container
+     * @param {Object} materialRoles - Role name → [r, g, b]
+     * @returns {string} CSS variables
+     */
+    getMaterialRoleVariables(materialRoles) {
+        const lines = Object.entries(materialRoles).map(([role, rgb]) => {
+            const name = role.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            return `@define-color cssgnomme_md_${name} rgb(${rgb.join(", ")});`;
+        });
+        return `\n/* Material color roles (seeded by theme accent) */\n${lines.join("\n")}\n`;
+    }
+
+    /**
+     * Generate managed block for ~/.config/gtk-4.0/gtk.css
+     * Redefines libadwaita named colors; markers let the block be replaced/removed later
+     * @param {string} extensionName - Extension name (header comment)
+     * @param {string} timestamp - Generation timestamp
+     * @param {Object} namedColors - libadwaita color name → CSS color string
+     * @returns {string} Block from begin marker to end marker (no trailing newline)
+     */
+    getGtk4UserColorsBlock(extensionName, timestamp, namedColors) {
+        const lines = Object.entries(namedColors).map(([name, color]) => `@define-color ${name} ${color};`);
+        return `${Constants.GTK4_USER_CSS.beginMarker}
+/* ${extensionName} palette for libadwaita apps - Generated: ${timestamp} */
+${lines.join("\n")}
+${Constants.GTK4_USER_CSS.endMarker}`;
     }
 
     /**
@@ -597,6 +624,7 @@ headerbar .subtitle {
      * @param {boolean} themeIsLight - Is theme light mode
      * @param {boolean} isZorinTheme - Is Zorin theme
      * @param {boolean} enableZorinIntegration - Enable Zorin integration
+     * @param {Object|null} materialRoles - Material color roles for theme brightness (MaterialColors.getRoles)
      * @returns {string} Complete GTK CSS
      */
     getGtkOverlayCss(
@@ -611,7 +639,8 @@ headerbar .subtitle {
         accentColor,
         themeIsLight,
         isZorinTheme,
-        enableZorinIntegration
+        enableZorinIntegration,
+        materialRoles = null
     ) {
         const importNote = baseThemeExists
             ? "Modified base theme (tint removed)"
@@ -627,7 +656,7 @@ headerbar .subtitle {
 /* Import ${baseThemeExists ? "modified base theme (tint removed)" : "original theme (fallback)"} */
 @import url("${importSource}");
 
-${this.getGtkCssVariables(colorSettings)}
+${this.getGtkCssVariables(colorSettings, materialRoles)}
 
 /*** ${extensionName} Overrides ***/
 
@@ -647,7 +676,7 @@ ${
     // 2. Array has 3 valid RGB values
     // This respects neutral/grey theme choice (no forced colors)
     accentColor && Array.isArray(accentColor) && accentColor.length === 3
-        ? this.getZorinAccentStyle(`rgb(${accentColor[0]}, ${accentColor[1]}, ${accentColor[2]})`, !themeIsLight)
+        ? this.getZorinAccentStyle(materialRoles)
         : "/* No valid accent color detected - using theme defaults */\n"
 }
 
@@ -703,42 +732,6 @@ ${this.getFluentTitlebarFix(isZorinTheme, enableZorinIntegration)}
         return this._templateCache.size;
     }
 
-    /**
-     * Enhance pastel colors for dark themes
-     * @private
-     * @param {string} rgbColor - Color in rgb() format
-     * @returns {string} Enhanced color
-     */
-    _enhancePastelForDark(rgbColor) {
-        // Parse rgb(r, g, b) format
-        const match = rgbColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-        if (!match) return rgbColor;
-
-        const r = parseInt(match[1]);
-        const g = parseInt(match[2]);
-        const b = parseInt(match[3]);
-
-        // Use ThemeUtils if available, otherwise simple boost
-        try {
-            const enhanced = ThemeUtils.enhancePastelColor([r, g, b], 0.3, 0.25);
-            return `rgb(${enhanced[0]}, ${enhanced[1]}, ${enhanced[2]})`;
-        } catch (e) {
-            // Fallback: Simple saturation boost
-            const max = Math.max(r, g, b);
-            const min = Math.min(r, g, b);
-            const delta = max - min;
-
-            if (delta === 0) return rgbColor;
-
-            const boost = 1.3;
-            const newR = Math.min(255, Math.round(r + (r - min) * boost * 0.3));
-            const newG = Math.min(255, Math.round(g + (g - min) * boost * 0.3));
-            const newB = Math.min(255, Math.round(b + (b - min) * boost * 0.3));
-
-            return `rgb(${newR}, ${newG}, ${newB})`;
-        }
-    }
-
     /**
      * Generate complete CSS from multiple sections
      * @param {Object} sections - Object with section names as keys and CSS strings as values
@@ -774,9 +767,9 @@ ${this.getFluentTitlebarFix(isZorinTheme, enableZorinIntegration)}
      * @param {boolean} vars.enableZorinIntegration - Enable Zorin-specific styling
      * @param {boolean} vars.isZorinTheme - Is current theme a Zorin theme
      * @param {boolean} vars.isLightTheme - Is light theme mode
-     * @param {string} vars.accentRgb - Accent color RGB (e.g., "59, 66, 82")
+     * @param {string} vars.primaryRgb - Material primary role RGB (active icon color)
      * @param {string} vars.borderColor - Border color (rgba format)
-     * @param {string} vars.hoverRgb - Hover state RGB
+     * @param {string} vars.hoverRgb - Hover state layer RGB (Material primary role)
      * @param {number} vars.hoverOpacity - Hover state opacity
      * @param {number} vars.activeOpacity - Active state opacity
      * @param {string} vars.panelBackgroundCss - Panel background CSS rule
@@ -800,7 +793,7 @@ ${this.getFluentTitlebarFix(isZorinTheme, enableZorinIntegration)}
             enableZorinIntegration,
             isZorinTheme,
             isLightTheme,
-            accentRgb,
+            primaryRgb,
             borderColor,
             hoverRgb,
             hoverOpacity,
@@ -899,7 +892,7 @@ ${
 #panel .panel-button:active StIcon,
 #panel .panel-button:focus StIcon,
 #panel .panel-button:checked StIcon {
-    color: rgb(${accentRgb}) !important;
+    color: rgb(${primaryRgb}) !important;
 }
 `
         : ""
@@ -983,7 +976,7 @@ ${
 .zorintaskbarMainPanel .panel-button:active StIcon,
 .zorintaskbarMainPanel .panel-button:focus StIcon,
 .zorintaskbarMainPanel .panel-button:checked StIcon {
-    color: rgb(${accentRgb}) !important;
+    color: rgb(${primaryRgb}) !important;
 }
 `
         : ""
@@ -1003,6 +996,7 @@ ${
      * @param {boolean} vars.enableZorinIntegration - Enable Zorin-specific styling
      * @param {boolean} vars.isZorinTheme - Is current theme a Zorin theme
      * @param {string} vars.accentRgb - Accent color RGB
+     * @param {string} vars.outlineVariantRgb - Material outlineVariant role RGB (separators)
      * @param {string} vars.borderColor - Border color (rgba format)
      * @param {string} vars.blurBackgroundOverlay - Blur background overlay color
      * @param {string} vars.backdropFilter - Backdrop filter CSS rule
@@ -1021,6 +1015,7 @@ ${
             enableZorinIntegration,
             isZorinTheme,
             accentRgb,
+            outlineVariantRgb,
             borderColor,
             blurBackgroundOverlay,
             backdropFilter,
@@ -1116,7 +1111,7 @@ ${
 
 .popup-separator-menu-item .popup-separator-menu-item-separator {
     height: 1px !important;
-    background-color: rgba(${accentRgb}, 0.2) !important;
+    background-color: rgb(${outlineVariantRgb}) !important;
     margin: 0 4px !important;
 }
 
@@ -1149,7 +1144,7 @@ ${
 }
 
 .popup-sub-menu .popup-separator-menu-item .popup-separator-menu-item-separator {
-    background-color: rgba(${accentRgb}, ${Constants.ACCENT_HOVER_OPACITY.subtle}) !important;
+    background-color: rgba(${outlineVariantRgb}, 0.6) !important;
 }
 `
         : ""
@@ -1655,38 +1650,55 @@ window.csd > headerbar:backdrop {
     }
 
     /**
-     * Assemble complete Shell CSS from component parts
-     * Combines panel, popup, and Zorin CSS with header and base theme import
+     * Assemble gnome-shell.css - header and base theme import
+     * Dynamic overrides are separate component stylesheets (components/<name>.css) that
+     * CSSGnomme loads on top, so each can be swapped without reloading the whole theme
      *
-     * @param {Object} vars - Variables object containing metadata
-     * @param {string} vars.timestamp - Generation timestamp
-     * @param {string} panelCss - Panel CSS from getPanelCss()
-     * @param {string} popupCss - Popup CSS from getPopupCss()
-     * @param {string} zorinCss - Zorin CSS from getZorinCss()
+     * @param {string} timestamp - Generation timestamp
      * @param {string} extensionName - Extension name for header comments
-     * @returns {string} Complete Shell CSS document
+     * @returns {string} gnome-shell.css document
      */
-    assembleShellCss(vars, panelCss, popupCss, zorinCss, extensionName = "CSSGnomme") {
-        const { timestamp } = vars;
-
+    assembleShellCss(timestamp, extensionName = "CSSGnomme") {
         return `/*
  * ${extensionName} Shell Overlay
  * Generated: ${timestamp}
  * Source: Modified base theme (base-theme.css)
+ * Overrides: ${Constants.SHELL_COMPONENTS.directory}/<component>.css (loaded by ${extensionName})
  */
 
 /* Import modified base theme (tint removed, fixes applied) */
 @import url("base-theme.css");
+`;
+    }
 
-/*** ${extensionName} Dynamic Overrides ***/
-
-${panelCss}
-
-${popupCss}
-
-${zorinCss}
+    /**
+     * Wrap Shell component CSS with a header comment
+     * Keeps component files non-empty when a component has nothing to override
+     *
+     * @param {string} name - Component name (Constants.SHELL_COMPONENTS.names)
+     * @param {string} css - Component CSS (may be empty)
+     * @param {string} extensionName - Extension name for header comments
+     * @returns {string} Component stylesheet
+     */
+    wrapShellComponentCss(name, css, extensionName = "CSSGnomme") {
+        return `/* ${extensionName} Shell component: ${name} */
+${css}
+`;
+    }
 
-/*** End ${extensionName} ***/
+    /**
+     * Wrap a user snippet appended to a generated stylesheet
+     *
+     * @param {string} target - Snippet target (Constants.CUSTOM_CSS.targets)
+     * @param {string} css - Snippet with placeholders filled
+     * @param {string} extensionName - Extension name for header comments
+     * @returns {string} Snippet block
+     */
+    wrapCustomCss(target, css, extensionName = "CSSGnomme") {
+        return `
+/* ===== User CSS: ~/.config/${Constants.CUSTOM_CSS.directory}/${target}.css (edit there, not here) ===== */
+${css}
+/* ===== End of user CSS (${extensionName}) ===== */
 `;
     }
 
@@ -0,0 +1,164 @@
+/**
+ * customCss.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * User CSS snippets layered on top of the generated overlay
+ */
+
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+
+import { Constants } from "./constants.js";
+import { GlobalSignalsHandler } from "./signalHandler.js";
+
+/* customCss.js
+ *
+ * Snippets live in ~/.config/cssgnomme/custom/<target>.css, outside the overlay, so recreating the
+ * overlay never touches them. OverlayThemeManager reads them while generating (read + fillPlaceholders);
+ * the extension watches the directory and runs a normal overlay update when a snippet is saved -
+ * the Shell snippet is its own component and gets hot-swapped like any other.
+ */
+
+export class CustomCss {
+    /**
+     * @param {Logger} logger - Logger instance (optional)
+     */
+    constructor(logger = null) {
+        if (logger) {
+            this._logger = logger;
+        } else {
+            this._logger = {
+                info: msg => log(`[CSSGnomme:CustomCss:INFO] ${msg}`),
+                warn: msg => log(`[CSSGnomme:CustomCss:WARN] ${msg}`),
+                error: msg => log(`[CSSGnomme:CustomCss:ERROR] ${msg}`),
+                debug: msg => log(`[CSSGnomme:CustomCss:DEBUG] ${msg}`)
+            };
+        }
+
+        this._signalsHandler = new GlobalSignalsHandler();
+        this._monitor = null;
+        this._changeTimer = null;
+    }
+
+    /**
+     * Snippets directory
+     * @returns {string} Absolute path
+     */
+    static getDirectory() {
+        return GLib.build_filenamev([GLib.get_user_config_dir(), Constants.CUSTOM_CSS.directory]);
+    }
+
+    /**
+     * Read a user snippet
+     * @param {string} target - One of Constants.CUSTOM_CSS.targets
+     * @returns {string|null} Snippet text, null if the file is missing, unreadable or blank
+     */
+    static read(target) {
+        if (!Constants.CUSTOM_CSS.targets.includes(target)) return null;
+
+        try {
+            const file = Gio.File.new_for_path(`${CustomCss.getDirectory()}/${target}.css`);
+            const [success, contents] = file.load_contents(null);
+            if (!success) return null;
+
+            const css = new TextDecoder("utf-8").decode(contents);
+            return css.trim() ? css : null;
+        } catch (e) {
+            // Missing file is the normal case (no snippet for this target)
+            return null;
+        }
+    }
+
+    /**
+     * Replace ${name} placeholders with palette values
+     * @param {string} css - Snippet text
+     * @param {Object} values - Placeholder name → CSS value
+     * @param {Function} onUnknown - Called with each name that has no value (optional)
+     * @returns {string} CSS with known placeholders filled, unknown ones left as written
+     */
+    static fillPlaceholders(css, values, onUnknown = null) {
+        return css.replace(Constants.CUSTOM_CSS.placeholderPattern, (placeholder, name) => {
+            if (Object.hasOwn(values, name)) {
+                return String(values[name]);
+            }
+            onUnknown?.(name);
+            return placeholder;
+        });
+    }
+
+    // ===== DIRECTORY MONITORING =====
+
+    /**
+     * Watch the snippets directory (created if missing so the user knows where to put files)
+     * @param {Function} onChanged - Called once edits settled
+     */
+    watch(onChanged) {
+        this.unwatch();
+
+        const directory = CustomCss.getDirectory();
+        try {
+            GLib.mkdir_with_parents(directory, parseInt("0755", 8));
+            this._monitor = Gio.File.new_for_path(directory).monitor_directory(Gio.FileMonitorFlags.WATCH_MOVES, null);
+            this._signalsHandler.add([
+                this._monitor,
+                "changed",
+                (fileMonitor, file, otherFile, eventType) => this._onFileChanged(file, eventType, onChanged)
+            ]);
+            this._logger.info(`Watching custom CSS in ${directory}`);
+        } catch (e) {
+            this._monitor = null;
+            this._logger.warn(`Cannot watch custom CSS directory ${directory}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Stop watching (overlay disabled)
+     */
+    unwatch() {
+        if (this._changeTimer) {
+            GLib.source_remove(this._changeTimer);
+            this._changeTimer = null;
+        }
+
+        if (this._monitor) {
+            this._signalsHandler.removeAll(this._monitor);
+            this._monitor.cancel();
+            this._monitor = null;
+        }
+    }
+
+    /**
+     * Stop watching and disconnect signals (extension disable)
+     */
+    destroy() {
+        this.unwatch();
+
+        if (this._signalsHandler) {
+            this._signalsHandler.destroy();
+            this._signalsHandler = null;
+        }
+    }
+
+    /**
+     * Debounce snippet changes (an editor save is a burst of create/move/delete events)
+     * @param {Gio.File} file - Changed file
+     * @param {Gio.FileMonitorEvent} eventType - Event type
+     * @param {Function} onChanged - Callback passed to watch()
+     * @private
+     */
+    _onFileChanged(file, eventType, onChanged) {
+        if (eventType === Gio.FileMonitorEvent.ATTRIBUTE_CHANGED) return;
+
+        this._logger.debug(`Custom CSS file changed: ${file.get_path()} (event ${eventType})`);
+
+        if (this._changeTimer) {
+            GLib.source_remove(this._changeTimer);
+        }
+        this._changeTimer = GLib.timeout_add(GLib.PRIORITY_DEFAULT, Constants.OVERLAY_UPDATE_DEBOUNCE.customCss, () => {
+            this._changeTimer = null;
+            this._logger.info("Custom CSS changed - applying");
+            onChanged();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+}
@@ -0,0 +1,368 @@
+/**
+ * dualOverlays.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * Pre-generated Light and Dark overlays (dual-overlays setting)
+ */
+
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+
+import { ColorPalette } from "./colorPalette.js";
+import { Constants } from "./constants.js";
+import { OverlayThemeManager } from "./overlayThemeManager.js";
+import { ThemeFamilyResolver } from "./themeFamilies.js";
+import { GlobalSignalsHandler } from "./signalHandler.js";
+
+/* dualOverlays.js
+ *
+ * Two complete overlays, CSSGnomme-Light and CSSGnomme-Dark, one OverlayThemeManager each.
+ * The live one is the extension's overlay manager and follows the extension settings as before.
+ * The inactive one is generated in the background through a VariantSettings view: the extension
+ * settings with its own source theme variant and the palette extracted for its mode layered on top,
+ * so nothing is written to GSettings until it goes live. A Dark/Light toggle commits those values
+ * and switches gtk-theme and the Shell stylesheet - no overlay is recreated.
+ */
+
+/**
+ * Extension settings seen by the inactive overlay
+ * Reads fall through to the real settings unless overridden; writes (wallpaper colors, theme accent
+ * detection) only change the view. delay()/apply() exist for code written against Gio.Settings
+ */
+class VariantSettings {
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Object} strings - String keys to override right away (key → value)
+     */
+    constructor(settings, strings = {}) {
+        this._settings = settings;
+        this._values = new Map(); // key → {setter, value}
+        Object.entries(strings).forEach(([key, value]) => this.set_string(key, value));
+    }
+
+    get_string(key) {
+        return this._get(key, "get_string");
+    }
+
+    get_boolean(key) {
+        return this._get(key, "get_boolean");
+    }
+
+    get_int(key) {
+        return this._get(key, "get_int");
+    }
+
+    get_double(key) {
+        return this._get(key, "get_double");
+    }
+
+    set_string(key, value) {
+        return this._set(key, "set_string", value);
+    }
+
+    set_boolean(key, value) {
+        return this._set(key, "set_boolean", value);
+    }
+
+    set_int(key, value) {
+        return this._set(key, "set_int", value);
+    }
+
+    set_double(key, value) {
+        return this._set(key, "set_double", value);
+    }
+
+    delay() {}
+
+    apply() {}
+
+    /**
+     * View of the current real values of every key this view overrides
+     * @returns {VariantSettings} Snapshot (restores the live overlay's values when it goes live again)
+     */
+    snapshot() {
+        const snapshot = new VariantSettings(this._settings);
+        this._values.forEach(({ setter }, key) => {
+            snapshot._set(key, setter, this._settings[setter.replace("set_", "get_")](key));
+        });
+        return snapshot;
+    }
+
+    /**
+     * Write overridden values to the real settings (one change notification batch)
+     */
+    commit() {
+        this._settings.delay();
+        this._values.forEach(({ setter, value }, key) => this._settings[setter](key, value));
+        this._settings.apply();
+    }
+
+    /**
+     * @param {string} key - Settings key
+     * @param {string} getter - Gio.Settings getter for real value
+     * @returns {*} Overridden or real value
+     * @private
+     */
+    _get(key, getter) {
+        return this._values.has(key) ? this._values.get(key).value : this._settings[getter](key);
+    }
+
+    /**
+     * @param {string} key - Settings key
+     * @param {string} setter - Gio.Settings setter used by commit()
+     * @param {*} value - New value
+     * @returns {boolean} Always true (like Gio.Settings setters)
+     * @private
+     */
+    _set(key, setter, value) {
+        this._values.set(key, { setter, value });
+        return true;
+    }
+}
+
+export class DualOverlays {
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Gio.Settings} interfaceSettings - org.gnome.desktop.interface settings
+     * @param {Function} applyColors - async (settingsView, preferDark, overlayManager, cancellable) writing
+     *   the panel/popup colors for a mode into settingsView (extension owns wallpaper extraction)
+     * @param {Logger} logger - Logger instance (optional)
+     */
+    constructor(settings, interfaceSettings, applyColors, logger = null) {
+        this._settings = settings;
+        this._interfaceSettings = interfaceSettings;
+        this._applyColors = applyColors;
+
+        if (logger) {
+            this._logger = logger;
+        } else {
+            this._logger = {
+                info: msg => log(`[CSSGnomme:DualOverlays:INFO] ${msg}`),
+                warn: msg => log(`[CSSGnomme:DualOverlays:WARN] ${msg}`),
+                error: msg => log(`[CSSGnomme:DualOverlays:ERROR] ${msg}`),
+                debug: msg => log(`[CSSGnomme:DualOverlays:DEBUG] ${msg}`)
+            };
+        }
+
+        this._managers = {
+            light: new OverlayThemeManager("CSSGnomme", logger?.createChild("OverlayTheme:Light") ?? null, "light"),
+            dark: new OverlayThemeManager("CSSGnomme", logger?.createChild("OverlayTheme:Dark") ?? null, "dark")
+        };
+        this._activeMode = this._interfaceSettings.get_string("color-scheme") === "prefer-dark" ? "dark" : "light";
+
+        // Overlays matching the current settings, and the values each one needs once it goes live
+        this._freshModes = new Set();
+        this._views = { light: null, dark: null };
+
+        // Background regeneration of the inactive overlay
+        this._regenerateTimerId = null;
+        this._buildCancellable = null;
+        this._committing = false;
+
+        this._signalsHandler = new GlobalSignalsHandler();
+        this._signalsHandler.add([
+            this._settings,
+            "changed",
+            (settings, key) => {
+                if (!this._committing && !Constants.DUAL_OVERLAYS.ignoredKeys.includes(key)) {
+                    this.invalidate(`${key} changed`);
+                }
+            }
+        ]);
+    }
+
+    /**
+     * Overlay managers of both variants
+     * @returns {Array} [light, dark] OverlayThemeManager instances
+     */
+    get managers() {
+        return [this._managers.light, this._managers.dark];
+    }
+
+    /**
+     * Mode of the live overlay
+     * @returns {string} "light" or "dark"
+     */
+    get activeMode() {
+        return this._activeMode;
+    }
+
+    /**
+     * Overlay manager of the live variant
+     * @returns {OverlayThemeManager} Manager for activeMode
+     */
+    get activeManager() {
+        return this._managers[this._activeMode];
+    }
+
+    /**
+     * Source theme for a mode: matching Light/Dark variant of the live source theme's family
+     * @param {string} mode - "light" or "dark"
+     * @returns {string} Installed variant, or the live source theme if the family has none
+     */
+    resolveSourceTheme(mode) {
+        const sourceTheme = this._settings.get_string("overlay-source-theme");
+        const resolver = new ThemeFamilyResolver(this._managers[mode].getAvailableThemes());
+        return resolver.findVariant(sourceTheme, mode === "dark") ?? sourceTheme;
+    }
+
+    // ===== BACKGROUND REGENERATION =====
+
+    /**
+     * Mark inactive overlay stale and regenerate it once changes settle
+     * The live overlay is kept current by the extension's normal update path
+     * @param {string} reason - What changed (for logging)
+     */
+    invalidate(reason) {
+        const inactiveMode = this._getInactiveMode();
+        if (this._freshModes.delete(inactiveMode)) {
+            this._logger.debug(`${inactiveMode} overlay stale: ${reason}`);
+        }
+        this._cancelBuild();
+
+        if (!this._settings.get_boolean("enable-overlay-theme")) return;
+
+        if (this._regenerateTimerId) {
+            GLib.source_remove(this._regenerateTimerId);
+        }
+        this._regenerateTimerId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_LOW,
+            Constants.DUAL_OVERLAYS.regenerateDelay,
+            () => {
+                this._regenerateTimerId = null;
+                if (this._settings.get_boolean("enable-overlay-theme")) {
+                    this._build(this._getInactiveMode());
+                }
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    /**
+     * Make sure the overlay for a mode is generated and current (builds it now if needed)
+     * @param {string} mode - "light" or "dark"
+     * @returns {Promise<boolean>} True if it can be activated
+     */
+    async prepare(mode) {
+        if (mode === this._activeMode || this._freshModes.has(mode)) return true;
+
+        if (this._regenerateTimerId) {
+            GLib.source_remove(this._regenerateTimerId);
+            this._regenerateTimerId = null;
+        }
+        return this._build(mode);
+    }
+
+    /**
+     * Make the prepared overlay for a mode live: commit its colors and source theme to the settings,
+     * switch gtk-theme and the Shell stylesheet. The overlay left behind stays current
+     * @param {string} mode - "light" or "dark" (prepare() must have succeeded)
+     * @returns {OverlayThemeManager} Manager of the now live overlay
+     */
+    activate(mode) {
+        const manager = this._managers[mode];
+        if (mode === this._activeMode) return manager;
+
+        const previousMode = this._activeMode;
+        const view = this._views[mode];
+
+        // Changes the extension makes to the settings now belong to the new live overlay
+        this._committing = true;
+        try {
+            this._views[previousMode] = view.snapshot();
+            view.commit();
+        } finally {
+            this._committing = false;
+        }
+
+        this._activeMode = mode;
+        this._views[mode] = null;
+        this._freshModes.delete(mode);
+        this._freshModes.add(previousMode);
+
+        manager.activateOverlay(this._interfaceSettings, this._settings);
+        manager.syncGlobalColors(this._settings);
+
+        this._logger.info(`Switched to ${manager.overlayName} (${previousMode} overlay kept for next switch)`);
+        return manager;
+    }
+
+    /**
+     * Stop background regeneration and source theme monitors (overlays stay on disk)
+     */
+    destroy() {
+        if (this._regenerateTimerId) {
+            GLib.source_remove(this._regenerateTimerId);
+            this._regenerateTimerId = null;
+        }
+        this._cancelBuild();
+
+        if (this._signalsHandler) {
+            this._signalsHandler.destroy();
+            this._signalsHandler = null;
+        }
+        this.managers.forEach(manager => manager.unwatchSourceTheme());
+    }
+
+    /**
+     * Generate overlay for a mode from a settings view (nothing written to GSettings)
+     * @param {string} mode - "light" or "dark"
+     * @returns {Promise<boolean>} True if the overlay is current
+     * @private
+     */
+    async _build(mode) {
+        this._cancelBuild();
+        const cancellable = new Gio.Cancellable();
+        this._buildCancellable = cancellable;
+
+        const manager = this._managers[mode];
+        const sourceTheme = this.resolveSourceTheme(mode);
+        this._logger.info(`Generating ${manager.overlayName} from ${sourceTheme}`);
+
+        try {
+            const view = new VariantSettings(this._settings, { "overlay-source-theme": sourceTheme });
+            await this._applyColors(view, mode === "dark", manager, cancellable);
+            if (cancellable.is_cancelled()) return false;
+
+            if (!manager.createOverlayTheme(sourceTheme, view)) {
+                this._logger.warn(`Failed to generate ${manager.overlayName}`);
+                return false;
+            }
+
+            this._views[mode] = view;
+            this._freshModes.add(mode);
+            this._logger.info(`${manager.overlayName} ready`);
+            return true;
+        } catch (e) {
+            if (ColorPalette.isCancelledError(e)) {
+                this._logger.debug(`${manager.overlayName} generation superseded`);
+                return false;
+            }
+            this._logger.error(`Error generating ${manager.overlayName}: ${e.message}`);
+            return false;
+        } finally {
+            if (this._buildCancellable === cancellable) {
+                this._buildCancellable = null;
+            }
+        }
+    }
+
+    /**
+     * Abort color extraction of a build in flight (if any)
+     * @private
+     */
+    _cancelBuild() {
+        if (this._buildCancellable) {
+            this._buildCancellable.cancel();
+            this._buildCancellable = null;
+        }
+    }
+
+    /**
+     * @returns {string} Mode of the overlay that is not live
+     * @private
+     */
+    _getInactiveMode() {
+        return this._activeMode === "dark" ? "light" : "dark";
+    }
+}
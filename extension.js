@@ -16,7 +16,7 @@
  * - Proven: GNOME 43 successfully uses this pattern (global variable + recreation)
  * - Performance: ~50ms overhead negligible for enable/disable (infrequent operation)
  *
- * Settings (_settings, _interfaceSettings, _shellSettings) remain SINGLETON:
+ * Settings (_settings, _interfaceSettings) remain SINGLETON:
  * - GSettings shared across components, never destroyed
  * - Signal connections managed separately (disconnect on disable, reconnect on enable)
  *
@@ -34,12 +34,17 @@ import GLib from "gi://GLib";
 import * as Main from "resource:///org/gnome/shell/ui/main.js";
 import * as PanelMenu from "resource:///org/gnome/shell/ui/panelMenu.js";
 import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
-import { Extension, gettext as _ } from "resource:///org/gnome/shell/extensions/extension.js";
+import { Extension, gettext as _, ngettext } from "resource:///org/gnome/shell/extensions/extension.js";
 
 import * as ZorinStyler from "./ZorinStyler.js";
 import { ThemeUtils } from "./themeUtils.js";
+import { ThemeFamilyResolver } from "./themeFamilies.js";
 import { ColorPalette } from "./colorPalette.js";
 import { OverlayThemeManager } from "./overlayThemeManager.js";
+import { SettingsProfiles } from "./settingsProfiles.js";
+import { ShellStylesheet } from "./shellStylesheet.js";
+import { CustomCss } from "./customCss.js";
+import { DualOverlays } from "./dualOverlays.js";
 import { Constants } from "./constants.js";
 import { LogLevel, Logger } from "./loggingUtils.js";
 import { GlobalSignalsHandler } from "./signalHandler.js";
@@ -59,7 +64,9 @@ const CSSGnommeIndicator = GObject.registerClass(
             // Track menu items for signal cleanup
             this._overlayToggleItem = null;
             this._applyOverlayItem = null;
+            this._profilesSubMenu = null;
             this._menuSignalId = null;
+            this._menuOpenSignalId = null;
             this._menuItemSignals = [];
 
             this._createPanelButton();
@@ -126,6 +133,14 @@ const CSSGnommeIndicator = GObject.registerClass(
             });
             this._applyOverlayItem.setSensitive(this._settings.get_boolean("enable-overlay-theme"));
 
+            // Profiles submenu - rebuilt on every open (profiles are edited in preferences)
+            this._profilesSubMenu = new PopupMenu.PopupSubMenuMenuItem(_("Profiles"));
+            this.menu.addMenuItem(this._profilesSubMenu);
+            this._menuOpenSignalId = this.menu.connect("open-state-changed", (menu, isOpen) => {
+                if (isOpen) this._rebuildProfilesMenu();
+            });
+            this._rebuildProfilesMenu();
+
             this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
             let settingsItem = new PopupMenu.PopupMenuItem(_("Open Settings"));
@@ -136,6 +151,36 @@ const CSSGnommeIndicator = GObject.registerClass(
             this.menu.addMenuItem(settingsItem);
         }
 
+        /**
+         * Fill profiles submenu, marking the active profile
+         * Items are destroyed by removeAll(), so their signals need no tracking
+         * @private
+         */
+        _rebuildProfilesMenu() {
+            const profiles = this._extension._profiles;
+            if (!this._profilesSubMenu || !profiles) return;
+
+            const subMenu = this._profilesSubMenu.menu;
+            subMenu.removeAll();
+
+            const names = profiles.getProfileNames();
+            this._profilesSubMenu.visible = names.length > 0;
+
+            const activeName = profiles.getActiveProfileName();
+            const isModified = profiles.getDriftedKeys(activeName).length > 0;
+
+            names.forEach(name => {
+                const label = name === activeName && isModified ? `${name} ${_("(modified)")}` : name;
+                const item = new PopupMenu.PopupMenuItem(label);
+                item.setOrnament(name === activeName ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+                item.connect("activate", () => {
+                    this._logger.info(`Switching to profile "${name}"`);
+                    profiles.applyProfile(name);
+                });
+                subMenu.addMenuItem(item);
+            });
+        }
+
         updateVisibility() {
             this.visible = !this._settings.get_boolean("hide-tray-icon");
         }
@@ -161,9 +206,15 @@ const CSSGnommeIndicator = GObject.registerClass(
                 this._menuSignalId = null;
             }
 
+            if (this._menuOpenSignalId) {
+                this.menu.disconnect(this._menuOpenSignalId);
+                this._menuOpenSignalId = null;
+            }
+
             // Nullify menu item references
             this._overlayToggleItem = null;
             this._applyOverlayItem = null;
+            this._profilesSubMenu = null;
 
             super.destroy();
         }
@@ -192,8 +243,11 @@ export default class CSSGnommeExtension extends Extension {
         this._lastColorScheme = null;
         this._lastColorSchemeTime = null;
 
-        // Throttle tracking for rapid color-scheme changes
-        this._lastColorSchemeChange = null;
+        // In-flight wallpaper extraction (cancelled when a newer trigger arrives)
+        this._extractionCancellable = null;
+
+        // Next slide / crossfade step of a background XML slideshow
+        this._slideshowTimerId = null;
 
         // Overlay recreation Promise tracking (for awaiting completion)
         this._overlayRecreationPromise = null;
@@ -202,8 +256,11 @@ export default class CSSGnommeExtension extends Extension {
         this._zorinStyler = null;
         this._colorPalette = null;
         this._overlayManager = null;
+        this._dualOverlays = null; // Light/Dark overlay pair (dual-overlays) - _overlayManager is its live one
+        this._profiles = null;
+        this._shellStylesheet = null;
+        this._customCss = null; // Watches ~/.config/cssgnomme/custom while the overlay is enabled
         this._interfaceSettings = null;
-        this._shellSettings = null;
         this._updateOverlayTimer = null;
 
         // Timer for debouncing user settings updates (prevents UI freezes)
@@ -211,6 +268,9 @@ export default class CSSGnommeExtension extends Extension {
 
         // Guard flag for overlay recreation (prevents concurrent operations)
         this._overlayRecreationInProgress = false;
+
+        // Set while a pre-generated Light/Dark overlay commits its colors (overlay is already current)
+        this._overlayVariantSwitchInProgress = false;
     }
 
     enable() {
@@ -226,15 +286,6 @@ export default class CSSGnommeExtension extends Extension {
 
             // Initialize interface settings FIRST (needed by ColorPalette for color-scheme detection)
             this._interfaceSettings = new Gio.Settings({ schema_id: "org.gnome.desktop.interface" });
-
-            // Initialize shell theme settings (for user-theme extension)
-            try {
-                this._shellSettings = new Gio.Settings({ schema: "org.gnome.shell.extensions.user-theme" });
-                this._logger.debug("Shell theme settings initialized successfully");
-            } catch (e) {
-                this._logger.warn("User-theme extension not available, shell theme support disabled: " + e.message);
-                this._shellSettings = null;
-            }
         }
 
         // Log on EVERY enable (not just first time)
@@ -250,7 +301,20 @@ export default class CSSGnommeExtension extends Extension {
             this._settings,
             this._interfaceSettings
         );
-        this._overlayManager = new OverlayThemeManager("CSSGnomme", this._logger.createChild("OverlayTheme"));
+        // Pick up cache edits made in preferences (pinned colors for the current wallpaper apply right away)
+        this._colorPalette.watchPersistentCache(changedFingerprints => {
+            if (!this._isEnabled || !this._settings.get_boolean("auto-color-extraction")) return;
+
+            const currentEntry = this._colorPalette.getCurrentWallpaperEntry();
+            if (currentEntry && changedFingerprints.has(currentEntry.fingerprint)) {
+                this._extractAndApplyColors(false, false);
+            }
+        });
+        // Shell CSS goes through user-theme or St.ThemeContext (shell-stylesheet-backend)
+        this._shellStylesheet = new ShellStylesheet(this._settings, this._logger.createChild("ShellStylesheet"));
+        this._customCss = new CustomCss(this._logger.createChild("CustomCss"));
+        this._createOverlayManager();
+        this._profiles = new SettingsProfiles(this._settings, this._logger.createChild("Profiles"));
 
         // Initial sync of Zorin Taskbar settings (if connected)
         const initialOpacity = this._settings.get_double("panel-opacity");
@@ -305,9 +369,80 @@ export default class CSSGnommeExtension extends Extension {
         // Future components can be initialized here
     }
 
+    /**
+     * Create overlay manager: single CSSGnomme overlay, or the CSSGnomme-Light/-Dark pair with dual-overlays
+     * (then _overlayManager is the live variant and changes on Dark/Light toggles)
+     * @private
+     */
+    _createOverlayManager() {
+        if (this._settings.get_boolean("dual-overlays")) {
+            this._dualOverlays = new DualOverlays(
+                this._settings,
+                this._interfaceSettings,
+                (view, preferDark, overlayManager, cancellable) =>
+                    this._applyVariantColors(view, preferDark, overlayManager, cancellable),
+                this._logger.createChild("DualOverlays")
+            );
+            this._overlayManager = this._dualOverlays.activeManager;
+        } else {
+            this._overlayManager = new OverlayThemeManager("CSSGnomme", this._logger.createChild("OverlayTheme"));
+        }
+
+        const managers = this._dualOverlays?.managers ?? [this._overlayManager];
+        managers.forEach(manager => manager.setShellStylesheet(this._shellStylesheet));
+    }
+
+    /**
+     * Drop overlay manager(s) - overlays stay on disk
+     * @private
+     */
+    _destroyOverlayManager() {
+        if (this._dualOverlays) {
+            this._logger?.debug("Stopping Light/Dark overlay regeneration");
+            this._dualOverlays.destroy();
+            this._dualOverlays = null;
+        }
+
+        if (this._overlayManager) {
+            this._logger?.debug("Cleaning up OverlayThemeManager");
+            // Only the source theme monitors need explicit cleanup - nullify for recreation
+            this._overlayManager.unwatchSourceTheme();
+            this._overlayManager = null;
+        }
+    }
+
+    /**
+     * dual-overlays toggled: move from the single overlay to the Light/Dark pair or back
+     * The overlays of the previous mode are restored and removed from ~/.themes
+     * @private
+     */
+    _switchOverlayMode() {
+        const dualOverlays = this._settings.get_boolean("dual-overlays");
+        this._logger.info(`Switching to ${dualOverlays ? "Light/Dark overlay pair" : "single overlay"}`);
+
+        const overlayEnabled = this._settings.get_boolean("enable-overlay-theme");
+        const previousManagers = this._dualOverlays?.managers ?? [this._overlayManager];
+        if (overlayEnabled) {
+            this._overlayManager.unwatchSourceTheme();
+            this._overlayManager.restoreOriginalTheme(this._interfaceSettings, this._settings);
+        }
+
+        this._destroyOverlayManager();
+        previousManagers.forEach(manager => manager.removeOverlayTheme());
+        this._createOverlayManager();
+
+        if (overlayEnabled) {
+            this._enableOverlayTheme();
+        }
+    }
+
     disable() {
         this._logger?.always("Extension disabling...");
 
+        // Abort in-flight wallpaper extraction before components are destroyed
+        this._cancelColorExtraction();
+        this._cancelSlideshowUpdate();
+
         // Cleanup temporary features (can be re-enabled)
         this._cleanupWallpaperMonitoring();
         this._cleanupColorSchemeMonitoring();
@@ -347,10 +482,17 @@ export default class CSSGnommeExtension extends Extension {
             this._colorPalette = null; // ← NULLIFY to force recreation
         }
 
-        if (this._overlayManager) {
-            this._logger?.debug("Cleaning up OverlayThemeManager");
-            // OverlayThemeManager has no explicit destroy, but nullify for recreation
-            this._overlayManager = null;
+        this._destroyOverlayManager();
+
+        if (this._shellStylesheet) {
+            this._logger?.debug("Unloading shell stylesheet");
+            this._shellStylesheet.destroy();
+            this._shellStylesheet = null;
+        }
+
+        if (this._customCss) {
+            this._customCss.destroy();
+            this._customCss = null;
         }
 
         if (this._zorinStyler) {
@@ -358,6 +500,8 @@ export default class CSSGnommeExtension extends Extension {
             this._zorinStyler = null;
         }
 
+        this._profiles = null;
+
         // Cleanup logger signals (but keep instance - shared across enable/disable)
         if (this._logger) {
             this._logger.debug("Cleaning up Logger signals");
@@ -365,8 +509,9 @@ export default class CSSGnommeExtension extends Extension {
         }
 
         // Keep ONLY settings instances for next enable()
-        // _settings, _interfaceSettings, _shellSettings, _logger - NEVER destroyed
-        // _zorinStyler, _colorPalette, _overlayManager - RECREATED on each enable()
+        // _settings, _interfaceSettings, _logger - NEVER destroyed
+        // _zorinStyler, _colorPalette, _overlayManager, _dualOverlays, _shellStylesheet, _customCss, _profiles
+        //   - RECREATED on each enable()
 
         this._isEnabled = false;
         this._logger?.always("Extension disabled successfully");
@@ -432,7 +577,10 @@ export default class CSSGnommeExtension extends Extension {
             "override-panel-color",
             "choose-override-panel-color",
             "override-popup-color",
-            "choose-override-popup-color"
+            "choose-override-popup-color",
+            "harmony-hover-color",
+            "gtk4-user-colors", // Writes/removes managed block in ~/.config/gtk-4.0/gtk.css
+            "sync-gnome-accent-color" // Sets/restores org.gnome.desktop.interface accent-color
         ];
 
         // Build signal definitions for CSS affecting settings
@@ -524,6 +672,9 @@ export default class CSSGnommeExtension extends Extension {
                 this._settings,
                 "changed::overlay-source-theme",
                 () => {
+                    // Pre-generated Light/Dark overlay went live - built from this source theme already
+                    if (this._overlayVariantSwitchInProgress) return;
+
                     const sourceTheme = this._settings.get_string("overlay-source-theme");
                     this._logger.info(`Overlay source theme changed to: ${sourceTheme}`);
 
@@ -566,6 +717,20 @@ export default class CSSGnommeExtension extends Extension {
                     this._handleColorSchemeChange("preference-trigger", true); // Force extraction
                 }
             ],
+            [
+                this._settings,
+                [
+                    ...Object.values(Constants.PALETTE_SWATCHES.roles).map(key => `changed::${key}`),
+                    "changed::color-harmony"
+                ],
+                () => {
+                    if (!this._isEnabled || !this._settings.get_boolean("auto-color-extraction")) return;
+
+                    // Re-apply with new swatch assignment / harmony mode (palette comes from cache)
+                    this._logger.info("Swatch assignment or color harmony changed - re-applying wallpaper colors");
+                    this._extractAndApplyColors(false, false);
+                }
+            ],
             [
                 this._settings,
                 "changed::trigger-recreate-overlay",
@@ -588,6 +753,14 @@ export default class CSSGnommeExtension extends Extension {
                     enabled ? this._setupWallpaperMonitoring() : this._cleanupWallpaperMonitoring();
                 }
             ],
+            [
+                this._settings,
+                "changed::dual-overlays",
+                () => {
+                    if (!this._isEnabled || !this._logger) return;
+                    this._switchOverlayMode();
+                }
+            ],
             [
                 this._settings,
                 "changed::debug-logging",
@@ -643,7 +816,7 @@ export default class CSSGnommeExtension extends Extension {
      * @param {string} settingName - Name of the changed setting
      */
     _onCssSettingChanged(settingName) {
-        if (!this._isEnabled) return;
+        if (!this._isEnabled || this._overlayVariantSwitchInProgress) return;
         this._logger.debug(`CSS setting changed: ${settingName}`);
         if (this._settings.get_boolean("enable-overlay-theme")) {
             this._scheduleOverlayUpdate("user-settings");
@@ -652,25 +825,20 @@ export default class CSSGnommeExtension extends Extension {
 
     /**
      * Centralized handler for color-scheme and wallpaper changes
-     * Prevents duplicate regenerations by queuing operations
+     * Rapid triggers (wallpaper slideshow, picture-uri + picture-uri-dark set together) are
+     * not throttled - each new trigger cancels the extraction still in flight, so the
+     * latest wallpaper always wins
      * @param {string} triggerReason - Reason for activation (e.g., 'wallpaper-change', 'color-scheme-switch')
      * @param {boolean} forceExtraction - Skip cache check and force fresh extraction
      */
     _handleColorSchemeChange(triggerReason, forceExtraction = false) {
         if (!this._isEnabled) return;
 
-        const now = Date.now();
-
-        // Throttle rapid triggers (e.g., wallpaper slideshow, multiple monitors)
-        // UNLESS forceExtraction is true (manual button click)
-        if (!forceExtraction && this._lastColorSchemeChange && now - this._lastColorSchemeChange < 1000) {
-            this._logger.debug(`Throttling color-scheme change: ${triggerReason} (< 1s since last)`);
-            return;
-        }
-        this._lastColorSchemeChange = now;
-
         this._logger.info(`Color scheme change triggered by: ${triggerReason}${forceExtraction ? " (FORCED)" : ""}`);
 
+        // Wallpaper of the other mode may have changed as well
+        this._dualOverlays?.invalidate(triggerReason);
+
         // Queue color extraction if auto-extraction enabled OR forced
         const autoExtractionEnabled = this._settings.get_boolean("auto-color-extraction");
         this._logger.debug(`Auto-extraction check: enabled=${autoExtractionEnabled}, forced=${forceExtraction}`);
@@ -688,12 +856,85 @@ export default class CSSGnommeExtension extends Extension {
         // when auto-switching changes the theme variant
     }
 
+    /**
+     * Extract colors from current background, superseding any extraction in flight
+     * @param {boolean} forceExtraction - Skip cache check and force fresh extraction
+     * @returns {Promise<Object|null>} Color scheme, or null if no wallpaper
+     * @throws {GLib.Error} Gio.IOErrorEnum.CANCELLED if superseded by a newer extraction or disable()
+     * @private
+     */
+    async _extractCurrentBackground(forceExtraction = false) {
+        this._cancelColorExtraction();
+
+        const cancellable = new Gio.Cancellable();
+        this._extractionCancellable = cancellable;
+
+        try {
+            return await this._colorPalette.extractFromCurrentBackground(
+                forceExtraction,
+                cancellable,
+                this._getPanelRegion()
+            );
+        } finally {
+            if (this._extractionCancellable === cancellable) {
+                this._extractionCancellable = null;
+            }
+        }
+    }
+
+    /**
+     * Describe where the panel sits on the primary monitor (for panel-region color sampling)
+     * Uses Zorin Taskbar position/size when integration is enabled, otherwise the top GNOME panel
+     * @returns {Object|null} {edge, size, margin, monitorWidth, monitorHeight} or null if no monitor
+     * @private
+     */
+    _getPanelRegion() {
+        const monitor = Main.layoutManager.primaryMonitor;
+        if (!monitor) return null;
+
+        let edge = "top";
+        let size = Main.panel.height;
+        let margin = 0;
+
+        if (this._settings.get_boolean("enable-zorin-integration")) {
+            const geometry = this._zorinStyler?.getPanelGeometry(Main.layoutManager.primaryIndex);
+            if (geometry) {
+                edge = geometry.position.toLowerCase();
+                size = geometry.size;
+                // panel-margin is synced to Zorin Taskbar (floating panel offset from screen edge)
+                margin = this._settings.get_int("panel-margin");
+            }
+        }
+
+        return {
+            edge,
+            size,
+            margin,
+            monitorWidth: monitor.width,
+            monitorHeight: monitor.height
+        };
+    }
+
+    /**
+     * Cancel in-flight wallpaper extraction (if any)
+     * @private
+     */
+    _cancelColorExtraction() {
+        if (this._extractionCancellable) {
+            this._logger?.debug("Cancelling in-flight color extraction");
+            this._extractionCancellable.cancel();
+            this._extractionCancellable = null;
+        }
+    }
+
     /**
      * Extract colors from background and apply to settings
      * OPTIMIZATION: Skips extraction if wallpaper hasn't changed (unless forced)
      * @param {boolean} forceExtraction - Skip cache check and force fresh extraction
+     * @param {boolean} notify - Show desktop notification (off for scheduled slideshow updates)
+     * @returns {Promise<void>}
      */
-    _extractAndApplyColors(forceExtraction = false) {
+    async _extractAndApplyColors(forceExtraction = false, notify = true) {
         try {
             // ColorPalette has internal cache with keys: (uri + preferLight)
             // Let it handle caching - we just call it on every trigger
@@ -709,28 +950,94 @@ export default class CSSGnommeExtension extends Extension {
             // 2. Check correct wallpaper key (picture-uri-dark / picture-uri)
             // 3. Check cache for (uri + preferLight) combination
             // 4. Return cached colors if available, or extract if needed
-            const colorScheme = this._colorPalette.extractFromCurrentBackground(forceExtraction);
+            const colorScheme = await this._extractCurrentBackground(forceExtraction);
 
             if (colorScheme) {
+                // Colors pinned to this wallpaper (preferences → Palette Cache) take precedence over extraction
+                const pinnedRoles = Object.keys(colorScheme.pinnedColors ?? {});
+                if (pinnedRoles.length > 0) {
+                    this._logger.info(`Using pinned wallpaper colors: ${pinnedRoles.join(", ")}`);
+                }
+
                 this._colorPalette.applyColorsToSettings(this._settings, colorScheme);
 
+                // GNOME accent-color and theme color variant follow the wallpaper accent
+                const accentColor = colorScheme.pinnedColors?.accent ?? colorScheme.accent;
+                this._overlayManager?.setWallpaperAccentColor(accentColor, this._settings);
+                await this._applyThemeColorVariant(accentColor);
+                if (!this._isEnabled) {
+                    return; // Disabled during theme switch
+                }
+
                 // Show notification
-                this._notify("CSSGnomme", _("Colors extracted and applied from background image"));
+                if (notify) {
+                    this._notify(
+                        "CSSGnomme",
+                        pinnedRoles.length > 0
+                            ? _("Pinned colors applied for this background image")
+                            : _("Colors extracted and applied from background image")
+                    );
+                }
 
                 this._logger.info("Color extraction successful", {
-                    accent: colorScheme.accent,
+                    accent: accentColor,
                     background: colorScheme.background
                 });
             } else {
                 this._notify("CSSGnomme", _("No background image found or unable to extract colors"));
                 this._logger.info("Color extraction failed - no background image");
             }
+
+            // Slideshow wallpapers: re-evaluate at the next slide boundary / crossfade step
+            // (after a theme color switch, which suspends wallpaper monitoring and its timer)
+            this._scheduleSlideshowUpdate(colorScheme?.nextUpdateSeconds);
         } catch (error) {
+            if (ColorPalette.isCancelledError(error)) {
+                // Superseded by newer wallpaper change or extension disabled - nothing to apply
+                this._logger.debug("Color extraction cancelled");
+                return;
+            }
             this._logger.error("Error extracting colors", error.toString());
             this._notify("CSSGnomme", _("Error extracting colors: ") + error.message);
         }
     }
 
+    /**
+     * Schedule palette refresh for background XML slideshows
+     * Only active with auto-color-extraction - manual extraction stays a one-shot
+     * @param {number|undefined} seconds - Delay until next slide boundary or crossfade step (none for plain images)
+     * @private
+     */
+    _scheduleSlideshowUpdate(seconds) {
+        this._cancelSlideshowUpdate();
+
+        if (seconds === undefined || !this._settings.get_boolean("auto-color-extraction")) {
+            return;
+        }
+
+        const delay = Math.max(1, Math.ceil(seconds));
+        this._logger.debug(`Next slideshow color update in ${delay}s`);
+        this._slideshowTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delay, () => {
+            this._slideshowTimerId = null;
+            if (this._isEnabled) {
+                this._logger.info("Slideshow wallpaper advanced - updating colors");
+                this._extractAndApplyColors(false, false);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Remove pending slideshow refresh (if any)
+     * @private
+     */
+    _cancelSlideshowUpdate() {
+        if (this._slideshowTimerId) {
+            GLib.source_remove(this._slideshowTimerId);
+            this._slideshowTimerId = null;
+        }
+    }
+
     /**
      * Setup wallpaper monitoring for auto color extraction
      * SHARED: Keep in sync with g43-extension.js _setupWallpaperMonitoring()
@@ -773,34 +1080,17 @@ export default class CSSGnommeExtension extends Extension {
 
                     this._logger.info(`Color-scheme changed to: ${colorScheme} (current theme: ${currentTheme})`);
 
+                    // Light/Dark pair: switch to the pre-generated overlay instead of recreating
+                    if (await this._switchOverlayVariant(preferDark)) {
+                        return;
+                    }
+
                     // Find matching theme variant
                     const matchingVariant = this._findMatchingThemeVariant(currentTheme, preferDark);
 
                     if (matchingVariant && matchingVariant !== currentTheme) {
                         this._logger.info(`Auto-switching theme variant: ${currentTheme} → ${matchingVariant}`);
-
-                        // SUSPEND auto-color-extraction during theme recreation to avoid duplicate processing
-                        const autoExtractEnabled = this._settings.get_boolean("auto-color-extraction");
-                        if (autoExtractEnabled) {
-                            this._settings.set_boolean("auto-color-extraction", false);
-                            this._logger.debug("Temporarily suspended auto-color-extraction for theme switch");
-                        }
-
-                        try {
-                            // Switch to matching variant (triggers overlay recreation via callback)
-                            this._settings.set_string("overlay-source-theme", matchingVariant);
-
-                            // Wait for overlay recreation to ACTUALLY complete (via Promise)
-                            // No more fixed 500ms delay - waits exactly as long as needed!
-                            await this._overlayRecreationPromise;
-                            this._logger.debug("Overlay recreation completed, proceeding with color extraction");
-                        } finally {
-                            // RESTORE auto-extraction after theme switch completes
-                            if (autoExtractEnabled) {
-                                this._settings.set_boolean("auto-color-extraction", true);
-                                this._logger.debug("Restored auto-color-extraction after theme switch");
-                            }
-                        }
+                        await this._switchSourceTheme(matchingVariant);
 
                         // NOW extract colors OR apply theme defaults (single pass after theme switch complete)
                         this._handleColorSchemeChange("color-scheme-complete");
@@ -824,6 +1114,71 @@ export default class CSSGnommeExtension extends Extension {
         }
     }
 
+    /**
+     * Dark/Light toggle with the Light/Dark overlay pair: make the pre-generated overlay live
+     * (generated right away if it is stale) - no source theme switch, no recreation
+     * @param {boolean} preferDark - New color-scheme is dark
+     * @returns {Promise<boolean>} True if handled, false to switch the single overlay as before
+     * @private
+     */
+    async _switchOverlayVariant(preferDark) {
+        const dualOverlays = this._dualOverlays;
+        if (!dualOverlays || !this._settings.get_boolean("enable-overlay-theme")) return false;
+
+        const mode = preferDark ? "dark" : "light";
+        if (!(await dualOverlays.prepare(mode))) {
+            this._logger.warn(`${mode} overlay could not be generated - recreating live overlay instead`);
+            return false;
+        }
+        if (!this._isEnabled || this._dualOverlays !== dualOverlays) {
+            return true; // Disabled or dual-overlays turned off while generating
+        }
+
+        this._overlayManager.unwatchSourceTheme();
+        this._overlayVariantSwitchInProgress = true;
+        try {
+            this._overlayManager = dualOverlays.activate(mode);
+        } finally {
+            this._overlayVariantSwitchInProgress = false;
+        }
+        this._overlayManager.watchSourceTheme(themeName => this._onSourceThemeUpdated(themeName));
+
+        // A debounced settings update still pending only reaches the new live overlay
+        if (this._userSettingsUpdateTimer) {
+            dualOverlays.invalidate("settings update pending during switch");
+        }
+        return true;
+    }
+
+    /**
+     * Write panel/popup colors of an inactive Light/Dark overlay into its settings view
+     * Same sources as for the live overlay: wallpaper palette of that mode, theme defaults otherwise
+     * @param {Object} view - Settings view the overlay is generated from (see DualOverlays)
+     * @param {boolean} preferDark - Overlay is the dark one
+     * @param {OverlayThemeManager} overlayManager - Manager of the overlay
+     * @param {Gio.Cancellable} cancellable - Cancelled when the overlay goes stale again
+     * @returns {Promise<void>}
+     * @throws {GLib.Error} Gio.IOErrorEnum.CANCELLED if cancelled
+     * @private
+     */
+    async _applyVariantColors(view, preferDark, overlayManager, cancellable) {
+        if (this._settings.get_boolean("auto-color-extraction")) {
+            const colorScheme = await this._colorPalette.extractFromCurrentBackground(
+                false,
+                cancellable,
+                this._getPanelRegion(),
+                preferDark
+            );
+            if (colorScheme) {
+                this._colorPalette.applyColorsToSettings(view, colorScheme);
+                overlayManager.setWallpaperAccentColor(colorScheme.pinnedColors?.accent ?? colorScheme.accent, view);
+                return;
+            }
+        }
+
+        this._setDefaultPanelColors(view, overlayManager);
+    }
+
     /**
      * Cleanup color-scheme monitoring
      * Signals are automatically cleaned by GlobalSignalsHandler.destroy()
@@ -880,6 +1235,8 @@ export default class CSSGnommeExtension extends Extension {
      * Signals are automatically cleaned by GlobalSignalsHandler.destroy()
      */
     _cleanupWallpaperMonitoring() {
+        this._cancelSlideshowUpdate();
+
         if (this._bgSettings) {
             this._logger.debug("Cleaning up wallpaper monitoring");
             // GNOME Review Guidelines: run_dispose() necessary to immediately free GSettings
@@ -935,13 +1292,20 @@ export default class CSSGnommeExtension extends Extension {
     /**
      * Set default panel/popup colors based on theme brightness
      * Uses fallback colors from Constants when wallpaper extraction is disabled or fails
+     * @param {Object} settings - Settings to write (settings view of an inactive Light/Dark overlay)
+     * @param {OverlayThemeManager} overlayManager - Manager of the overlay the colors are for
      * @private
      */
-    _setDefaultPanelColors() {
+    _setDefaultPanelColors(settings = this._settings, overlayManager = this._overlayManager) {
+        // Theme accent drives GNOME accent-color again on next overlay update
+        overlayManager?.setWallpaperAccentColor(null, settings);
+        // No wallpaper palette - hover follows the default backgrounds
+        settings.set_string("harmony-hover-color", "");
+
         try {
             // Determine if current theme is dark or light
-            const sourceTheme = this._settings.get_string("overlay-source-theme");
-            const sourcePath = this._overlayManager.discoverSourceTheme(sourceTheme);
+            const sourceTheme = settings.get_string("overlay-source-theme");
+            const sourcePath = overlayManager.discoverSourceTheme(sourceTheme);
 
             if (!sourcePath) {
                 this._logger.warn("Cannot determine theme brightness, using dark theme defaults");
@@ -949,26 +1313,26 @@ export default class CSSGnommeExtension extends Extension {
                 const panelColor = ThemeUtils.rgbaToCss(...Constants.FALLBACK_COLORS.darkPanel, 0.8);
                 const popupColor = ThemeUtils.rgbaToCss(...Constants.FALLBACK_COLORS.darkPopup, 0.9);
 
-                this._settings.set_string("choose-override-panel-color", panelColor);
-                this._settings.set_string("choose-override-popup-color", popupColor);
+                settings.set_string("choose-override-panel-color", panelColor);
+                settings.set_string("choose-override-popup-color", popupColor);
                 return;
             }
 
             // Detect theme brightness
-            const isLightTheme = this._overlayManager._isLightTheme(sourcePath);
+            const isLightTheme = overlayManager._isLightTheme(sourcePath);
 
             // Set appropriate default colors based on theme brightness
             if (isLightTheme) {
                 const panelColor = ThemeUtils.rgbaToCss(...Constants.FALLBACK_COLORS.lightPanel, 0.8);
                 const popupColor = ThemeUtils.rgbaToCss(...Constants.FALLBACK_COLORS.lightPopup, 0.9);
-                this._settings.set_string("choose-override-panel-color", panelColor);
-                this._settings.set_string("choose-override-popup-color", popupColor);
+                settings.set_string("choose-override-panel-color", panelColor);
+                settings.set_string("choose-override-popup-color", popupColor);
                 this._logger.info("Applied light theme default colors from constants");
             } else {
                 const panelColor = ThemeUtils.rgbaToCss(...Constants.FALLBACK_COLORS.darkPanel, 0.8);
                 const popupColor = ThemeUtils.rgbaToCss(...Constants.FALLBACK_COLORS.darkPopup, 0.9);
-                this._settings.set_string("choose-override-panel-color", panelColor);
-                this._settings.set_string("choose-override-popup-color", popupColor);
+                settings.set_string("choose-override-panel-color", panelColor);
+                settings.set_string("choose-override-popup-color", popupColor);
                 this._logger.info("Applied dark theme default colors from constants");
             }
         } catch (error) {
@@ -978,48 +1342,128 @@ export default class CSSGnommeExtension extends Extension {
 
     /**
      * Find matching Dark/Light theme variant
+     * Resolved within the installed theme family (any token order / letter case, see ThemeFamilyResolver)
      * @param {string} currentTheme - Current theme name
      * @param {boolean} preferDark - Whether to prefer dark variant
      * @returns {string|null} Matching theme name or null if not found
      */
     _findMatchingThemeVariant(currentTheme, preferDark) {
-        // Pattern: base-(Dark|Light)-modifiers
-        const pattern = /^(.+)-(Dark|Light)((?:-\w+)*)$/i;
-        const match = currentTheme.match(pattern);
+        const resolver = new ThemeFamilyResolver(this._overlayManager.getAvailableThemes());
+        const targetTheme = resolver.findVariant(currentTheme, preferDark);
 
-        if (!match) {
-            this._logger.debug(`Theme ${currentTheme} doesn't follow Dark/Light variant pattern`);
-            return null;
+        if (targetTheme === currentTheme) {
+            this._logger.debug(`Theme ${currentTheme} already matches color-scheme preference`);
+        } else if (targetTheme) {
+            this._logger.info(`Found matching variant: ${currentTheme} → ${targetTheme}`);
+        } else {
+            this._logger.debug(`No ${preferDark ? "dark" : "light"} variant of ${currentTheme} installed`);
         }
+        return targetTheme;
+    }
 
-        const [, baseName, currentVariant, trailingModifiers] = match;
-        const isDark = currentVariant.toLowerCase() === "dark";
+    /**
+     * Find installed color variant of the current theme family closest to the wallpaper accent
+     * Compares OKLCH hue with each variant's theme accent; grey wallpapers only match grey variants.
+     * Dark/Light and style modifiers are kept (ZorinBlue-Dark → ZorinRed-Dark, Orchis-Dark → Orchis-Purple-Dark)
+     * @param {string} currentTheme - Current source theme name
+     * @param {Array} accentColor - [r, g, b] wallpaper accent
+     * @returns {string} Closest installed color variant (currentTheme if the family has no other colors)
+     */
+    _findThemeColorVariant(currentTheme, accentColor) {
+        const { neutralChroma } = Constants.THEME_FAMILIES;
+        const resolver = new ThemeFamilyResolver(this._overlayManager.getAvailableThemes());
+        const [, wallpaperChroma, wallpaperHue] = ThemeUtils.rgbToOklch(accentColor);
+        const wallpaperIsNeutral = wallpaperChroma < neutralChroma;
+
+        let closestTheme = currentTheme;
+        let closestDistance = Infinity;
+
+        for (const { name } of resolver.getColorVariants(currentTheme)) {
+            const themePath = this._overlayManager.discoverSourceTheme(name);
+            if (!themePath) continue;
+
+            // No valid accent (grey variant) counts as neutral
+            const themeAccent = this._overlayManager.getThemeAccentColor(themePath);
+            const [, chroma, hue] = themeAccent ? ThemeUtils.rgbToOklch(themeAccent) : [0, 0, 0];
+            const themeIsNeutral = chroma < neutralChroma;
+
+            let distance;
+            if (wallpaperIsNeutral || themeIsNeutral) {
+                distance = wallpaperIsNeutral === themeIsNeutral ? 0 : Infinity;
+            } else {
+                const hueDelta = Math.abs(hue - wallpaperHue) % 360;
+                distance = Math.min(hueDelta, 360 - hueDelta);
+            }
 
-        // Already matches preference
-        if (isDark === preferDark) {
-            this._logger.debug(`Theme ${currentTheme} already matches color-scheme preference`);
-            return currentTheme;
+            if (distance < closestDistance) {
+                closestTheme = name;
+                closestDistance = distance;
+            }
         }
 
-        // Build target variant name
-        const targetVariant = preferDark ? "Dark" : "Light";
-        const targetTheme = `${baseName}-${targetVariant}${trailingModifiers}`;
+        return closestTheme;
+    }
 
-        // Verify target theme exists using discoverSourceTheme
-        const themePath = this._overlayManager.discoverSourceTheme(targetTheme);
-        if (themePath) {
-            this._logger.info(`Found matching variant: ${currentTheme} → ${targetTheme}`);
-            return targetTheme;
-        } else {
-            this._logger.debug(`Target theme ${targetTheme} not found in installed themes`);
-            return null;
+    /**
+     * Switch source theme to the family color variant matching the wallpaper accent
+     * Only with auto-theme-color-variant on and overlay enabled
+     * @param {Array} accentColor - [r, g, b] wallpaper accent
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyThemeColorVariant(accentColor) {
+        if (!accentColor || !this._settings.get_boolean("auto-theme-color-variant")) return;
+
+        // Color-scheme variant switch in progress - it extracts again once done
+        if (!this._settings.get_boolean("enable-overlay-theme") || this._overlayRecreationInProgress) return;
+
+        const currentTheme = this._settings.get_string("overlay-source-theme");
+        const targetTheme = this._findThemeColorVariant(currentTheme, accentColor);
+
+        if (targetTheme !== currentTheme) {
+            this._logger.info(`Switching theme color to match wallpaper: ${currentTheme} → ${targetTheme}`);
+            await this._switchSourceTheme(targetTheme);
+        }
+    }
+
+    /**
+     * Switch overlay source theme and wait until the overlay is recreated
+     * auto-color-extraction is suspended meanwhile so the overlay-source-theme callback
+     * doesn't extract a second time
+     * @param {string} targetTheme - Installed theme name
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _switchSourceTheme(targetTheme) {
+        // SUSPEND auto-color-extraction during theme recreation to avoid duplicate processing
+        const autoExtractEnabled = this._settings.get_boolean("auto-color-extraction");
+        if (autoExtractEnabled) {
+            this._settings.set_boolean("auto-color-extraction", false);
+            this._logger.debug("Temporarily suspended auto-color-extraction for theme switch");
+        }
+
+        try {
+            // Switch theme (triggers overlay recreation via callback)
+            this._settings.set_string("overlay-source-theme", targetTheme);
+
+            // Wait for overlay recreation to ACTUALLY complete (via Promise)
+            // No more fixed 500ms delay - waits exactly as long as needed!
+            await this._overlayRecreationPromise;
+            this._logger.debug("Overlay recreation completed after theme switch");
+        } finally {
+            // RESTORE auto-extraction after theme switch completes
+            if (autoExtractEnabled) {
+                this._settings.set_boolean("auto-color-extraction", true);
+                this._logger.debug("Restored auto-color-extraction after theme switch");
+            }
         }
     }
 
     /**
      * Apply overlay theme changes (manual trigger)
+     * @returns {Promise<void>}
      */
-    _applyOverlayChanges() {
+    async _applyOverlayChanges() {
         if (!this._settings.get_boolean("enable-overlay-theme")) {
             this._notify("CSSGnomme", _("Overlay theme is not enabled"));
             return;
@@ -1032,9 +1476,17 @@ export default class CSSGnommeExtension extends Extension {
             const autoExtract = this._settings.get_boolean("auto-color-extraction");
             if (autoExtract) {
                 this._logger.info("Auto color extraction enabled, extracting from wallpaper");
-                const colorScheme = this._colorPalette.extractFromCurrentBackground();
+                const colorScheme = await this._extractCurrentBackground();
+                if (!this._isEnabled) {
+                    return; // Disabled while extraction was running
+                }
+                this._scheduleSlideshowUpdate(colorScheme?.nextUpdateSeconds);
                 if (colorScheme) {
                     this._colorPalette.applyColorsToSettings(this._settings, colorScheme);
+                    this._overlayManager.setWallpaperAccentColor(
+                        colorScheme.pinnedColors?.accent ?? colorScheme.accent,
+                        this._settings
+                    );
                     this._logger.info("Applied wallpaper colors: panel and popup backgrounds");
                 } else {
                     this._logger.info("No wallpaper found, applying theme-based default colors");
@@ -1056,6 +1508,11 @@ export default class CSSGnommeExtension extends Extension {
                 this._logger.warn("Overlay update failed");
             }
         } catch (error) {
+            if (ColorPalette.isCancelledError(error)) {
+                // Newer extraction took over - it applies its own colors
+                this._logger.debug("Overlay apply superseded by newer color extraction");
+                return;
+            }
             this._logger.error("Error applying overlay changes", error.toString());
             this._notify("CSSGnomme", _("Error: ") + error.message);
         }
@@ -1074,7 +1531,8 @@ export default class CSSGnommeExtension extends Extension {
 
             // Check if overlay already exists
             if (this._overlayManager.overlayExists()) {
-                this._logger.info("Overlay already exists, activating");
+                this._logger.info("Overlay already exists, verifying before activation");
+                this._verifyAndRepairOverlay();
                 this._overlayManager.activateOverlay(this._interfaceSettings, this._settings);
             } else {
                 this._logger.info(`Creating new overlay from: ${sourceTheme}`);
@@ -1090,6 +1548,15 @@ export default class CSSGnommeExtension extends Extension {
                 }
             }
 
+            // Regenerate when the source theme is updated by the package manager
+            if (this._settings.get_boolean("enable-overlay-theme")) {
+                this._overlayManager.watchSourceTheme(themeName => this._onSourceThemeUpdated(themeName));
+                this._customCss.watch(() => this._onCustomCssChanged());
+
+                // Other overlay of the Light/Dark pair follows in the background
+                this._dualOverlays?.invalidate("overlay enabled");
+            }
+
             // ZorinStyler only handles Zorin Taskbar transparency (no CSS injection)
             this._logger.info("ZorinStyler manages Zorin Taskbar transparency only");
         } catch (error) {
@@ -1099,8 +1566,72 @@ export default class CSSGnommeExtension extends Extension {
         }
     }
 
+    /**
+     * Check existing overlay (metadata, source theme, symlinks, CSS imports) and repair what is broken
+     * Shows a summary notification if anything had to be repaired
+     * @private
+     */
+    _verifyAndRepairOverlay() {
+        const problems = this._overlayManager.verifyOverlay();
+        if (problems.length === 0) {
+            this._logger.info("Overlay integrity check passed");
+            return;
+        }
+
+        this._logger.warn(
+            `Overlay integrity check found ${problems.length} problems: ${problems.map(p => p.message).join("; ")}`
+        );
+        const { repaired, failed } = this._overlayManager.repairOverlay(
+            problems,
+            this._settings,
+            this._interfaceSettings
+        );
+
+        let summary = ngettext(
+            "Overlay repaired: %d of %d problem fixed",
+            "Overlay repaired: %d of %d problems fixed",
+            problems.length
+        ).format(repaired.length, problems.length);
+        if (failed.length > 0) {
+            // Problem messages are English diagnostics - details go to the log, the notification gets a count
+            this._logger.warn(`Overlay problems not fixed: ${failed.join("; ")}`);
+            summary +=
+                ". " +
+                ngettext(
+                    "%d problem could not be fixed, see the log",
+                    "%d problems could not be fixed, see the log",
+                    failed.length
+                ).format(failed.length);
+        }
+        this._notify("CSSGnomme", summary);
+    }
+
+    /**
+     * Source theme files changed on disk (caches already invalidated) - rebuild overlay in the background
+     * @param {string} themeName - Source theme name
+     * @private
+     */
+    _onSourceThemeUpdated(themeName) {
+        if (!this._isEnabled || !this._settings.get_boolean("enable-overlay-theme")) return;
+
+        this._logger.info(`Source theme ${themeName} was updated on disk - regenerating overlay`);
+        this._recreateOverlayTheme();
+        this._dualOverlays?.invalidate(`${themeName} updated`);
+    }
+
+    /**
+     * User CSS snippet saved - regenerate live overlay CSS (the custom Shell component is hot-swapped)
+     * @private
+     */
+    _onCustomCssChanged() {
+        this._scheduleOverlayUpdate("custom-css");
+        this._dualOverlays?.invalidate("custom CSS changed");
+    }
+
     _disableOverlayTheme() {
         this._logger.info("Disabling overlay theme");
+        this._overlayManager.unwatchSourceTheme();
+        this._customCss?.unwatch();
 
         try {
             // Restore original themes using overlayManager (reads from index.theme)
@@ -1173,23 +1704,8 @@ export default class CSSGnommeExtension extends Extension {
                     // Apply overlay theme (set gtk-theme to CSSGnomme)
                     this._interfaceSettings.set_string("gtk-theme", this._overlayManager.overlayName);
 
-                    // Force Shell theme reload using Main.loadTheme() API (instant, no flicker)
-                    // Pattern from user-theme extension - direct API call instead of GSettings clear+set
-                    if (this._shellSettings) {
-                        try {
-                            // Set shell theme name in GSettings (user-theme reads this)
-                            this._shellSettings.set_string("name", this._overlayManager.overlayName);
-                            this._logger.info("Shell theme GSettings updated to overlay");
-
-                            // Force immediate reload using Main API (no cache delay)
-                            Main.loadTheme();
-                            this._logger.debug("Shell theme reloaded via Main.loadTheme() - instant refresh");
-                        } catch (e) {
-                            this._logger.error("Failed to reload shell theme: " + e.message);
-                        }
-                    } else {
-                        this._logger.warn("Shell theme settings not available (user-theme extension not installed)");
-                    }
+                    // Apply regenerated gnome-shell.css (user-theme or St.ThemeContext backend)
+                    this._overlayManager.applyShellStylesheet();
                 }
                 // Get newly detected accent color to show in notification
                 const borderColor = this._settings.get_string("blur-border-color");
@@ -1317,16 +1833,7 @@ export default class CSSGnommeExtension extends Extension {
                     this._overlayManager &&
                     this._overlayManager.updateOverlayCss(this._settings, false, this._interfaceSettings)
                 ) {
-                    // Use Main.loadTheme() for instant Shell theme reload (user-theme pattern)
-                    if (this._shellSettings) {
-                        try {
-                            Main.loadTheme();
-                            this._logger.debug("Shell theme reloaded via Main.loadTheme() after debounced CSS update");
-                        } catch (e) {
-                            this._logger.warn("Failed to reload shell theme after debounced CSS update: " + e.message);
-                        }
-                    }
-
+                    // Changed Shell components were hot-swapped by updateOverlayCss
                     this._overlayManager.refreshTheme(this._interfaceSettings);
                     this._logger.info("Debounced overlay updated successfully");
                 } else {
@@ -1374,16 +1881,7 @@ export default class CSSGnommeExtension extends Extension {
             this._overlayManager &&
             this._overlayManager.updateOverlayCss(this._settings, false, this._interfaceSettings)
         ) {
-            // Use Main.loadTheme() for instant Shell theme reload (user-theme pattern)
-            if (this._shellSettings) {
-                try {
-                    Main.loadTheme();
-                    this._logger.debug("Shell theme reloaded via Main.loadTheme() after CSS update");
-                } catch (e) {
-                    this._logger.warn("Failed to reload shell theme after CSS update: " + e.message);
-                }
-            }
-
+            // Changed Shell components were hot-swapped by updateOverlayCss
             this._overlayManager.refreshTheme(this._interfaceSettings);
             this._logger.info("Overlay updated successfully");
         } else {
@@ -0,0 +1,143 @@
+/**
+ * materialColors.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * Material 3 style tonal palettes and color roles
+ */
+
+import { Constants } from "./constants.js";
+import { ThemeUtils } from "./themeUtils.js";
+
+/* materialColors.js
+ *
+ * Turns one seed color into tonal palettes (primary, secondary, tertiary, neutral,
+ * neutral-variant) and named color roles for light and dark themes.
+ *
+ * Tone is CIELAB L*, as in Material's HCT color space: L* alone fixes relative luminance,
+ * so the tone gap between two roles fixes their WCAG contrast whatever their hue
+ * (a gap of 40 tones is at least 3:1, 50 tones at least 4.5:1). Hue and chroma come from
+ * CIE LCh rather than CAM16, which keeps the math within ThemeUtils.
+ */
+
+/**
+ * Single hue/chroma palette addressable by tone
+ */
+export class TonalPalette {
+    /**
+     * @param {number} hue - CIE LCh hue (0-360)
+     * @param {number} chroma - CIE LCh chroma (reduced per tone where sRGB can't reach it)
+     */
+    constructor(hue, chroma) {
+        this.hue = hue;
+        this.chroma = chroma;
+        this._tones = new Map();
+    }
+
+    /**
+     * Color at given tone
+     * Chroma is reduced (binary search) until the color fits sRGB; L* and hue are kept
+     * @param {number} tone - CIELAB L* (0-100)
+     * @returns {Array} [r, g, b]
+     */
+    tone(tone) {
+        if (this._tones.has(tone)) {
+            return this._tones.get(tone);
+        }
+
+        const hueRad = (this.hue * Math.PI) / 180;
+        const toLab = chroma => [tone, chroma * Math.cos(hueRad), chroma * Math.sin(hueRad)];
+
+        // labToRgb clamps out-of-gamut channels - a lossless round trip means the color fits sRGB
+        const inGamut = chroma => {
+            const lab = toLab(chroma);
+            const back = ThemeUtils.rgbToLab(ThemeUtils.labToRgb(lab));
+            return Math.hypot(back[0] - lab[0], back[1] - lab[1], back[2] - lab[2]) < 1.0;
+        };
+
+        let chroma = this.chroma;
+        if (!inGamut(chroma)) {
+            let low = 0;
+            let high = chroma;
+            for (let i = 0; i < 12; i++) {
+                const mid = (low + high) / 2;
+                if (inGamut(mid)) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            chroma = low;
+        }
+
+        const rgb = ThemeUtils.labToRgb(toLab(chroma));
+        this._tones.set(tone, rgb);
+        return rgb;
+    }
+
+    /**
+     * Standard tone stops (Constants.MATERIAL_COLORS.tones)
+     * @returns {Object} {0: [r, g, b], 10: [r, g, b], ..., 100: [r, g, b]}
+     */
+    getTones() {
+        return Object.fromEntries(Constants.MATERIAL_COLORS.tones.map(tone => [tone, this.tone(tone)]));
+    }
+}
+
+/**
+ * Seed color → tonal palettes → color roles
+ */
+export class MaterialColors {
+    /**
+     * Build the five tonal palettes from a seed color
+     * Grey seeds (neutral themes) keep their low chroma instead of being colorized
+     * @param {Array} seedColor - [r, g, b] seed (theme or wallpaper accent)
+     * @returns {Object} {primary, secondary, tertiary, neutral, neutralVariant} as TonalPalette
+     */
+    static fromSeed(seedColor) {
+        const [, a, b] = ThemeUtils.rgbToLab(seedColor);
+        const seedChroma = Math.hypot(a, b);
+        const seedHue = ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360;
+        const isNeutralSeed = seedChroma < Constants.MATERIAL_COLORS.neutralSeedChroma;
+
+        const palettes = {};
+        for (const [name, spec] of Object.entries(Constants.MATERIAL_COLORS.palettes)) {
+            let chroma = spec.chroma ?? Math.max(seedChroma, spec.minChroma);
+            if (isNeutralSeed) {
+                chroma = Math.min(chroma, seedChroma);
+            }
+            palettes[name] = new TonalPalette((seedHue + spec.hueShift) % 360, chroma);
+        }
+        return palettes;
+    }
+
+    /**
+     * Resolve named color roles for light or dark theme
+     * Each contrast pair is checked afterwards; ThemeUtils.ensureContrast fixes the rare
+     * rounding/gamut case that falls short
+     * @param {Object} palettes - Palettes from fromSeed()
+     * @param {boolean} isDark - Dark theme roles
+     * @returns {Object} {primary, onPrimary, primaryContainer, ..., surface, surfaceContainer, outline, ...} as [r, g, b]
+     */
+    static getRoles(palettes, isDark) {
+        const roles = {};
+        for (const [role, [palette, lightTone, darkTone]] of Object.entries(Constants.MATERIAL_COLORS.roles)) {
+            roles[role] = palettes[palette].tone(isDark ? darkTone : lightTone);
+        }
+
+        for (const [fg, bg, minRatio] of Constants.MATERIAL_COLORS.contrastPairs) {
+            roles[fg] = ThemeUtils.ensureContrast(roles[fg], roles[bg], minRatio);
+        }
+
+        return roles;
+    }
+
+    /**
+     * Convenience: color roles straight from seed
+     * @param {Array} seedColor - [r, g, b] seed
+     * @param {boolean} isDark - Dark theme roles
+     * @returns {Object} Color roles (see getRoles)
+     */
+    static getRolesFromSeed(seedColor, isDark) {
+        return this.getRoles(this.fromSeed(seedColor), isDark);
+    }
+}
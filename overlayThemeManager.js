@@ -11,6 +11,8 @@ import System from "system";
 
 import { Constants } from "./constants.js";
 import { CSSTemplates } from "./cssTemplates.js";
+import { CustomCss } from "./customCss.js";
+import { MaterialColors } from "./materialColors.js";
 import { ThemeUtils } from "./themeUtils.js";
 import { GlobalSignalsHandler } from "./signalHandler.js";
 
@@ -21,12 +23,34 @@ import { GlobalSignalsHandler } from "./signalHandler.js";
  */
 
 export class OverlayThemeManager {
-    constructor(extensionName = "CSSGnomme", logger = null) {
+    /**
+     * @param {string} extensionName - Overlay name (also the index.theme metadata section)
+     * @param {Logger} logger - Logger instance (optional)
+     * @param {string|null} colorMode - "light" / "dark" for one overlay of the dual-overlays pair
+     *   (<extensionName>-Light / -Dark, generated for that mode); null = single overlay following the system
+     */
+    constructor(extensionName = "CSSGnomme", logger = null, colorMode = null) {
         this.extensionName = extensionName;
-        this.overlayName = extensionName;
+        this.colorMode = colorMode;
+
+        const { variantSuffixes } = Constants.DUAL_OVERLAYS;
+        this.overlayName = colorMode ? `${extensionName}${variantSuffixes[colorMode]}` : extensionName;
+        // Other overlay of the pair - shares the original themes, owns the global colors while it is live
+        this.siblingOverlayName = colorMode
+            ? `${extensionName}${variantSuffixes[colorMode === "dark" ? "light" : "dark"]}`
+            : null;
         this.overlayPath = `${GLib.get_home_dir()}/.themes/${this.overlayName}`;
         this.metadataFile = `${this.overlayPath}/index.theme`;
 
+        // createOverlayTheme builds into stagingPath and swaps it in; the live overlay is moved to
+        // previousPath until the new one is in place (hidden names - not listed as themes)
+        this.stagingPath = `${GLib.get_home_dir()}/.themes/.${this.overlayName}.staging`;
+        this.previousPath = `${GLib.get_home_dir()}/.themes/.${this.overlayName}.previous`;
+
+        // Second name of the live overlay (symlink) - refreshTheme alternates gtk-theme between both names
+        this.refreshAliasName = `${this.overlayName}${Constants.OVERLAY_REFRESH.aliasSuffix}`;
+        this.refreshAliasPath = `${GLib.get_home_dir()}/.themes/${this.refreshAliasName}`;
+
         // Use provided logger or create fallback
         if (logger) {
             this._logger = logger;
@@ -42,7 +66,12 @@ export class OverlayThemeManager {
 
         // Settings singleton instances (prevent memory leaks)
         this._interfaceSettings = null;
-        this._shellSettings = null;
+
+        // Shell stylesheet backend (extension injects it, see setShellStylesheet) - null = Shell CSS not applied
+        this._shellStylesheet = null;
+
+        // Cache key of each Shell component written to the live overlay (name → key, see _updateShellCss)
+        this._shellComponentKeys = new Map();
 
         // CSS template system for string pooling (memory optimization)
         this._cssTemplates = new CSSTemplates();
@@ -50,9 +79,15 @@ export class OverlayThemeManager {
         // Track pending GLib timers for cleanup (prevent memory leaks)
         this._pendingTimers = [];
 
-        // Centralized signal management (ready for future file watchers or settings monitoring)
+        // Centralized signal management (source theme file monitors)
         this._signalsHandler = new GlobalSignalsHandler();
 
+        // Source theme directory monitors (see watchSourceTheme) - null callback = not watching
+        this._sourceMonitors = [];
+        this._sourceMonitorPath = null;
+        this._sourceChangeCallback = null;
+        this._sourceChangeTimer = null;
+
         // Base theme CSS cache (TIER 1 optimization - processed source CSS)
         // Cache key format: "gtk-base:ThemeName:version:light|dark:tintStrength"
         //                   "shell-base:ThemeName:tintStrength"
@@ -77,6 +112,10 @@ export class OverlayThemeManager {
         this._accentColorCache = new Map();
         this._accentCacheStats = { hits: 0, misses: 0 };
 
+        // Last wallpaper accent (extension reports it after extraction) - preferred over theme accent
+        // when mapping to GNOME accent-color; null = use theme accent
+        this._wallpaperAccentColor = null;
+
         this._logger.info("OverlayThemeManager initialized (sync mode)");
     }
 
@@ -93,18 +132,6 @@ export class OverlayThemeManager {
         return this._interfaceSettings;
     }
 
-    /**
-     * Get org.gnome.shell.extensions.user-theme Settings singleton
-     * @returns {Gio.Settings} Shell theme settings instance
-     */
-    _getShellSettings() {
-        if (!this._shellSettings) {
-            const shellThemeSchema = "org.gnome.shell.extensions.user-theme";
-            this._shellSettings = new Gio.Settings({ schema: shellThemeSchema });
-        }
-        return this._shellSettings;
-    }
-
     // ===== THEME DISCOVERY =====
 
     /**
@@ -162,8 +189,8 @@ export class OverlayThemeManager {
                     while ((fileInfo = enumerator.next_file(null)) !== null) {
                         if (fileInfo.get_file_type() === Gio.FileType.DIRECTORY) {
                             const themeName = fileInfo.get_name();
-                            // Skip our overlay theme
-                            if (themeName !== this.overlayName) {
+                            // Skip our overlays (Light/Dark variants, refresh aliases) and hidden dirs (overlay staging / previous)
+                            if (!this.isOverlayTheme(themeName) && !themeName.startsWith(".")) {
                                 themes.add(themeName);
                             }
                         }
@@ -376,8 +403,8 @@ export class OverlayThemeManager {
             const currentGtkTheme = interfaceSettings.get_string("gtk-theme");
 
             // ← FIX: If current theme is overlay, read from existing metadata
-            if (currentGtkTheme === this.overlayName) {
-                const metadata = this.readIndexTheme();
+            if (this.isOverlayTheme(currentGtkTheme)) {
+                const metadata = this._readOriginalThemesMetadata();
                 if (metadata && metadata[`X-${this.extensionName}-Extension`]) {
                     originalGtkTheme =
                         metadata[`X-${this.extensionName}-Extension`].OriginalGtkTheme || sourceThemeName;
@@ -405,16 +432,19 @@ export class OverlayThemeManager {
                 );
             }
 
-            try {
-                const shellThemeSettings = new Gio.Settings({
-                    schema: "org.gnome.shell.extensions.user-theme"
-                });
-                const currentShellTheme = shellThemeSettings.get_string("name");
+            // user-theme settings are owned by the Shell stylesheet backend (null = schema not installed)
+            const currentShellTheme = this._shellStylesheet?.getUserThemeName() ?? null;
+            if (currentShellTheme === null) {
+                originalShellTheme = originalGtkTheme; // Fallback to GTK theme
+                this._logger.warn(
+                    ` user-theme extension not available, using GTK theme as Shell theme: ${originalShellTheme}`
+                );
+            } else {
                 this._logger.debug(` Current Shell theme from user-theme extension: '${currentShellTheme}'`);
 
                 // Same logic for Shell theme
-                if (currentShellTheme === this.overlayName) {
-                    const metadata = this.readIndexTheme();
+                if (this.isOverlayTheme(currentShellTheme)) {
+                    const metadata = this._readOriginalThemesMetadata();
                     if (metadata && metadata[`X-${this.extensionName}-Extension`]) {
                         originalShellTheme =
                             metadata[`X-${this.extensionName}-Extension`].OriginalShellTheme || sourceThemeName;
@@ -429,11 +459,6 @@ export class OverlayThemeManager {
                     originalShellTheme = currentShellTheme;
                     this._logger.info(` Saved current Shell theme as original: ${originalShellTheme}`);
                 }
-            } catch (e) {
-                originalShellTheme = originalGtkTheme; // Fallback to GTK theme
-                this._logger.warn(
-                    ` user-theme extension not available, using GTK theme as Shell theme: ${originalShellTheme}`
-                );
             }
         } else {
             // ← FIX: If interfaceSettings not provided, read directly from GSettings
@@ -443,8 +468,8 @@ export class OverlayThemeManager {
                 const currentIconTheme = ifaceSettings.get_string("icon-theme");
 
                 // Same circular reference check
-                if (currentGtkTheme === this.overlayName) {
-                    const metadata = this.readIndexTheme();
+                if (this.isOverlayTheme(currentGtkTheme)) {
+                    const metadata = this._readOriginalThemesMetadata();
                     if (metadata && metadata[`X-${this.extensionName}-Extension`]) {
                         originalGtkTheme =
                             metadata[`X-${this.extensionName}-Extension`].OriginalGtkTheme || sourceThemeName;
@@ -496,9 +521,16 @@ export class OverlayThemeManager {
             this._logger.debug(` Using AUTO icon theme detection from source theme`);
         }
 
+        // Build complete overlay in staging dir - the live overlay stays untouched until the swap
+        const stagingPath = this.stagingPath;
+        let shellComponents = [];
+
         try {
-            // Create base overlay directory (sync - very fast)
-            this._createDirectory(this.overlayPath);
+            this._recoverInterruptedSwap();
+            this._removeDirectoryIfExists(stagingPath);
+            if (!this._createDirectory(stagingPath)) {
+                throw new Error(`Cannot create staging directory ${stagingPath}`);
+            }
 
             // Get theme structure (sync - just directory scans)
             const gtkVersions = this.detectGtkVersions(sourcePath);
@@ -521,49 +553,55 @@ export class OverlayThemeManager {
                     // Light variant base theme (if gtk.css exists)
                     if (gtkVersions[version].hasGtkCss) {
                         const baseCss = this._generateGtkBaseCss(version, sourcePath, false, settings);
-                        cssFiles[`${this.overlayPath}/${version}/base-theme.css`] = baseCss;
+                        cssFiles[`${stagingPath}/${version}/base-theme.css`] = baseCss;
                     }
 
                     // Dark variant base theme (if gtk-dark.css exists)
                     if (gtkVersions[version].hasDarkCss) {
                         const baseDarkCss = this._generateGtkBaseCss(version, sourcePath, true, settings);
-                        cssFiles[`${this.overlayPath}/${version}/base-theme-dark.css`] = baseDarkCss;
+                        cssFiles[`${stagingPath}/${version}/base-theme-dark.css`] = baseDarkCss;
                     }
 
                     // Generate gtk.css (import base-theme.css + overrides)
                     if (gtkVersions[version].hasGtkCss) {
                         const gtkCss = this._generateGtkCss(version, sourcePath, false, settings);
-                        cssFiles[`${this.overlayPath}/${version}/gtk.css`] = gtkCss;
+                        cssFiles[`${stagingPath}/${version}/gtk.css`] = gtkCss;
                     }
 
                     // Generate gtk-dark.css (import base-theme-dark.css + overrides)
                     if (gtkVersions[version].hasDarkCss) {
                         const darkCss = this._generateGtkCss(version, sourcePath, true, settings);
-                        cssFiles[`${this.overlayPath}/${version}/gtk-dark.css`] = darkCss;
+                        cssFiles[`${stagingPath}/${version}/gtk-dark.css`] = darkCss;
                     }
 
                     // Create version directory
-                    this._createDirectory(`${this.overlayPath}/${version}`);
+                    this._createDirectory(`${stagingPath}/${version}`);
                 }
             }
 
             // Generate Shell CSS (sync - template generation)
             if (shellTheme.exists) {
                 // Create shell directory first
-                this._createDirectory(`${this.overlayPath}/gnome-shell`);
+                this._createDirectory(`${stagingPath}/gnome-shell`);
 
                 // Generate base-theme.css (modified original CSS)
                 const baseThemeCss = this._generateBaseThemeCss(sourcePath, settings);
-                cssFiles[`${this.overlayPath}/gnome-shell/base-theme.css`] = baseThemeCss;
+                cssFiles[`${stagingPath}/gnome-shell/base-theme.css`] = baseThemeCss;
 
-                // Generate gnome-shell.css (our dynamic overrides)
+                // Generate gnome-shell.css (base import) and one stylesheet per override component
                 const shellCss = this._generateShellCss(sourcePath, settings);
-                cssFiles[`${this.overlayPath}/gnome-shell/gnome-shell.css`] = shellCss;
+                cssFiles[`${stagingPath}/gnome-shell/gnome-shell.css`] = shellCss;
+
+                this._createDirectory(`${stagingPath}/gnome-shell/${Constants.SHELL_COMPONENTS.directory}`);
+                shellComponents = this._generateShellComponents(sourcePath, settings);
+                shellComponents.forEach(component => {
+                    cssFiles[this._getShellComponentPath(`${stagingPath}/gnome-shell`, component.name)] = component.css;
+                });
 
                 // Generate pad-osd.css if source has it
                 if (shellTheme.hasPadOsd) {
                     const padOsdCss = this._generatePadOsdCss(sourcePath, settings);
-                    cssFiles[`${this.overlayPath}/gnome-shell/pad-osd.css`] = padOsdCss;
+                    cssFiles[`${stagingPath}/gnome-shell/pad-osd.css`] = padOsdCss;
                 }
             }
 
@@ -571,12 +609,18 @@ export class OverlayThemeManager {
             this._logger.info(` Writing ${Object.keys(cssFiles).length} CSS files synchronously...`);
             const batchStart = Date.now();
 
+            // Expected staging contents (path → byte size, -1 = symlink) - verified before the swap
+            const expectedFiles = new Map();
+
             let writeErrors = 0;
             for (const [filePath, content] of Object.entries(cssFiles)) {
-                try {
-                    this._writeFile(filePath, content);
-                } catch (error) {
-                    this._logger.error(` Failed to write ${filePath}: ${error.message}`);
+                // Generators return null on failure - never write that into the staging tree
+                if (!content) {
+                    this._logger.error(` No CSS generated for ${filePath}`);
+                    writeErrors++;
+                } else if (this._writeFile(filePath, content)) {
+                    expectedFiles.set(filePath, new TextEncoder().encode(content).length);
+                } else {
                     writeErrors++;
                 }
             }
@@ -585,7 +629,7 @@ export class OverlayThemeManager {
             this._logger.info(` CSS sync write completed in ${batchElapsed}ms`);
 
             if (writeErrors > 0) {
-                this._logger.warn(` CSS write had ${writeErrors} errors`);
+                throw new Error(`${writeErrors} CSS files could not be written`);
             }
 
             // MEMORY LEAK FIX: Clear CSS file map to release large strings from memory
@@ -632,10 +676,8 @@ export class OverlayThemeManager {
                     gtkVersions[version].assets.length > 0
                 ) {
                     gtkVersions[version].assets.forEach(asset => {
-                        this._createSymlink(
-                            `${sourcePath}/${version}/${asset}`,
-                            `${this.overlayPath}/${version}/${asset}`
-                        );
+                        this._createSymlink(`${sourcePath}/${version}/${asset}`, `${stagingPath}/${version}/${asset}`);
+                        expectedFiles.set(`${stagingPath}/${version}/${asset}`, -1);
                     });
                     this._logger.info(` Symlinked ${gtkVersions[version].assets.length} ${version} assets`);
                 }
@@ -643,25 +685,21 @@ export class OverlayThemeManager {
 
             // Symlink ALL other directories (sync - fast symlink operations)
             otherDirs.forEach(dir => {
-                this._createSymlink(`${sourcePath}/${dir}`, `${this.overlayPath}/${dir}`);
+                this._createSymlink(`${sourcePath}/${dir}`, `${stagingPath}/${dir}`);
+                expectedFiles.set(`${stagingPath}/${dir}`, -1);
             });
 
             // Symlink Shell theme assets if exists (sync - fast symlink operations)
             if (shellTheme.exists && shellTheme.assets && shellTheme.assets.length > 0) {
                 shellTheme.assets.forEach(asset => {
-                    this._createSymlink(
-                        `${sourcePath}/gnome-shell/${asset}`,
-                        `${this.overlayPath}/gnome-shell/${asset}`
-                    );
+                    this._createSymlink(`${sourcePath}/gnome-shell/${asset}`, `${stagingPath}/gnome-shell/${asset}`);
+                    expectedFiles.set(`${stagingPath}/gnome-shell/${asset}`, -1);
                 });
                 this._logger.info(` Symlinked ${shellTheme.assets.length} Shell theme assets`);
             }
 
-            // Detect and apply theme accent color to settings (sync - just settings write)
-            this.detectAndApplyAccentColor(sourcePath, settings);
-
             // Write metadata with original themes (sync - small file)
-            this._writeIndexTheme({
+            const indexWritten = this._writeIndexTheme({
                 sourceThemeName,
                 sourcePath,
                 gtkVersions,
@@ -669,19 +707,147 @@ export class OverlayThemeManager {
                 originalShellTheme,
                 originalIconTheme,
                 sourceIconTheme, // Manual icon theme override (null = auto-detect)
-                manualIconOverrideEnabled // Whether user manually selected icon theme
+                manualIconOverrideEnabled, // Whether user manually selected icon theme
+                // GNOME accent-color before we changed it (kept until restored)
+                originalAccentColor:
+                    this._readOriginalThemesMetadata()?.[`X-${this.extensionName}-Extension`]?.OriginalAccentColor ??
+                    "",
+                targetPath: stagingPath
             });
+            if (!indexWritten) {
+                throw new Error("index.theme could not be written");
+            }
 
             // Write README (sync - small file)
-            this._writeReadme(sourceThemeName);
+            this._writeReadme(sourceThemeName, stagingPath);
 
-            this._logger.info(` Overlay theme created successfully`);
-            return true;
+            const missing = this._findIncompleteStagingFiles(expectedFiles);
+            if (missing.length > 0) {
+                throw new Error(`Staged overlay incomplete: ${missing.join(", ")}`);
+            }
+
+            this._swapStagedOverlay();
+
+            // Live overlay now holds exactly these components
+            this._shellComponentKeys = new Map(shellComponents.map(component => [component.name, component.cacheKey]));
         } catch (e) {
             this._logger.error(` Error creating overlay theme: ${e.message}`);
             this._logger.error(` Stack: ${e.stack}`);
+            this._removeDirectoryIfExists(stagingPath);
+            this._logger.warn(this.overlayExists() ? ` Keeping last working overlay` : ` No previous overlay to keep`);
             return false;
         }
+
+        // Side effects only once the new overlay is live - the overlay itself is complete either way
+        try {
+            // Detect and apply theme accent color to settings (sync - just settings write)
+            this.detectAndApplyAccentColor(sourcePath, settings);
+
+            // Built in the background while the other variant is live - its colors stay until the switch
+            if (!this._isSiblingLive()) {
+                // libadwaita apps ignore gtk-theme - optionally recolor them via the user stylesheet
+                this.updateUserGtk4Colors(sourcePath, settings);
+
+                this.syncGnomeAccentColor(sourcePath, settings);
+            }
+        } catch (e) {
+            this._logger.error(` Error applying overlay colors: ${e.message}`);
+        }
+
+        // Follow the new source theme if it is being watched
+        if (this._sourceChangeCallback) {
+            this._attachSourceMonitors(sourcePath);
+        }
+
+        this._logger.info(` Overlay theme created successfully`);
+        return true;
+    }
+
+    /**
+     * Check staged overlay against what was written
+     * CSS files must exist with the expected size, symlinks must exist and resolve
+     * @param {Map} expectedFiles - Path → byte size (-1 for symlinks)
+     * @returns {Array} Relative paths of missing or incomplete entries (empty if complete)
+     * @private
+     */
+    _findIncompleteStagingFiles(expectedFiles) {
+        const missing = [];
+        for (const [path, size] of expectedFiles) {
+            const file = Gio.File.new_for_path(path);
+            try {
+                if (size < 0) {
+                    // Follows the link - a dangling symlink fails
+                    file.query_info("standard::type", Gio.FileQueryInfoFlags.NONE, null);
+                } else {
+                    const info = file.query_info("standard::size", Gio.FileQueryInfoFlags.NONE, null);
+                    if (info.get_size() !== size) throw new Error("size mismatch");
+                }
+            } catch (e) {
+                missing.push(path.slice(this.stagingPath.length + 1));
+            }
+        }
+
+        if (!Gio.File.new_for_path(`${this.stagingPath}/index.theme`).query_exists(null)) {
+            missing.push("index.theme");
+        }
+        return missing;
+    }
+
+    /**
+     * Move staged overlay into place
+     * Live overlay is renamed to previousPath first and only deleted once the staged one is live;
+     * if the second rename fails, the previous overlay is moved back
+     * @throws {Error} If the staged overlay could not be moved into place
+     * @private
+     */
+    _swapStagedOverlay() {
+        const overlayDir = Gio.File.new_for_path(this.overlayPath);
+        const previousDir = Gio.File.new_for_path(this.previousPath);
+        const stagingDir = Gio.File.new_for_path(this.stagingPath);
+        // Plain rename(2) - never a recursive copy
+        const moveFlags = Gio.FileCopyFlags.NO_FALLBACK_FOR_MOVE | Gio.FileCopyFlags.NOFOLLOW_SYMLINKS;
+
+        this._removeDirectoryIfExists(this.previousPath);
+
+        const hadOverlay = overlayDir.query_exists(null);
+        if (hadOverlay) {
+            overlayDir.move(previousDir, moveFlags, null, null);
+        }
+
+        try {
+            stagingDir.move(overlayDir, moveFlags, null, null);
+        } catch (e) {
+            if (hadOverlay) {
+                previousDir.move(overlayDir, moveFlags, null, null);
+                this._logger.warn(` Swap failed - previous overlay moved back`);
+            }
+            throw e;
+        }
+
+        this._removeDirectoryIfExists(this.previousPath);
+        this._logger.info(` Staged overlay swapped into ${this.overlayPath}`);
+    }
+
+    /**
+     * Move previous overlay back if a swap was interrupted between its two renames
+     * (overlay missing, previous overlay present)
+     * @private
+     */
+    _recoverInterruptedSwap() {
+        const previousDir = Gio.File.new_for_path(this.previousPath);
+        if (this.overlayExists() || !previousDir.query_exists(null)) return;
+
+        try {
+            previousDir.move(
+                Gio.File.new_for_path(this.overlayPath),
+                Gio.FileCopyFlags.NO_FALLBACK_FOR_MOVE | Gio.FileCopyFlags.NOFOLLOW_SYMLINKS,
+                null,
+                null
+            );
+            this._logger.warn(` Restored previous overlay left by an interrupted swap`);
+        } catch (e) {
+            this._logger.error(` Cannot restore previous overlay: ${e.message}`);
+        }
     }
 
     /**
@@ -708,10 +874,11 @@ export class OverlayThemeManager {
             this._writeFile(`${overlayShellDir}/base-theme.css`, baseThemeCss);
             this._logger.info(` Generated base-theme.css with modifications`);
 
-            // Then generate gnome-shell.css (our dynamic overrides)
+            // Then generate gnome-shell.css and the override components
             const shellCss = this._generateShellCss(sourcePath, settings);
             this._writeFile(`${overlayShellDir}/gnome-shell.css`, shellCss);
-            this._logger.info(` Generated gnome-shell.css`);
+            this._writeShellComponents(this._generateShellComponents(sourcePath, settings));
+            this._logger.info(` Generated gnome-shell.css and Shell components`);
         }
 
         // Generate pad-osd.css if source has it
@@ -1003,6 +1170,7 @@ export class OverlayThemeManager {
 
         // === EXTRACT UNIFIED COLOR SETTINGS ===
         const colorSettings = this._extractColorSettings(sourcePath, settings);
+        const materialRoles = this._getMaterialRoles(accentColor, colorSettings.panel.rgba, !themeIsLight);
 
         // Log GTK color sources for debugging
         this._logger.info(` GTK Panel: ${colorSettings.panel.source}`);
@@ -1019,7 +1187,7 @@ export class OverlayThemeManager {
         const importSource = baseThemeFile;
 
         // Delegate to cssTemplates for complete CSS generation
-        return this._cssTemplates.getGtkOverlayCss(
+        const overlayCss = this._cssTemplates.getGtkOverlayCss(
             this.extensionName,
             timestamp,
             version,
@@ -1031,8 +1199,18 @@ export class OverlayThemeManager {
             accentColor,
             themeIsLight,
             isZorinTheme,
-            enableZorinIntegration
+            enableZorinIntegration,
+            materialRoles
+        );
+
+        // User snippet goes last so it wins over every generated rule
+        const customCss = this._getCustomCss(
+            version,
+            this._getCustomCssValues(accentColor, colorSettings, materialRoles, borderRadius)
         );
+        return customCss
+            ? overlayCss + this._cssTemplates.wrapCustomCss(version, customCss, this.extensionName)
+            : overlayCss;
     }
 
     /**
@@ -1055,6 +1233,15 @@ export class OverlayThemeManager {
         return colorStr;
     }
 
+    /**
+     * Accent color of a theme for the current color-scheme (cached, see _getCachedAccentColor)
+     * @param {string} sourcePath - Theme directory path
+     * @returns {Array|null} RGB array [r, g, b] or null if the theme defines none
+     */
+    getThemeAccentColor(sourcePath) {
+        return this._getCachedAccentColor(sourcePath);
+    }
+
     /**
      * Get cached accent color or parse if not cached
      * Cache key includes color-scheme to handle light/dark theme variants
@@ -1340,6 +1527,11 @@ export class OverlayThemeManager {
      * @returns {string} 'prefer-dark', 'prefer-light', or 'default'
      */
     _getSystemColorScheme() {
+        // Light/Dark variant is generated for its own mode, whatever the system shows right now
+        if (this.colorMode) {
+            return this.colorMode === "dark" ? "prefer-dark" : "prefer-light";
+        }
+
         try {
             const interfaceSettings = this._getInterfaceSettings();
             const scheme = interfaceSettings.get_string("color-scheme");
@@ -1357,6 +1549,10 @@ export class OverlayThemeManager {
      * @returns {boolean} True if dark mode preferred, false otherwise
      */
     _systemPrefersDark() {
+        if (this.colorMode) {
+            return this.colorMode === "dark";
+        }
+
         try {
             const interfaceSettings = this._getInterfaceSettings();
 
@@ -1495,13 +1691,9 @@ export class OverlayThemeManager {
                 // FALLBACK: Use panel color as base for shadow generation
                 const panelColor = this._parseThemePanelColor(sourcePath);
                 if (panelColor) {
-                    const [pr, pg, pb] = panelColor;
-
-                    // Generate shadow from panel color (darkened variant)
-                    const shadowVariant = themeIsLight
-                        ? ThemeUtils.colorShade([pr, pg, pb], 0.5) // 50% lighter for light theme
-                        : ThemeUtils.colorShade([pr, pg, pb], -0.5); // 50% darker for dark theme
-                    const shadowColor = ThemeUtils.rgbaToCss(...shadowVariant, 1.0);
+                    // Generate shadow from panel color (grey seed keeps the shadow neutral)
+                    const { shadowTint } = MaterialColors.getRolesFromSeed(panelColor, !themeIsLight);
+                    const shadowColor = ThemeUtils.rgbaToCss(...shadowTint, 1.0);
                     settings.set_string("shadow-color", shadowColor);
 
                     this._logger.info(` Applied neutral shadow from panel color: ${shadowColor}`);
@@ -1520,6 +1712,7 @@ export class OverlayThemeManager {
             }
 
             const [r, g, b] = accentColor;
+            const materialRoles = MaterialColors.getRolesFromSeed(accentColor, !themeIsLight);
 
             const borderAlpha = themeIsLight
                 ? Constants.ACCENT_COLOR_ALPHA.border.lightTheme
@@ -1532,28 +1725,19 @@ export class OverlayThemeManager {
             const borderColor = `rgba(${r}, ${g}, ${b}, ${borderAlpha})`;
             settings.set_string("blur-border-color", borderColor);
 
-            // Apply accent-based tint for blur-background (glossy effect)
-            // Light theme: Slightly lighter accent for glossy tint
-            // Dark theme: Slightly lighter accent for glossy tint (maintains theme accent hue)
-            const bgTintVariant = themeIsLight
-                ? ThemeUtils.colorShade([r, g, b], 0.15) // 15% lighter for light theme
-                : ThemeUtils.colorShade([r, g, b], 0.15); // 15% lighter for dark theme (glossy)
-            const blurTint = ThemeUtils.rgbaToCss(...bgTintVariant, bgAlpha);
+            // Apply accent-based tint for blur-background (glossy effect) - surfaceTint role
+            const blurTint = ThemeUtils.rgbaToCss(...materialRoles.surfaceTint, bgAlpha);
             settings.set_string("blur-background", blurTint);
 
             // Apply shadow-color based on theme accent
-            // Light theme: Heavily lightened accent (soft shadow)
-            // Dark theme: Heavily darkened accent (deep shadow)
-            const shadowVariant = themeIsLight
-                ? ThemeUtils.colorShade([r, g, b], 0.85) // 85% lighter for light theme
-                : ThemeUtils.colorShade([r, g, b], -0.85); // 85% darker for dark theme
-            const shadowColor = ThemeUtils.rgbaToCss(...shadowVariant, 1.0);
+            // Light theme: pale accent tone (soft shadow), dark theme: deep accent tone
+            const shadowColor = ThemeUtils.rgbaToCss(...materialRoles.shadowTint, 1.0);
             settings.set_string("shadow-color", shadowColor);
 
             this._logger.info(
                 ` Applied theme colors (${
                     themeIsLight ? "light" : "dark"
-                } theme): border=${borderColor} (accent), background=${blurTint} (accent tint +15%), shadow=${shadowColor} (accent variant)`
+                } theme): border=${borderColor} (accent), background=${blurTint} (surfaceTint), shadow=${shadowColor} (shadowTint)`
             );
 
             // === APPLY BATCH SETTINGS - Single callback ===
@@ -1604,13 +1788,12 @@ export class OverlayThemeManager {
         const sourceThemeName = settings.get_string("overlay-source-theme") || "Unknown";
         const isZorinTheme = sourceThemeName.toLowerCase().includes("zorin");
         const isLightTheme = this._isLightTheme(sourcePath);
-        const enableZorinIntegration = settings.get_boolean("enable-zorin-integration");
 
         // === BASE THEME CACHE (TIER 1 OPTIMIZATION) ===
         // Create cache key from immutable parameters
         const tintStrength = settings.get_int("zorin-tint-strength") || 0;
         // Note: borderRadius removed from cache key (v2.5.1) - Quick Settings CSS moved to component cache
-        const cacheKey = `shell-base:${sourceThemeName}:${tintStrength}:${enableZorinIntegration}`;
+        const cacheKey = `shell-base:${sourceThemeName}:${tintStrength}`;
 
         // Check cache first
         if (this._baseThemeCache.has(cacheKey)) {
@@ -1698,26 +1881,7 @@ export class OverlayThemeManager {
         // Moved to component CSS for dynamic updates on border-radius change
         // See: _generateShellCss() line ~2230
 
-        // === FLUENT-SPECIFIC MODIFICATIONS ===
-
-        if (!isZorinTheme && enableZorinIntegration) {
-            // Add titlebar CSS at the end for higher specificity (cached accent color)
-            const accentColor = this._getCachedAccentColor(sourcePath);
-            const accentRgb = accentColor ? `${accentColor[0]}, ${accentColor[1]}, ${accentColor[2]}` : "100, 100, 100";
-
-            // Sprint 5.0: Fluent Theme titlebar fix (cached template method)
-            const titlebarCss = this._cssTemplates.getShellFluentTitlebarFix(accentRgb, isLightTheme);
-
-            // Sprint 5.1: Zorin Accent Color Gradient Fixes for Third-Party Themes
-            const gradientFixCss = this._cssTemplates.getShellZorinGradientFixes(accentRgb);
-
-            cssText += titlebarCss + gradientFixCss;
-            this._logger.info(
-                ` Added Fluent titlebar CSS + Zorin gradient fixes (${
-                    titlebarCss.length + gradientFixCss.length
-                } bytes)`
-            );
-        }
+        // Fluent titlebar + Zorin gradient fixes moved to the "fluent" Shell component (see _generateFluentCss)
 
         // === RETURN MODIFIED CSS ===
 
@@ -1735,9 +1899,7 @@ export class OverlayThemeManager {
  * Generated: ${timestamp}
  * Source: ${importPath}
  * Theme: ${sourceThemeName} (${isZorinTheme ? "Zorin" : "Other"}, ${isLightTheme ? "Light" : "Dark"})
- * Modifications: ${tintModification} ${
-            !isZorinTheme && enableZorinIntegration ? "Titlebar fix" : ""
-        } Stage color neutralized
+ * Modifications: ${tintModification} Stage color neutralized
  */
 
 `;
@@ -1831,9 +1993,11 @@ export class OverlayThemeManager {
         const popupRgba = ThemeUtils.convertColor(popupColor, "array") || [255, 255, 255, 0.9];
 
         // === GENERATE DERIVED COLORS ===
-        const panelHover = ThemeUtils.getAutoHighlightColor(panelRgba.slice(0, 3));
+        // Color harmony hover (wallpaper extraction) replaces the automatic highlight
+        const harmonyHover = this._getHarmonyHoverColor(settings);
+        const panelHover = harmonyHover ?? ThemeUtils.getAutoHighlightColor(panelRgba.slice(0, 3));
         const panelFg = ThemeUtils.getAutoFgColor(panelRgba.slice(0, 3));
-        const popupHover = ThemeUtils.getAutoHighlightColor(popupRgba.slice(0, 3));
+        const popupHover = harmonyHover ?? ThemeUtils.getAutoHighlightColor(popupRgba.slice(0, 3));
         const popupFg = ThemeUtils.getAutoFgColor(popupRgba.slice(0, 3));
 
         // === GENERATE CSS STRINGS FOR TEMPLATES ===
@@ -1908,13 +2072,22 @@ export class OverlayThemeManager {
               })`
             : `rgba(${accentRgb}, 0.3)`; // Fallback to theme accent
 
-        // Generate hover color from accent using ThemeUtils
-        const hoverColor = accentColor ? ThemeUtils.getAutoHighlightColor(accentColor, 0.15) : [38, 27, 27];
-        const hoverRgb = `${hoverColor[0]}, ${hoverColor[1]}, ${hoverColor[2]}`;
-
         // === EXTRACT UNIFIED COLOR SETTINGS ===
         const colorSettings = this._extractColorSettings(sourcePath, settings);
 
+        // Detect if source theme is light or dark for Zorin-specific adjustments
+        const themeIsLight = isLightTheme !== null ? isLightTheme : this._isLightTheme(sourcePath);
+
+        // Material 3 color roles (hover state layer = primary, separators = outlineVariant)
+        const materialRoles = this._getMaterialRoles(accentColor, colorSettings.panel.rgba, !themeIsLight);
+        // Harmony hover is a finished color (already mixed into the background) - shown at panel alpha
+        // instead of the primary state layer
+        const harmonyHover = this._getHarmonyHoverColor(settings);
+        const hoverColor = harmonyHover ?? materialRoles.primary;
+        const hoverRgb = hoverColor.join(", ");
+        const primaryRgb = materialRoles.primary.join(", ");
+        const outlineVariantRgb = materialRoles.outlineVariant.join(", ");
+
         // Generate CSS strings from unified color settings
         const panelBackgroundCss = `background-color: ${colorSettings.panel.color} !important;\n    background-image: none !important;`;
         const popupBackgroundCss = `background-color: ${colorSettings.popup.color} !important;`;
@@ -1969,15 +2142,10 @@ export class OverlayThemeManager {
         // Generate blur background tint overlay (subtle color overlay on blurred background)
         const blurBackgroundOverlay = `rgba(${blurTintR}, ${blurTintG}, ${blurTintB}, ${blurTintAlpha * blurOpacity})`;
 
-        // Detect if source theme is light or dark for Zorin-specific adjustments
-        const themeIsLight = isLightTheme !== null ? isLightTheme : this._isLightTheme(sourcePath);
-
         // Adjust tint/opacity based on theme brightness for Zorin themes
-        const hoverOpacity = isZorinTheme
-            ? themeIsLight
-                ? Constants.ZORIN_HOVER_OPACITY.lightTheme
-                : Constants.ZORIN_HOVER_OPACITY.darkTheme
-            : Constants.ZORIN_HOVER_OPACITY.lightTheme; // Default fallback
+        const hoverOpacity = harmonyHover
+            ? colorSettings.panel.rgba[3] || 1.0
+            : this._getHoverStateOpacity(isZorinTheme, themeIsLight);
         const activeOpacity = isZorinTheme
             ? themeIsLight
                 ? Constants.ZORIN_ACTIVE_OPACITY.lightTheme
@@ -2005,6 +2173,12 @@ export class OverlayThemeManager {
         const shadowButtonBlur = Math.round(baseShadow * Constants.SHADOW_BLUR_RATIOS.button);
         const shadowInsetBlur = Math.round(baseShadow * Constants.SHADOW_BLUR_RATIOS.inset);
 
+        // User snippet for the "custom" component (filled text is part of its cache key)
+        const customCss = this._getCustomCss(
+            "gnome-shell",
+            this._getCustomCssValues(accentColor, colorSettings, materialRoles, borderRadius)
+        );
+
         return {
             timestamp,
             borderRadius,
@@ -2020,6 +2194,9 @@ export class OverlayThemeManager {
             borderColor,
             hoverColor,
             hoverRgb,
+            materialRoles,
+            primaryRgb,
+            outlineVariantRgb,
             themePanelColor,
             panelOverride,
             panelBackgroundCss,
@@ -2044,10 +2221,24 @@ export class OverlayThemeManager {
             shadowPanelBlur,
             shadowPopupBlur,
             shadowButtonBlur,
-            shadowInsetBlur
+            shadowInsetBlur,
+            customCss
         };
     }
 
+    /**
+     * Material 3 color roles for overlay CSS
+     * Seeded by the theme accent; themes without accent seed from the panel color, which stays grey
+     * @private
+     * @param {Array|null} accentColor - Theme accent [r, g, b]
+     * @param {Array} panelRgba - Panel color [r, g, b, a] from _extractColorSettings
+     * @param {boolean} isDark - Dark theme roles
+     * @returns {Object} Color roles (see MaterialColors.getRoles)
+     */
+    _getMaterialRoles(accentColor, panelRgba, isDark) {
+        return MaterialColors.getRolesFromSeed(accentColor ?? panelRgba.slice(0, 3), isDark);
+    }
+
     /**
      * Enforce LRU eviction on cache if size exceeds limit
      * @private
@@ -2073,11 +2264,82 @@ export class OverlayThemeManager {
         }
     }
 
+    /**
+     * Opacity of the hover state layer (primary color over the panel)
+     * @private
+     * @param {boolean} isZorinTheme - Source theme is a Zorin theme
+     * @param {boolean} themeIsLight - Source theme brightness
+     * @returns {number} Opacity 0-1
+     */
+    _getHoverStateOpacity(isZorinTheme, themeIsLight) {
+        if (!isZorinTheme) return Constants.ZORIN_HOVER_OPACITY.lightTheme; // Default fallback
+        return themeIsLight ? Constants.ZORIN_HOVER_OPACITY.lightTheme : Constants.ZORIN_HOVER_OPACITY.darkTheme;
+    }
+
+    /**
+     * Hover color written by the color harmony mode
+     * @private
+     * @param {Object} settings - Extension settings
+     * @returns {Array|null} [r, g, b] or null when hover is derived automatically
+     */
+    _getHarmonyHoverColor(settings) {
+        const parsed = ThemeUtils.parseColor(settings.get_string("harmony-hover-color"));
+        return parsed ? [parsed.r, parsed.g, parsed.b] : null;
+    }
+
+    // ===== USER CSS SNIPPETS =====
+
+    /**
+     * Palette values for ${name} placeholders in user snippets
+     * @private
+     * @param {Array|null} accentColor - Theme accent [r, g, b]
+     * @param {Object} colorSettings - Result of _extractColorSettings
+     * @param {Object} materialRoles - Result of _getMaterialRoles
+     * @param {number} borderRadius - border-radius setting
+     * @returns {Object} Placeholder name → CSS value
+     */
+    _getCustomCssValues(accentColor, colorSettings, materialRoles, borderRadius) {
+        // Wallpaper accent wins like it does for GNOME accent-color; Material primary when the theme has none
+        const accent = this._wallpaperAccentColor ?? accentColor ?? materialRoles.primary;
+        return {
+            accent: ThemeUtils.rgbaToCss(...accent.slice(0, 3), 1.0),
+            "accent-rgb": accent.slice(0, 3).join(", "),
+            primary: ThemeUtils.rgbaToCss(...materialRoles.primary, 1.0),
+            "on-primary": ThemeUtils.rgbaToCss(...materialRoles.onPrimary, 1.0),
+            panel: colorSettings.panel.color,
+            "panel-fg": colorSettings.panel.fgCss,
+            popup: colorSettings.popup.color,
+            "popup-fg": colorSettings.popup.fgCss,
+            "border-radius": `${borderRadius}px`
+        };
+    }
+
+    /**
+     * User snippet for a target with placeholders filled
+     * @private
+     * @param {string} target - One of Constants.CUSTOM_CSS.targets
+     * @param {Object} values - Result of _getCustomCssValues
+     * @returns {string} Filled snippet, empty string if there is none
+     */
+    _getCustomCss(target, values) {
+        const css = CustomCss.read(target);
+        if (!css) return "";
+
+        const unknown = new Set();
+        const filled = CustomCss.fillPlaceholders(css, values, name => unknown.add(name));
+        if (unknown.size > 0) {
+            this._logger.warn(
+                ` Custom ${target}.css: unknown placeholders ${[...unknown].map(name => `\${${name}}`).join(", ")}`
+            );
+        }
+        return filled;
+    }
+
     /**
      * Create cache key for component CSS
      * Hash only relevant variables for each component type
      * @private
-     * @param {string} componentName - Component name (panel, popup, zorin, fluent)
+     * @param {string} componentName - Component name (Constants.SHELL_COMPONENTS.names)
      * @param {Object} vars - Variables object from _extractShellCssVars
      * @returns {string} Cache key
      */
@@ -2092,10 +2354,20 @@ export class OverlayThemeManager {
                 vars.isZorinTheme,
                 vars.isLightTheme,
                 vars.panelBackgroundCss,
+                // #panel carries its own backdrop-filter and box-shadow (not only the Zorin Taskbar panel)
+                vars.blurRadius,
+                vars.blurSaturate,
+                vars.blurContrast,
+                vars.blurBrightness,
                 vars.backdropFilter,
+                vars.blurBackgroundOverlay,
+                vars.shadowPanelBlur,
+                vars.shadowButtonBlur,
+                vars.shadowInsetBlur,
                 vars.shadowColor,
                 vars.borderColor,
                 vars.hoverRgb,
+                vars.primaryRgb,
                 vars.hoverOpacity,
                 vars.activeOpacity
             ],
@@ -2107,7 +2379,10 @@ export class OverlayThemeManager {
                 vars.blurBackgroundOverlay,
                 vars.shadowColor,
                 vars.previewBackgroundCss,
-                vars.enableZorinIntegration
+                vars.enableZorinIntegration,
+                vars.isZorinTheme,
+                vars.accentRgb,
+                vars.outlineVariantRgb
             ],
             zorin: [
                 vars.borderRadius,
@@ -2118,13 +2393,16 @@ export class OverlayThemeManager {
                 vars.hoverRgb,
                 vars.activeOpacity
             ],
+            "quick-settings": [vars.borderRadius],
             fluent: [
                 vars.sourceThemeName,
                 vars.isZorinTheme,
                 vars.enableZorinIntegration,
+                vars.isLightTheme,
                 vars.borderRadius,
                 vars.accentRgb
-            ]
+            ],
+            custom: [vars.customCss]
         };
 
         const varsToHash = relevantVars[componentName] || [];
@@ -2222,45 +2500,105 @@ export class OverlayThemeManager {
     }
 
     /**
-     * Assemble final Shell CSS from components
-     * REFACTORED: CSS assembly moved to cssTemplates.js
+     * Generate Fluent titlebar fix + Zorin accent gradient fixes (non-Zorin themes with Zorin integration)
      * @private
      * @param {Object} vars - Variables object from _extractShellCssVars
-     * @param {string} panelCss - Panel CSS from _generatePanelCss
-     * @param {string} popupCss - Popup CSS from _generatePopupCss
-     * @param {string} zorinCss - Zorin CSS from _generateZorinCss
-     * @returns {string} Complete Shell CSS
+     * @returns {string} Fluent CSS or empty string
      */
-    _assembleShellCss(vars, panelCss, popupCss, zorinCss) {
-        // Delegate to cssTemplates for final assembly
-        return this._cssTemplates.assembleShellCss(vars, panelCss, popupCss, zorinCss, this.extensionName);
+    _generateFluentCss(vars) {
+        if (vars.isZorinTheme || !vars.enableZorinIntegration) {
+            return "";
+        }
+
+        // Neutral grey when the theme has no detectable accent
+        const accentRgb = vars.accentColor ? vars.accentRgb : "100, 100, 100";
+        return (
+            this._cssTemplates.getShellFluentTitlebarFix(accentRgb, vars.isLightTheme) +
+            this._cssTemplates.getShellZorinGradientFixes(accentRgb)
+        );
     }
 
     /**
-     * Generate gnome-shell.css with import + overrides
+     * Generate gnome-shell.css (header + base theme import, overrides are Shell components)
      * @param {string} sourcePath - Source theme path
      * @param {Object} settings - Extension settings
      * @returns {string} CSS content
      */
-    _generateShellCss(sourcePath, settings, isLightTheme = null) {
-        // Extract common variables
-        const vars = this._extractShellCssVars(sourcePath, settings, isLightTheme);
-        const panelCss = this._generatePanelCss(vars);
-        const popupCss = this._generatePopupCss(vars);
-        const zorinCss = this._generateZorinCss(vars);
+    _generateShellCss(sourcePath, settings) {
+        const timestamp = new Date().toISOString().slice(0, 19).replace("T", " ");
+        return this._cssTemplates.assembleShellCss(timestamp, this.extensionName);
+    }
+
+    /**
+     * Generate all Shell component stylesheets
+     * @param {string} sourcePath - Source theme path
+     * @param {Object} settings - Extension settings
+     * @param {boolean|null} isLightTheme - Theme brightness (null = detect)
+     * @returns {Array} [{name, cacheKey, css}] in Constants.SHELL_COMPONENTS.names order
+     */
+    _generateShellComponents(sourcePath, settings, isLightTheme = null) {
+        // Resolve brightness first - cache keys hash vars.isLightTheme
+        const lightTheme = isLightTheme ?? this._isLightTheme(sourcePath);
+        const vars = this._extractShellCssVars(sourcePath, settings, lightTheme);
+
+        const generators = {
+            panel: () => this._generatePanelCss(vars),
+            popup: () => this._generatePopupCss(vars),
+            zorin: () => this._generateZorinCss(vars),
+            // Quick Settings border-radius sync (v2.5.1) - kept out of base-theme for dynamic updates
+            "quick-settings": () => this._cssTemplates.getShellQuickSettingsCss(vars.borderRadius),
+            fluent: () => this._generateFluentCss(vars),
+            custom: () => vars.customCss
+        };
 
-        // Assemble base CSS
-        let shellCss = this._assembleShellCss(vars, panelCss, popupCss, zorinCss);
+        return Constants.SHELL_COMPONENTS.names.map(name => ({
+            name,
+            cacheKey: this._createComponentCacheKey(name, vars),
+            css: this._cssTemplates.wrapShellComponentCss(name, generators[name](), this.extensionName)
+        }));
+    }
 
-        // === QUICK SETTINGS BORDER-RADIUS SYNC (v2.5.1) ===
-        // Append Quick Settings CSS OUTSIDE base-theme cache for dynamic updates
-        // This ensures border-radius changes in prefs.js immediately reflect in UI
-        const borderRadius = settings.get_int("border-radius");
-        const quickSettingsCss = this._cssTemplates.getShellQuickSettingsCss(borderRadius);
-        shellCss += "\n" + quickSettingsCss;
-        this._logger.debug(`  Added Quick Settings border-radius sync: ${borderRadius}px`);
+    /**
+     * Path of a Shell component stylesheet
+     * @param {string} shellDir - Overlay (or staging) gnome-shell directory
+     * @param {string} name - Component name
+     * @returns {string} Absolute path
+     */
+    _getShellComponentPath(shellDir, name) {
+        return `${shellDir}/${Constants.SHELL_COMPONENTS.directory}/${name}.css`;
+    }
+
+    /**
+     * Write Shell components into the live overlay and remember their cache keys
+     * @param {Array} components - Entries from _generateShellComponents
+     * @returns {Array} Paths written
+     */
+    _writeShellComponents(components) {
+        const shellDir = `${this.overlayPath}/gnome-shell`;
+        this._createDirectory(`${shellDir}/${Constants.SHELL_COMPONENTS.directory}`);
+
+        const written = [];
+        components.forEach(component => {
+            const path = this._getShellComponentPath(shellDir, component.name);
+            if (this._writeFile(path, component.css)) {
+                this._shellComponentKeys.set(component.name, component.cacheKey);
+                written.push(path);
+            } else {
+                this._shellComponentKeys.delete(component.name);
+            }
+        });
+        return written;
+    }
 
-        return shellCss;
+    /**
+     * Live Shell component stylesheets that exist, in load order
+     * @returns {Array} Absolute paths
+     */
+    getShellComponentPaths() {
+        const shellDir = `${this.overlayPath}/gnome-shell`;
+        return Constants.SHELL_COMPONENTS.names
+            .map(name => this._getShellComponentPath(shellDir, name))
+            .filter(path => Gio.File.new_for_path(path).query_exists(null));
     }
 
     /**
@@ -2413,6 +2751,9 @@ export class OverlayThemeManager {
      * @param {string} [config.originalIconTheme=''] - Original icon theme (from GNOME settings before overlay)
      * @param {string|null} [config.sourceIconTheme=null] - Manual icon theme override or null for auto-detect
      * @param {boolean} [config.manualIconOverrideEnabled=false] - Whether manual icon override is enabled
+     * @param {string} [config.originalAccentColor=''] - GNOME accent-color to restore
+     * @param {string} [config.targetPath=this.overlayPath] - Overlay directory to write into
+     * @returns {boolean} True if written
      */
     _writeIndexTheme(config) {
         const {
@@ -2423,7 +2764,9 @@ export class OverlayThemeManager {
             originalShellTheme = "",
             originalIconTheme = "",
             sourceIconTheme = null,
-            manualIconOverrideEnabled = false
+            manualIconOverrideEnabled = false,
+            originalAccentColor = "",
+            targetPath = this.overlayPath
         } = config;
 
         const timestamp = new Date().toISOString().slice(0, 19).replace("T", " ");
@@ -2458,7 +2801,7 @@ CursorTheme=Adwaita
 ButtonLayout=close,minimize,maximize:
 
 [X-${this.extensionName}-Extension]
-Version=1.0
+Version=${Constants.OVERLAY_METADATA.version}
 SourceTheme=${sourceThemeName}
 SourceThemePath=${sourcePath}
 CreatedDate=${timestamp}
@@ -2471,27 +2814,29 @@ HasGtk4=${hasGtk4}
 OriginalGtkTheme=${originalGtkTheme}
 OriginalShellTheme=${originalShellTheme}
 OriginalIconTheme=${iconThemeForRestore}
+OriginalAccentColor=${originalAccentColor}
 `;
 
-        this._writeFile(this.metadataFile, content);
+        return this._writeFile(`${targetPath}/index.theme`, content);
     }
 
     /**
      * Read and parse index.theme metadata
+     * @param {string} metadataFile - index.theme path (default: this overlay's)
      * @returns {Object|null} Parsed metadata or null
      */
-    readIndexTheme() {
-        const file = Gio.File.new_for_path(this.metadataFile);
+    readIndexTheme(metadataFile = this.metadataFile) {
+        const file = Gio.File.new_for_path(metadataFile);
 
         if (!file.query_exists(null)) {
-            this._logger.debug(` readIndexTheme: File does not exist: ${this.metadataFile}`);
+            this._logger.debug(` readIndexTheme: File does not exist: ${metadataFile}`);
             return null;
         }
 
         try {
             const { success, contents } = this._readCSSFileSync(file);
             if (!success) {
-                this._logger.warn(` readIndexTheme: Failed to read file: ${this.metadataFile}`);
+                this._logger.warn(` readIndexTheme: Failed to read file: ${metadataFile}`);
                 return null;
             }
 
@@ -2528,6 +2873,20 @@ OriginalIconTheme=${iconThemeForRestore}
         }
     }
 
+    /**
+     * Metadata holding the original themes: this overlay's, or the sibling variant's while this one
+     * has none yet (dual-overlays - the second variant is built while the first is live)
+     * @returns {Object|null} Parsed metadata or null
+     * @private
+     */
+    _readOriginalThemesMetadata() {
+        const metadata = this.readIndexTheme();
+        if (metadata?.[`X-${this.extensionName}-Extension`] || !this.siblingOverlayName) {
+            return metadata;
+        }
+        return this.readIndexTheme(`${GLib.get_home_dir()}/.themes/${this.siblingOverlayName}/index.theme`);
+    }
+
     /**
      * Update LastModified timestamp in metadata
      */
@@ -2555,11 +2914,38 @@ OriginalIconTheme=${iconThemeForRestore}
         this._writeFile(this.metadataFile, content);
     }
 
+    /**
+     * Set single value in extension metadata section (rest of index.theme unchanged)
+     * @param {string} key - Key in X-<extension>-Extension section
+     * @param {string} value - New value
+     * @returns {boolean} True if written, false if no overlay metadata exists
+     * @private
+     */
+    _setExtensionMetadataValue(key, value) {
+        const metadata = this.readIndexTheme();
+        const section = `X-${this.extensionName}-Extension`;
+        if (!metadata || !metadata[section]) return false;
+
+        metadata[section][key] = value;
+
+        let content = "";
+        Object.keys(metadata).forEach(name => {
+            content += `[${name}]\n`;
+            Object.keys(metadata[name]).forEach(entry => {
+                content += `${entry}=${metadata[name][entry]}\n`;
+            });
+            content += "\n";
+        });
+
+        return this._writeFile(this.metadataFile, content);
+    }
+
     /**
      * Write README.md for user info
      * @param {string} sourceThemeName - Source theme name
+     * @param {string} targetPath - Overlay directory to write into (default: live overlay)
      */
-    _writeReadme(sourceThemeName) {
+    _writeReadme(sourceThemeName, targetPath = this.overlayPath) {
         const timestamp = new Date().toISOString().slice(0, 19).replace("T", " ");
 
         const content = `# ${this.extensionName} Overlay Theme
@@ -2591,7 +2977,7 @@ This theme is automatically managed by the ${this.extensionName} GNOME Shell ext
 ${this.extensionName} GNOME Shell Extension
 `;
 
-        this._writeFile(`${this.overlayPath}/README.md`, content);
+        this._writeFile(`${targetPath}/README.md`, content);
     }
 
     // ===== FILE SYSTEM UTILITIES =====
@@ -2637,9 +3023,9 @@ ${this.extensionName} GNOME Shell Extension
      */
     _createSymlink(target, linkPath) {
         try {
-            // Remove existing link/file if exists
+            // Remove existing link/file if exists (dangling links too - query_exists follows links)
             const linkFile = Gio.File.new_for_path(linkPath);
-            if (linkFile.query_exists(null)) {
+            if (linkFile.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) !== Gio.FileType.UNKNOWN) {
                 linkFile.delete(null);
             }
 
@@ -2650,11 +3036,35 @@ ${this.extensionName} GNOME Shell Extension
         }
     }
 
+    /**
+     * Delete directory tree if present (overlay staging / previous overlay)
+     * @param {string} path - Directory path
+     * @returns {boolean} True if nothing is left at path
+     */
+    _removeDirectoryIfExists(path) {
+        const dir = Gio.File.new_for_path(path);
+        if (dir.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) === Gio.FileType.UNKNOWN) {
+            return true;
+        }
+
+        try {
+            this._deleteRecursive(dir);
+            return true;
+        } catch (e) {
+            this._logger.error(`Failed to remove ${path}: ${e.message}`);
+            return false;
+        }
+    }
+
     /**
      * Remove overlay theme directory
      * @returns {boolean} Success status
      */
     removeOverlayTheme() {
+        this._removeDirectoryIfExists(this.stagingPath);
+        this._removeDirectoryIfExists(this.previousPath);
+        this._removeRefreshAlias();
+
         const overlayDir = Gio.File.new_for_path(this.overlayPath);
 
         if (!overlayDir.query_exists(null)) {
@@ -2749,6 +3159,35 @@ ${this.extensionName} GNOME Shell Extension
         return interfaceSettings.get_string("gtk-theme");
     }
 
+    /**
+     * Set backend that loads the overlay's gnome-shell.css into the Shell
+     * @param {ShellStylesheet|null} shellStylesheet - Backend instance (null = leave Shell CSS alone)
+     */
+    setShellStylesheet(shellStylesheet) {
+        this._shellStylesheet = shellStylesheet;
+    }
+
+    /**
+     * Apply overlay's gnome-shell.css through the shell stylesheet backend
+     * @returns {boolean} True if stylesheet was handed to the backend
+     */
+    applyShellStylesheet() {
+        const stylesheetPath = `${this.overlayPath}/gnome-shell/gnome-shell.css`;
+
+        if (!this._shellStylesheet) {
+            this._logger.info(` No shell stylesheet backend, Shell theme not changed`);
+            return false;
+        }
+        if (!Gio.File.new_for_path(stylesheetPath).query_exists(null)) {
+            this._logger.info(` Overlay has no gnome-shell.css, Shell theme not changed`);
+            return false;
+        }
+
+        this._shellStylesheet.apply(this.overlayName, stylesheetPath, this.getShellComponentPaths());
+        this._logger.info(` Shell stylesheet applied: ${stylesheetPath}`);
+        return true;
+    }
+
     /**
      * Activate overlay theme
      * @param {Gio.Settings} interfaceSettings - GNOME interface settings
@@ -2774,26 +3213,12 @@ ${this.extensionName} GNOME Shell Extension
 
         // Fallback: get current themes if not in metadata
         const currentGtkTheme = this.getCurrentTheme(interfaceSettings);
-        if (!originalGtkTheme || currentGtkTheme !== this.overlayName) {
+        if (!originalGtkTheme || !this.isOverlayTheme(currentGtkTheme)) {
             originalGtkTheme = currentGtkTheme;
         }
 
         // Set Shell theme
-        try {
-            const shellThemeSettings = new Gio.Settings({
-                schema: "org.gnome.shell.extensions.user-theme"
-            });
-            const currentShellTheme = shellThemeSettings.get_string("name");
-
-            if (!originalShellTheme || currentShellTheme !== this.overlayName) {
-                originalShellTheme = currentShellTheme;
-            }
-
-            shellThemeSettings.set_string("name", this.overlayName);
-            this._logger.info(` Shell theme set to: ${this.overlayName}`);
-        } catch (e) {
-            this._logger.info(` Note: user-theme extension not available, Shell theme not changed: ${e}`);
-        }
+        this.applyShellStylesheet();
 
         // Set icon theme from source theme's index.theme
         if (metadata && metadata["X-GNOME-Metatheme"]) {
@@ -2819,27 +3244,33 @@ ${this.extensionName} GNOME Shell Extension
      * @returns {boolean} Success status
      */
     restoreOriginalTheme(interfaceSettings, extensionSettings) {
-        const currentTheme = this.getCurrentTheme(interfaceSettings);
+        // Read original themes from index.theme metadata
+        const metadata = this.readIndexTheme();
+        const extensionMetadata = metadata?.[`X-${this.extensionName}-Extension`];
 
-        // Only restore if currently using overlay
-        if (currentTheme !== this.overlayName) {
+        // Managed libadwaita colors, GNOME accent-color and the Shell stylesheet go with the overlay,
+        // even if the GTK theme was already switched away
+        this.removeUserGtk4Colors();
+        this.restoreGnomeAccentColor();
+        this._logger.info(` Restoring original Shell theme: ${extensionMetadata?.OriginalShellTheme || "(default)"}`);
+        this._shellStylesheet?.remove(this.overlayName, extensionMetadata?.OriginalShellTheme || "");
+
+        const currentTheme = this.getCurrentTheme(interfaceSettings);
+
+        // Only restore if currently using an overlay (any of our names)
+        if (!this.isOverlayTheme(currentTheme)) {
             this._logger.info(` Not using overlay, no need to restore`);
+            this._removeRefreshAlias();
             return true;
         }
 
-        // Read original themes from index.theme metadata
-        const metadata = this.readIndexTheme();
         let originalGtkTheme = "Adwaita"; // Fallback
-        let originalShellTheme = "Adwaita"; // Fallback
         let originalIconTheme = "Adwaita"; // Fallback
 
-        if (metadata && metadata[`X-${this.extensionName}-Extension`]) {
-            originalGtkTheme = metadata[`X-${this.extensionName}-Extension`].OriginalGtkTheme || "Adwaita";
-            originalShellTheme = metadata[`X-${this.extensionName}-Extension`].OriginalShellTheme || "Adwaita";
-            originalIconTheme = metadata[`X-${this.extensionName}-Extension`].OriginalIconTheme || "Adwaita";
-            this._logger.info(
-                ` Read from index.theme - GTK: ${originalGtkTheme}, Shell: ${originalShellTheme}, Icon: ${originalIconTheme}`
-            );
+        if (extensionMetadata) {
+            originalGtkTheme = extensionMetadata.OriginalGtkTheme || "Adwaita";
+            originalIconTheme = extensionMetadata.OriginalIconTheme || "Adwaita";
+            this._logger.info(` Read from index.theme - GTK: ${originalGtkTheme}, Icon: ${originalIconTheme}`);
         }
 
         this._logger.info(` Restoring original theme: ${originalGtkTheme}`);
@@ -2849,31 +3280,133 @@ ${this.extensionName} GNOME Shell Extension
         this._logger.info(` Restoring original icon theme: ${originalIconTheme}`);
         interfaceSettings.set_string("icon-theme", originalIconTheme);
 
-        // Restore Shell theme
-        try {
-            const shellThemeSettings = new Gio.Settings({
-                schema: "org.gnome.shell.extensions.user-theme"
-            });
+        // Alias is recreated by the next refresh
+        this._removeRefreshAlias();
 
-            this._logger.info(` Restoring original Shell theme: ${originalShellTheme}`);
-            shellThemeSettings.set_string("name", originalShellTheme);
-        } catch (e) {
-            this._logger.info(` Note: user-theme extension not available: ${e}`);
+        return true;
+    }
+
+    /**
+     * Whether a gtk-theme name refers to one of our overlays (this one, the Light/Dark sibling or
+     * a refresh alias) - such a name is never saved as original theme
+     * @param {string} themeName - Theme name
+     * @returns {boolean} True for overlay names
+     */
+    isOverlayTheme(themeName) {
+        return ThemeUtils.isOverlayThemeName(themeName, this.extensionName);
+    }
+
+    /**
+     * Whether the other overlay of the Light/Dark pair is the current gtk-theme
+     * @returns {boolean} False for single overlays
+     * @private
+     */
+    _isSiblingLive() {
+        if (!this.siblingOverlayName) return false;
+
+        const gtkTheme = this._getInterfaceSettings().get_string("gtk-theme");
+        return (
+            gtkTheme === this.siblingOverlayName ||
+            gtkTheme === `${this.siblingOverlayName}${Constants.OVERLAY_REFRESH.aliasSuffix}`
+        );
+    }
+
+    /**
+     * Write the colors kept outside the overlay (libadwaita user stylesheet, GNOME accent-color)
+     * Used when a pre-generated Light/Dark variant goes live without being regenerated
+     * @param {Object} settings - Extension settings (already holding this variant's colors)
+     * @returns {boolean} True if the source theme was found
+     */
+    syncGlobalColors(settings) {
+        const sourceThemeName = this.readIndexTheme()?.[`X-${this.extensionName}-Extension`]?.SourceTheme;
+        const sourcePath = sourceThemeName ? this.discoverSourceTheme(sourceThemeName) : null;
+        if (!sourcePath) {
+            this._logger.warn(` Cannot sync global colors - source theme not found`);
+            return false;
         }
 
+        this.updateUserGtk4Colors(sourcePath, settings);
+        this.syncGnomeAccentColor(sourcePath, settings);
         return true;
     }
 
     /**
-     * Refresh theme by quick switch (forces GTK reload)
+     * Refresh theme so GTK reloads the regenerated overlay CSS
+     * Overlay active: switch gtk-theme to the overlay's other name (one change, no other theme shown).
+     * Falls back to a quick switch to the source theme and back if the alias cannot be used
      * @param {Gio.Settings} interfaceSettings - GNOME interface settings
      */
+    refreshTheme(interfaceSettings) {
+        const currentTheme = this.getCurrentTheme(interfaceSettings);
+        const isLive = currentTheme === this.overlayName || currentTheme === this.refreshAliasName;
+
+        if (isLive && this._ensureRefreshAlias()) {
+            const nextTheme = currentTheme === this.overlayName ? this.refreshAliasName : this.overlayName;
+            interfaceSettings.set_string("gtk-theme", nextTheme);
+            this._logger.info(` Theme refreshed: ${currentTheme} → ${nextTheme}`);
+            return;
+        }
+
+        this._refreshThemeBySwitch(interfaceSettings);
+    }
+
     /**
-     * Refresh theme by temporarily switching to source theme and back
-     * This forces GTK to reload the overlay CSS without flashing light theme
+     * Create refresh alias symlink (relative, so it follows the overlay through staging swaps)
+     * @returns {boolean} True if the alias points at the overlay
+     * @private
+     */
+    _ensureRefreshAlias() {
+        const alias = Gio.File.new_for_path(this.refreshAliasPath);
+
+        try {
+            const fileType = alias.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+            if (fileType === Gio.FileType.SYMBOLIC_LINK) {
+                const target = alias
+                    .query_info("standard::symlink-target", Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null)
+                    .get_symlink_target();
+                if (target === this.overlayName) {
+                    return true;
+                }
+                alias.delete(null);
+            } else if (fileType !== Gio.FileType.UNKNOWN) {
+                // Not ours - never replace a real theme directory
+                this._logger.warn(` ${this.refreshAliasPath} exists and is not an overlay alias`);
+                return false;
+            }
+
+            alias.make_symbolic_link(this.overlayName, null);
+            this._logger.debug(` Created refresh alias ${this.refreshAliasName} → ${this.overlayName}`);
+            return true;
+        } catch (e) {
+            this._logger.warn(` Cannot create refresh alias: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Remove refresh alias symlink (leaves a real directory of that name alone)
+     * @private
+     */
+    _removeRefreshAlias() {
+        const alias = Gio.File.new_for_path(this.refreshAliasPath);
+        if (alias.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) !== Gio.FileType.SYMBOLIC_LINK) {
+            return;
+        }
+
+        try {
+            alias.delete(null);
+        } catch (e) {
+            this._logger.warn(` Cannot remove refresh alias: ${e.message}`);
+        }
+    }
+
+    /**
+     * Refresh theme by temporarily switching to source theme and back (fallback)
+     * GTK restyles twice and gtk-theme listeners see both changes
      * @param {Gio.Settings} interfaceSettings - GNOME interface settings
+     * @private
      */
-    refreshTheme(interfaceSettings) {
+    _refreshThemeBySwitch(interfaceSettings) {
         const currentTheme = this.getCurrentTheme(interfaceSettings);
 
         this._logger.info(` Refreshing theme: ${currentTheme}`);
@@ -2902,6 +3435,614 @@ ${this.extensionName} GNOME Shell Extension
         this._pendingTimers.push(timerId);
     }
 
+    // ===== GTK4 USER STYLESHEET =====
+
+    /**
+     * Write or remove libadwaita named colors in ~/.config/gtk-4.0/gtk.css (gtk4-user-colors setting)
+     * Uses the same panel/popup colors and Material roles as the overlay's own GTK CSS
+     * @param {string} sourcePath - Source theme path
+     * @param {Object} settings - Extension settings
+     * @param {boolean} isLightTheme - Theme brightness (detected from source theme if null)
+     * @returns {boolean} True if the file is in the requested state
+     */
+    updateUserGtk4Colors(sourcePath, settings, isLightTheme = null) {
+        if (!settings.get_boolean("gtk4-user-colors")) {
+            return this.removeUserGtk4Colors();
+        }
+
+        const themeIsLight = isLightTheme !== null ? isLightTheme : this._isLightTheme(sourcePath);
+        const colorSettings = this._extractColorSettings(sourcePath, settings);
+        const accentColor = this._getCachedAccentColor(sourcePath);
+        const materialRoles = this._getMaterialRoles(accentColor, colorSettings.panel.rgba, !themeIsLight);
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace("T", " ");
+        const block = this._cssTemplates.getGtk4UserColorsBlock(
+            this.extensionName,
+            timestamp,
+            this._getLibadwaitaNamedColors(colorSettings, materialRoles)
+        );
+
+        return this._writeUserGtk4Block(block);
+    }
+
+    /**
+     * Remove managed color block from ~/.config/gtk-4.0/gtk.css (user content is kept)
+     * @returns {boolean} True if no managed block is left
+     */
+    removeUserGtk4Colors() {
+        return this._writeUserGtk4Block(null);
+    }
+
+    /**
+     * Map overlay colors to libadwaita named colors
+     * Surfaces come from Material neutral roles, headerbar/popover from panel/popup colors
+     * @private
+     * @param {Object} colorSettings - From _extractColorSettings
+     * @param {Object} materialRoles - From _getMaterialRoles
+     * @returns {Object} libadwaita color name → CSS color string
+     */
+    _getLibadwaitaNamedColors(colorSettings, materialRoles) {
+        const rgb = color => `rgb(${color.slice(0, 3).join(", ")})`;
+        const windowBg = materialRoles.surface;
+        const accentText = ThemeUtils.ensureContrast(
+            materialRoles.primary,
+            windowBg,
+            Constants.GTK4_USER_CSS.accentMinContrast
+        );
+
+        return {
+            accent_bg_color: rgb(materialRoles.primary),
+            accent_fg_color: rgb(materialRoles.onPrimary),
+            accent_color: rgb(accentText),
+            window_bg_color: rgb(windowBg),
+            window_fg_color: rgb(materialRoles.onSurface),
+            view_bg_color: rgb(materialRoles.surfaceContainerLowest),
+            view_fg_color: rgb(materialRoles.onSurface),
+            headerbar_bg_color: colorSettings.panel.solidCss,
+            headerbar_fg_color: colorSettings.panel.fgCss,
+            headerbar_backdrop_color: rgb(windowBg),
+            sidebar_bg_color: rgb(materialRoles.surfaceContainer),
+            sidebar_fg_color: rgb(materialRoles.onSurface),
+            card_bg_color: rgb(materialRoles.surfaceContainerLow),
+            card_fg_color: rgb(materialRoles.onSurface),
+            dialog_bg_color: rgb(materialRoles.surfaceContainerHigh),
+            dialog_fg_color: rgb(materialRoles.onSurface),
+            popover_bg_color: rgb(colorSettings.popup.rgba),
+            popover_fg_color: colorSettings.popup.fgCss
+        };
+    }
+
+    /**
+     * Replace, append or remove the managed block, keeping everything outside the markers
+     * A symlinked gtk.css (theme installers link it into the theme) is left alone
+     * @private
+     * @param {string|null} block - New block (from begin to end marker) or null to remove
+     * @returns {boolean} True on success
+     */
+    _writeUserGtk4Block(block) {
+        const { directory, fileName, beginMarker, endMarker } = Constants.GTK4_USER_CSS;
+        const dirPath = GLib.build_filenamev([GLib.get_user_config_dir(), directory]);
+        const path = GLib.build_filenamev([dirPath, fileName]);
+        const file = Gio.File.new_for_path(path);
+
+        let css = "";
+        try {
+            const fileType = file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+            if (fileType === Gio.FileType.SYMBOLIC_LINK) {
+                this._logger.warn(` ${path} is a symlink - not adding libadwaita colors`);
+                return false;
+            }
+            if (fileType !== Gio.FileType.UNKNOWN) {
+                const { success, contents } = this._readCSSFileSync(file);
+                if (!success) return false;
+                css = new TextDecoder().decode(contents);
+            }
+        } catch (e) {
+            this._logger.error(` Failed to read ${path}: ${e.message}`);
+            return false;
+        }
+
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const blockPattern = new RegExp(`${escape(beginMarker)}[\\s\\S]*?${escape(endMarker)}\\n?`);
+        const hasBlock = blockPattern.test(css);
+
+        let updated;
+        if (block) {
+            updated = hasBlock
+                ? css.replace(blockPattern, () => `${block}\n`)
+                : `${css}${css && !css.endsWith("\n") ? "\n" : ""}${block}\n`;
+        } else if (hasBlock) {
+            updated = css.replace(blockPattern, "");
+        } else {
+            return true; // Nothing to remove
+        }
+
+        if (updated === css) return true;
+
+        // File only ever held our block - remove it instead of leaving an empty stylesheet
+        if (!block && updated.trim() === "") {
+            try {
+                file.delete(null);
+                this._logger.info(` Removed ${path} (contained only libadwaita colors)`);
+                return true;
+            } catch (e) {
+                this._logger.error(` Failed to delete ${path}: ${e.message}`);
+                return false;
+            }
+        }
+
+        if (!this._createDirectory(dirPath) || !this._writeFile(path, updated)) {
+            return false;
+        }
+        this._logger.info(` ${block ? "Updated" : "Removed"} libadwaita colors in ${path}`);
+        return true;
+    }
+
+    // ===== GNOME ACCENT COLOR =====
+
+    /**
+     * Remember wallpaper accent and map it to GNOME accent-color right away
+     * Called by the extension after wallpaper colors are applied; null falls back to the theme
+     * accent on the next overlay update. accent-color is left alone while the Light/Dark sibling is live
+     * @param {Array|null} accentColor - [r, g, b] wallpaper accent (pinned accent if set)
+     * @param {Object} settings - Extension settings
+     */
+    setWallpaperAccentColor(accentColor, settings) {
+        this._wallpaperAccentColor = accentColor ?? null;
+
+        if (accentColor && settings.get_boolean("enable-overlay-theme") && !this._isSiblingLive()) {
+            this._applyGnomeAccentColor(accentColor, settings);
+        }
+    }
+
+    /**
+     * Set GNOME accent-color from wallpaper accent (or theme accent / panel color),
+     * or restore the original value when sync-gnome-accent-color is off
+     * @param {string} sourcePath - Source theme path
+     * @param {Object} settings - Extension settings
+     * @returns {boolean} True if accent-color was set or restored
+     */
+    syncGnomeAccentColor(sourcePath, settings) {
+        if (!settings.get_boolean("sync-gnome-accent-color")) {
+            return this.restoreGnomeAccentColor();
+        }
+
+        const accentColor =
+            this._wallpaperAccentColor ??
+            this._getCachedAccentColor(sourcePath) ??
+            this._extractColorSettings(sourcePath, settings).panel.rgba.slice(0, 3);
+
+        return this._applyGnomeAccentColor(accentColor, settings);
+    }
+
+    /**
+     * Restore accent-color saved in index.theme (OriginalAccentColor) and clear the saved value
+     * @returns {boolean} True if nothing was left to restore or restore succeeded
+     */
+    restoreGnomeAccentColor() {
+        const original = this.readIndexTheme()?.[`X-${this.extensionName}-Extension`]?.OriginalAccentColor;
+        if (!original) return true;
+
+        const interfaceSettings = this._getInterfaceSettings();
+        if (interfaceSettings.settings_schema.has_key("accent-color")) {
+            this._logger.info(` Restoring original GNOME accent color: ${original}`);
+            interfaceSettings.set_string("accent-color", original);
+        }
+
+        return this._setExtensionMetadataValue("OriginalAccentColor", "");
+    }
+
+    /**
+     * Set accent-color to the named GNOME accent nearest to given color
+     * The value found before the first change is saved to index.theme for restoreGnomeAccentColor
+     * @private
+     * @param {Array} accentColor - [r, g, b]
+     * @param {Object} settings - Extension settings
+     * @returns {boolean} True if accent-color now matches
+     */
+    _applyGnomeAccentColor(accentColor, settings) {
+        if (!settings.get_boolean("sync-gnome-accent-color")) return false;
+
+        const interfaceSettings = this._getInterfaceSettings();
+        if (!interfaceSettings.settings_schema.has_key("accent-color")) {
+            this._logger.debug(` GNOME accent-color not available (GNOME 47+) - skipping`);
+            return false;
+        }
+
+        // Without overlay metadata there is nowhere to keep the original value - leave it alone
+        const extData = this.readIndexTheme()?.[`X-${this.extensionName}-Extension`];
+        if (!extData) return false;
+
+        const current = interfaceSettings.get_string("accent-color");
+        if (!extData.OriginalAccentColor) {
+            this._setExtensionMetadataValue("OriginalAccentColor", current);
+        }
+
+        const accentName = this._getNearestGnomeAccentColor(accentColor);
+        if (accentName !== current) {
+            this._logger.info(` GNOME accent color: ${current} → ${accentName} (RGB ${accentColor.join(", ")})`);
+            interfaceSettings.set_string("accent-color", accentName);
+        }
+        return true;
+    }
+
+    /**
+     * Perceptually nearest GNOME accent color name (CIEDE2000)
+     * @private
+     * @param {Array} color - [r, g, b]
+     * @returns {string} Accent color name (blue, teal, ..., slate)
+     */
+    _getNearestGnomeAccentColor(color) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const [name, rgb] of Object.entries(Constants.GNOME_ACCENT_COLORS)) {
+            const distance = ThemeUtils.deltaE2000(color, rgb);
+            if (distance < nearestDistance) {
+                nearest = name;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // ===== INTEGRITY CHECK =====
+
+    /**
+     * Verify overlay against its metadata and source theme
+     * Checks metadata version, source theme path, symlinks and the @import of each generated CSS file
+     * @returns {Array} Problems [{kind, target, message}], empty if intact
+     *   kind: "metadata" | "version" | "source" | "symlink" | "gtk" | "shell"
+     */
+    verifyOverlay() {
+        const problems = [];
+
+        const extData = this.readIndexTheme()?.[`X-${this.extensionName}-Extension`];
+        if (!extData) {
+            problems.push({ kind: "metadata", target: "index.theme", message: "index.theme missing or unreadable" });
+            return problems;
+        }
+
+        if (extData.Version !== Constants.OVERLAY_METADATA.version) {
+            problems.push({
+                kind: "version",
+                target: "index.theme",
+                message: `metadata version ${extData.Version ?? "none"} (current: ${Constants.OVERLAY_METADATA.version})`
+            });
+        }
+
+        const sourcePath = extData.SourceThemePath;
+        if (!sourcePath || !Gio.File.new_for_path(sourcePath).query_exists(null)) {
+            // Everything below is checked against the source theme
+            problems.push({
+                kind: "source",
+                target: extData.SourceTheme,
+                message: `source theme ${extData.SourceTheme} no longer installed`
+            });
+            return problems;
+        }
+
+        const gtkVersions = this.detectGtkVersions(sourcePath);
+        const shellTheme = this.detectShellTheme(sourcePath);
+
+        for (const [linkPath] of this._getExpectedSymlinks(sourcePath, gtkVersions, shellTheme)) {
+            if (!this._isResolvingSymlink(linkPath)) {
+                const relativePath = linkPath.slice(this.overlayPath.length + 1);
+                problems.push({ kind: "symlink", target: linkPath, message: `broken link ${relativePath}` });
+            }
+        }
+
+        for (const [version, info] of Object.entries(gtkVersions)) {
+            if (!info.exists) continue;
+
+            const cssFiles = [info.hasGtkCss && "gtk.css", info.hasDarkCss && "gtk-dark.css"].filter(Boolean);
+            const issues = cssFiles
+                .map(cssFile => this._getCssImportProblem(`${this.overlayPath}/${version}/${cssFile}`))
+                .filter(Boolean);
+            if (issues.length > 0) {
+                problems.push({ kind: "gtk", target: version, message: issues.join(", ") });
+            }
+        }
+
+        if (shellTheme.exists) {
+            const shellDir = `${this.overlayPath}/gnome-shell`;
+            const missingComponents = Constants.SHELL_COMPONENTS.names.filter(
+                name => !Gio.File.new_for_path(this._getShellComponentPath(shellDir, name)).query_exists(null)
+            );
+            const issues = [
+                this._getCssImportProblem(`${shellDir}/gnome-shell.css`),
+                missingComponents.length > 0 && `missing Shell components ${missingComponents.join(", ")}`
+            ].filter(Boolean);
+            if (issues.length > 0) {
+                problems.push({ kind: "shell", target: "gnome-shell", message: issues.join(", ") });
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Repair problems found by verifyOverlay with the smallest regeneration that fixes them
+     * Missing metadata, outdated version or missing source theme → rebuild from overlay-source-theme;
+     * broken symlinks → relinked; broken GTK / Shell CSS → that component's base and overlay CSS regenerated
+     * @param {Array} problems - Result of verifyOverlay()
+     * @param {Object} settings - Extension settings object
+     * @param {Gio.Settings} interfaceSettings - GNOME interface settings (optional, passed to createOverlayTheme)
+     * @returns {Object} {repaired: Array, failed: Array} problem messages
+     */
+    repairOverlay(problems, settings, interfaceSettings = null) {
+        if (problems.some(problem => ["metadata", "version", "source"].includes(problem.kind))) {
+            const sourceThemeName = settings.get_string("overlay-source-theme");
+            this._logger.info(` Integrity: rebuilding overlay from ${sourceThemeName || "(no source theme)"}`);
+
+            const rebuilt = !!sourceThemeName && this.createOverlayTheme(sourceThemeName, settings, interfaceSettings);
+            const messages = problems.map(problem => problem.message);
+            return rebuilt ? { repaired: messages, failed: [] } : { repaired: [], failed: messages };
+        }
+
+        const sourcePath = this.readIndexTheme()[`X-${this.extensionName}-Extension`].SourceThemePath;
+        const gtkVersions = this.detectGtkVersions(sourcePath);
+        const shellTheme = this.detectShellTheme(sourcePath);
+        const isLightTheme = this._isLightTheme(sourcePath);
+        const expectedSymlinks = this._getExpectedSymlinks(sourcePath, gtkVersions, shellTheme);
+
+        for (const problem of problems) {
+            try {
+                switch (problem.kind) {
+                    case "symlink":
+                        this._createDirectory(GLib.path_get_dirname(problem.target));
+                        this._createSymlink(expectedSymlinks.get(problem.target), problem.target);
+                        break;
+
+                    case "gtk": {
+                        const version = problem.target;
+                        const info = gtkVersions[version];
+                        this._createDirectory(`${this.overlayPath}/${version}`);
+                        if (info.hasGtkCss) {
+                            this._writeFile(
+                                `${this.overlayPath}/${version}/base-theme.css`,
+                                this._generateGtkBaseCss(version, sourcePath, false, settings)
+                            );
+                        }
+                        if (info.hasDarkCss) {
+                            this._writeFile(
+                                `${this.overlayPath}/${version}/base-theme-dark.css`,
+                                this._generateGtkBaseCss(version, sourcePath, true, settings)
+                            );
+                        }
+                        this._updateGtkCss(version, sourcePath, info, settings, isLightTheme);
+                        break;
+                    }
+
+                    case "shell":
+                        this._createDirectory(`${this.overlayPath}/gnome-shell`);
+                        this._writeFile(
+                            `${this.overlayPath}/gnome-shell/base-theme.css`,
+                            this._generateBaseThemeCss(sourcePath, settings)
+                        );
+                        this._writeFile(
+                            `${this.overlayPath}/gnome-shell/gnome-shell.css`,
+                            this._generateShellCss(sourcePath, settings)
+                        );
+                        this._writeShellComponents(this._generateShellComponents(sourcePath, settings, isLightTheme));
+                        break;
+                }
+            } catch (e) {
+                this._logger.error(` Integrity: repair of ${problem.target} failed: ${e.message}`);
+            }
+        }
+
+        // Whatever a second pass still reports was not fixed
+        const remaining = new Set(this.verifyOverlay().map(problem => `${problem.kind}:${problem.target}`));
+        const repaired = [];
+        const failed = [];
+        problems.forEach(problem => {
+            (remaining.has(`${problem.kind}:${problem.target}`) ? failed : repaired).push(problem.message);
+        });
+
+        if (repaired.length > 0) {
+            this.updateLastModified();
+        }
+        this._logger.info(` Integrity: ${repaired.length} repaired, ${failed.length} failed`);
+        return { repaired, failed };
+    }
+
+    /**
+     * Symlinks createOverlayTheme makes for a source theme
+     * @param {string} sourcePath - Source theme path
+     * @param {Object} gtkVersions - Result of detectGtkVersions()
+     * @param {Object} shellTheme - Result of detectShellTheme()
+     * @returns {Map} Link path in live overlay → target path
+     * @private
+     */
+    _getExpectedSymlinks(sourcePath, gtkVersions, shellTheme) {
+        const links = new Map();
+
+        for (const [version, info] of Object.entries(gtkVersions)) {
+            if (!info.exists) continue;
+            info.assets.forEach(asset => {
+                links.set(`${this.overlayPath}/${version}/${asset}`, `${sourcePath}/${version}/${asset}`);
+            });
+        }
+
+        this.getNonGtkDirectories(sourcePath).forEach(dir => {
+            links.set(`${this.overlayPath}/${dir}`, `${sourcePath}/${dir}`);
+        });
+
+        if (shellTheme.exists) {
+            shellTheme.assets.forEach(asset => {
+                links.set(`${this.overlayPath}/gnome-shell/${asset}`, `${sourcePath}/gnome-shell/${asset}`);
+            });
+        }
+
+        return links;
+    }
+
+    /**
+     * Check that path is a symlink whose target exists
+     * @param {string} path - Link path
+     * @returns {boolean} True if link resolves
+     * @private
+     */
+    _isResolvingSymlink(path) {
+        const file = Gio.File.new_for_path(path);
+        return (
+            file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) === Gio.FileType.SYMBOLIC_LINK &&
+            file.query_exists(null)
+        );
+    }
+
+    /**
+     * Check generated CSS file exists and its first @import points to an existing file
+     * @param {string} cssPath - Generated CSS file in live overlay
+     * @returns {string|null} Problem description or null if fine
+     * @private
+     */
+    _getCssImportProblem(cssPath) {
+        const relativePath = cssPath.slice(this.overlayPath.length + 1);
+        const file = Gio.File.new_for_path(cssPath);
+        if (!file.query_exists(null)) {
+            return `${relativePath} missing`;
+        }
+
+        try {
+            const { contents } = this._readCSSFileSync(file);
+            const match = /@import\s+url\(\s*["']?([^"')]+)["']?\s*\)/.exec(new TextDecoder().decode(contents));
+            if (!match) {
+                return `${relativePath} has no @import`;
+            }
+
+            const importPath = match[1].startsWith("/") ? match[1] : `${GLib.path_get_dirname(cssPath)}/${match[1]}`;
+            return Gio.File.new_for_path(importPath).query_exists(null)
+                ? null
+                : `${relativePath} imports missing ${match[1]}`;
+        } catch (e) {
+            return `${relativePath} unreadable (${e.message})`;
+        }
+    }
+
+    // ===== SOURCE THEME MONITORING =====
+
+    /**
+     * Watch source theme's gtk-3.0, gtk-4.0 and gnome-shell directories (package updates replace files there)
+     * Changes are debounced, the theme's cached base CSS and accent color are dropped, then onChanged runs.
+     * createOverlayTheme moves the monitors along when the overlay switches to another source theme
+     * @param {Function} onChanged - Called with the source theme name after changes settled
+     */
+    watchSourceTheme(onChanged) {
+        this._sourceChangeCallback = onChanged;
+        const sourcePath = this.readIndexTheme()?.[`X-${this.extensionName}-Extension`]?.SourceThemePath;
+        this._attachSourceMonitors(sourcePath || null);
+    }
+
+    /**
+     * Stop watching source theme (overlay disabled)
+     */
+    unwatchSourceTheme() {
+        this._sourceChangeCallback = null;
+        this._attachSourceMonitors(null);
+    }
+
+    /**
+     * Replace source theme monitors
+     * @param {string|null} sourcePath - Source theme path, null to only detach
+     * @private
+     */
+    _attachSourceMonitors(sourcePath) {
+        if (sourcePath && sourcePath === this._sourceMonitorPath) return;
+
+        this._sourceMonitors.forEach(monitor => {
+            this._signalsHandler?.removeAll(monitor);
+            monitor.cancel();
+        });
+        this._sourceMonitors = [];
+        this._sourceMonitorPath = null;
+
+        if (this._sourceChangeTimer) {
+            GLib.source_remove(this._sourceChangeTimer);
+            this._sourceChangeTimer = null;
+        }
+
+        if (!sourcePath || !this._sourceChangeCallback) return;
+
+        ["gtk-3.0", "gtk-4.0", "gnome-shell"].forEach(dir => {
+            const dirFile = Gio.File.new_for_path(`${sourcePath}/${dir}`);
+            if (!dirFile.query_exists(null)) return;
+
+            try {
+                const monitor = dirFile.monitor_directory(Gio.FileMonitorFlags.WATCH_MOVES, null);
+                this._signalsHandler.add([
+                    monitor,
+                    "changed",
+                    (fileMonitor, file, otherFile, eventType) => this._onSourceThemeFileChanged(file, eventType)
+                ]);
+                this._sourceMonitors.push(monitor);
+            } catch (e) {
+                this._logger.warn(` Cannot monitor ${sourcePath}/${dir}: ${e.message}`);
+            }
+        });
+
+        this._sourceMonitorPath = sourcePath;
+        this._logger.info(` Watching ${this._sourceMonitors.length} source theme directories in ${sourcePath}`);
+    }
+
+    /**
+     * Debounce source theme file changes (a package update touches many files)
+     * @param {Gio.File} file - Changed file
+     * @param {Gio.FileMonitorEvent} eventType - Event type
+     * @private
+     */
+    _onSourceThemeFileChanged(file, eventType) {
+        if (eventType === Gio.FileMonitorEvent.ATTRIBUTE_CHANGED) return;
+
+        this._logger.debug(` Source theme file changed: ${file.get_path()} (event ${eventType})`);
+
+        if (this._sourceChangeTimer) {
+            GLib.source_remove(this._sourceChangeTimer);
+        }
+        this._sourceChangeTimer = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            Constants.OVERLAY_UPDATE_DEBOUNCE.sourceTheme,
+            () => {
+                this._sourceChangeTimer = null;
+
+                const sourcePath = this._sourceMonitorPath;
+                if (sourcePath) {
+                    this._invalidateSourceThemeCaches(sourcePath);
+                    this._sourceChangeCallback?.(GLib.path_get_basename(sourcePath));
+                }
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    /**
+     * Drop cached base CSS and accent colors derived from a source theme
+     * @param {string} sourcePath - Source theme path
+     * @private
+     */
+    _invalidateSourceThemeCaches(sourcePath) {
+        const themeName = GLib.path_get_basename(sourcePath);
+        let removed = 0;
+
+        // Base cache keys: "gtk-base:ThemeName:..." / "shell-base:ThemeName:..."
+        for (const key of [...this._baseThemeCache.keys()]) {
+            if (key.split(":")[1] === themeName) {
+                this._baseThemeCache.delete(key);
+                removed++;
+            }
+        }
+
+        // Accent cache keys: "themePath:colorScheme"
+        for (const key of [...this._accentColorCache.keys()]) {
+            if (key.startsWith(`${sourcePath}:`)) {
+                this._accentColorCache.delete(key);
+                removed++;
+            }
+        }
+
+        this._logger.info(` Source theme ${themeName} changed on disk - dropped ${removed} cached entries`);
+    }
+
     // ===== THEME UPDATES =====
 
     /**
@@ -2997,6 +4138,8 @@ ${this.extensionName} GNOME Shell Extension
                 this._updateShellCss(sourcePath, shellTheme, settings, isLightTheme);
             }
 
+            this.updateUserGtk4Colors(sourcePath, settings, isLightTheme);
+
             // Update metadata preserving original themes
             this._writeIndexTheme({
                 sourceThemeName,
@@ -3006,9 +4149,12 @@ ${this.extensionName} GNOME Shell Extension
                 originalShellTheme,
                 originalIconTheme,
                 sourceIconTheme,
-                manualIconOverrideEnabled
+                manualIconOverrideEnabled,
+                originalAccentColor: extData.OriginalAccentColor ?? ""
             });
 
+            this.syncGnomeAccentColor(sourcePath, settings);
+
             // Update icon theme if interfaceSettings provided and source icon theme changed
             if (interfaceSettings) {
                 const currentIconTheme = interfaceSettings.get_string("icon-theme");
@@ -3096,6 +4242,8 @@ ${this.extensionName} GNOME Shell Extension
 
     /**
      * Update Shell CSS files
+     * gnome-shell.css only imports base-theme.css and stays as is; of the override components only
+     * those whose cache key changed are rewritten and hot-swapped (no full Shell theme reload)
      * @param {string} sourcePath - Source theme path
      * @param {Object} shellInfo - Shell info
      * @param {Object} settings - Extension settings
@@ -3104,13 +4252,26 @@ ${this.extensionName} GNOME Shell Extension
         const overlayShellDir = `${this.overlayPath}/gnome-shell`;
 
         if (shellInfo.hasShellCss) {
-            const shellCss = this._generateShellCss(sourcePath, settings, isLightTheme);
-            this._writeFile(`${overlayShellDir}/gnome-shell.css`, shellCss);
-            this._logger.info(` Updated gnome-shell/gnome-shell.css`);
+            const components = this._generateShellComponents(sourcePath, settings, isLightTheme);
+            const changed = components.filter(
+                component =>
+                    this._shellComponentKeys.get(component.name) !== component.cacheKey ||
+                    !Gio.File.new_for_path(this._getShellComponentPath(overlayShellDir, component.name)).query_exists(
+                        null
+                    )
+            );
 
-            // NOTE: Shell theme reload handled by extension.js via Main.loadTheme() API
-            // This ensures instant reload without Adwaita flicker (GNOME 46+ pattern)
-            this._logger.debug(` Shell CSS written - reload delegated to caller`);
+            if (changed.length > 0) {
+                const written = this._writeShellComponents(changed);
+                this._logger.info(
+                    ` Updated ${changed.length}/${components.length} Shell components: ${changed
+                        .map(component => component.name)
+                        .join(", ")}`
+                );
+                this._shellStylesheet?.swapComponents(written);
+            } else {
+                this._logger.debug(` Shell components unchanged`);
+            }
         }
 
         if (shellInfo.hasPadOsdCss) {
@@ -3123,11 +4284,9 @@ ${this.extensionName} GNOME Shell Extension
     /**
      * REMOVED: _forceShellThemeReload() - legacy GNOME 43 pattern
      *
-     * GNOME 46+ uses Main.loadTheme() API for instant Shell CSS reload.
-     * Shell theme reload is now exclusively handled in extension.js:
-     *   - _recreateOverlayTheme() - line ~975
-     *   - _debounceUserSettingsUpdate() - line ~1115
-     *   - _scheduleOverlayUpdate() - line ~1170
+     * Shell CSS is (re)loaded by ShellStylesheet (shellStylesheet.js) without touching GSettings:
+     *   - applyShellStylesheet() - full load after overlay activation / recreation
+     *   - _updateShellCss() - hot-swaps only the changed Shell components
      *
      * This eliminates:
      *   - Visible Adwaita flicker (100-400ms white flash)
@@ -3142,7 +4301,7 @@ ${this.extensionName} GNOME Shell Extension
 
     /**
      * Recreate overlay from scratch (sync version)
-     * BLOCKING: Deletes and recreates overlay theme synchronously
+     * BLOCKING: Rebuilds overlay theme synchronously; the old overlay is replaced only if the new one is complete
      * @param {Object} settings - Extension settings object
      * @param {Gio.Settings} interfaceSettings - GNOME interface settings (optional, for saving original themes)
      * @returns {boolean} Success status
@@ -3158,10 +4317,8 @@ ${this.extensionName} GNOME Shell Extension
 
         this._logger.info(` Recreating overlay (sync) for: ${sourceThemeName}`);
 
-        // Remove old overlay (sync - fast directory delete)
-        this.removeOverlayTheme();
-
         // Create new one with NEW source theme (sync - CSS generation)
+        // No removal first: createOverlayTheme swaps the staged overlay in, so a failure keeps the old one
         return this.createOverlayTheme(sourceThemeName, settings, interfaceSettings);
     }
 
@@ -3216,6 +4373,9 @@ ${this.extensionName} GNOME Shell Extension
      * Call this when OverlayThemeManager is no longer needed
      */
     destroy() {
+        // Cancel source theme monitors and their debounce timer
+        this.unwatchSourceTheme();
+
         // Disconnect all tracked signals
         if (this._signalsHandler) {
             this._signalsHandler.destroy();
@@ -3276,16 +4436,8 @@ ${this.extensionName} GNOME Shell Extension
             this._interfaceSettings = null;
         }
 
-        if (this._shellSettings) {
-            try {
-                // GNOME Review Guidelines: run_dispose() necessary to immediately free GSettings
-                // for org.gnome.shell when OverlayThemeManager is destroyed
-                this._shellSettings.run_dispose();
-            } catch (e) {
-                this._logger.warn(`Error disposing shell settings: ${e.message}`);
-            }
-            this._shellSettings = null;
-        }
+        // Backend is owned (and destroyed) by the extension
+        this._shellStylesheet = null;
 
         this._logger.info("OverlayThemeManager destroyed, Settings disposed, async operations cancelled");
     }
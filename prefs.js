@@ -5,14 +5,28 @@ import Gio from "gi://Gio";
 import Gtk from "gi://Gtk";
 import GObject from "gi://GObject";
 import Gdk from "gi://Gdk";
+import GdkPixbuf from "gi://GdkPixbuf";
 import GLib from "gi://GLib";
 
-import { ExtensionPreferences, gettext as _ } from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
+import {
+    ExtensionPreferences,
+    gettext as _,
+    ngettext
+} from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
 
 import { ColorPalette } from "./colorPalette.js";
+import { SettingsProfiles } from "./settingsProfiles.js";
 import { ThemeUtils } from "./themeUtils.js";
+import { Constants } from "./constants.js";
 import { GlobalSignalsHandler } from "./signalHandler.js";
 
+// Async loaders for palette cache thumbnails (keeps prefs responsive with many wallpapers)
+Gio._promisify(Gio.File.prototype, "query_info_async", "query_info_finish");
+Gio._promisify(Gio.File.prototype, "read_async", "read_finish");
+Gio._promisify(GdkPixbuf.Pixbuf, "new_from_stream_at_scale_async", "new_from_stream_finish");
+Gio._promisify(Gtk.FileDialog.prototype, "open", "open_finish");
+Gio._promisify(Gtk.FileDialog.prototype, "save", "save_finish");
+
 /**
  * Discover installed GTK themes from standard locations
  * @returns {string[]} Array of theme names
@@ -45,8 +59,8 @@ function _discoverInstalledThemes() {
                 if (info.get_file_type() === Gio.FileType.DIRECTORY) {
                     const themeName = info.get_name();
 
-                    // Skip hidden directories and our overlay
-                    if (themeName.startsWith(".") || themeName === "CSSGnomme") {
+                    // Skip hidden directories and our overlays (Light/Dark variants, refresh aliases)
+                    if (themeName.startsWith(".") || ThemeUtils.isOverlayThemeName(themeName)) {
                         continue;
                     }
 
@@ -125,6 +139,575 @@ function _isZorinMenuAvailable() {
     }
 }
 
+/**
+ * Load small wallpaper thumbnail texture
+ * Uses the desktop thumbnail cache when available, otherwise decodes the image at thumbnail size
+ * @param {string} uri - Wallpaper URI
+ * @param {number} width - Thumbnail width
+ * @param {number} height - Thumbnail height
+ * @returns {Promise<Gdk.Texture>} Thumbnail texture
+ */
+async function _loadThumbnail(uri, width, height) {
+    let source = Gio.File.new_for_uri(uri);
+    try {
+        const info = await source.query_info_async(
+            "thumbnail::path",
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_LOW,
+            null
+        );
+        const thumbnailPath = info.get_attribute_byte_string("thumbnail::path");
+        if (thumbnailPath) {
+            source = Gio.File.new_for_path(thumbnailPath);
+        }
+    } catch (e) {
+        // No thumbnail info - decode original
+    }
+
+    const stream = await source.read_async(GLib.PRIORITY_LOW, null);
+    try {
+        const pixbuf = await GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream, width, height, true, null);
+        return Gdk.Texture.new_for_pixbuf(pixbuf);
+    } finally {
+        stream.close(null);
+    }
+}
+
+/**
+ * Build row of palette color chips
+ * @param {string[]} cssColors - CSS colors from ColorPalette.getPalettePreview()
+ * @param {string} iconName - Icon identifying the palette (light/dark)
+ * @param {string} tooltip - Tooltip for the icon
+ * @returns {Gtk.Box} Chip row
+ */
+function _createSwatchStrip(cssColors, iconName, tooltip) {
+    const strip = new Gtk.Box({ orientation: Gtk.Orientation.HORIZONTAL, spacing: 3 });
+    strip.append(new Gtk.Image({ icon_name: iconName, pixel_size: 12, tooltip_text: tooltip }));
+
+    cssColors.forEach(css => {
+        const rgba = new Gdk.RGBA();
+        rgba.parse(css);
+
+        const chip = new Gtk.DrawingArea({ content_width: 14, content_height: 14, tooltip_text: css });
+        chip.set_draw_func((area, cr, width, height) => {
+            Gdk.cairo_set_source_rgba(cr, rgba);
+            cr.rectangle(0, 0, width, height);
+            cr.fill();
+            cr.$dispose();
+        });
+        strip.append(chip);
+    });
+
+    return strip;
+}
+
+/**
+ * Build popover button for pinning accent / panel / popup colors to one wallpaper
+ * Unpinned roles start from the colors extracted for the wallpaper
+ * @param {ColorPalette} colorPalette - Palette instance owning the cache
+ * @param {Object} entry - Cache entry from ColorPalette.getCacheEntries()
+ * @param {Function} onClosed - Called after the popover closes if pins were changed
+ * @returns {Gtk.MenuButton} Button
+ */
+function _createPinnedColorsButton(colorPalette, entry, onClosed) {
+    const pinned = entry.pinnedColors ?? {};
+    const scheme = colorPalette.generateColorScheme(
+        entry.lightColors.length > 0 ? entry.lightColors : entry.darkColors
+    );
+    const extracted = { accent: scheme.accent, panel: scheme.background, popup: scheme.popup ?? scheme.accent };
+    const labels = { accent: _("Accent"), panel: _("Panel"), popup: _("Popup") };
+
+    const grid = new Gtk.Grid({
+        row_spacing: 6,
+        column_spacing: 12,
+        margin_top: 6,
+        margin_bottom: 6,
+        margin_start: 6,
+        margin_end: 6
+    });
+    const controls = {};
+    let changed = false;
+
+    const savePins = () => {
+        const pinnedColors = {};
+        for (const [role, { toggle, colorButton }] of Object.entries(controls)) {
+            if (toggle.get_active()) {
+                const rgba = colorButton.get_rgba();
+                pinnedColors[role] = [rgba.red, rgba.green, rgba.blue].map(v => Math.round(v * 255));
+            }
+        }
+        colorPalette.setPinnedColors(entry.fingerprint, pinnedColors);
+        changed = true;
+    };
+
+    Object.keys(labels).forEach((role, index) => {
+        const rgb = pinned[role] ?? extracted[role];
+        const rgba = new Gdk.RGBA();
+        rgba.parse(`rgb(${rgb.join(",")})`);
+
+        const toggle = new Gtk.Switch({ active: Boolean(pinned[role]), valign: Gtk.Align.CENTER });
+        const colorButton = new Gtk.ColorButton({ rgba, sensitive: toggle.get_active(), valign: Gtk.Align.CENTER });
+        controls[role] = { toggle, colorButton };
+
+        toggle.connect("notify::active", () => {
+            colorButton.set_sensitive(toggle.get_active());
+            savePins();
+        });
+        colorButton.connect("color-set", savePins);
+
+        grid.attach(new Gtk.Label({ label: labels[role], xalign: 0, hexpand: true }), 0, index, 1, 1);
+        grid.attach(toggle, 1, index, 1, 1);
+        grid.attach(colorButton, 2, index, 1, 1);
+    });
+
+    const popover = new Gtk.Popover({ child: grid });
+    popover.connect("closed", () => {
+        if (changed) onClosed();
+    });
+
+    return new Gtk.MenuButton({
+        icon_name: "color-select-symbolic",
+        popover,
+        valign: Gtk.Align.CENTER,
+        css_classes: ["flat"],
+        tooltip_text: _("Pin colors for this wallpaper (light and dark mode)")
+    });
+}
+
+/**
+ * Build "Palette Cache" page - lists cached wallpaper palettes with delete / re-extract / pin
+ * Works on its own ColorPalette instance; the shared cache file keeps it in sync with the extension
+ * @param {ColorPalette} colorPalette - Palette instance owning the cache
+ * @returns {Adw.PreferencesPage} Page
+ */
+function _createPaletteCachePage(colorPalette) {
+    const cachePage = new Adw.PreferencesPage({
+        title: _("Palette Cache"),
+        icon_name: "folder-pictures-symbolic"
+    });
+
+    const cacheGroup = new Adw.PreferencesGroup({
+        title: _("Cached Wallpapers")
+    });
+    cachePage.add(cacheGroup);
+
+    let rows = [];
+
+    const refreshList = () => {
+        rows.forEach(row => cacheGroup.remove(row));
+        rows = [];
+
+        const entries = colorPalette.getCacheEntries();
+        const { staleAfterDays } = Constants.CACHE_PERSISTENCE;
+        const analyzed = ngettext("%d wallpaper analyzed.", "%d wallpapers analyzed.", entries.length);
+        const cleanup = ngettext(
+            "Entries unused for %d day are removed unless pinned.",
+            "Entries unused for %d days are removed unless pinned.",
+            staleAfterDays
+        );
+        cacheGroup.set_description(
+            `${analyzed.replace("%d", entries.length)} ${cleanup.replace("%d", staleAfterDays)}`
+        );
+
+        if (entries.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _("No wallpapers cached yet"),
+                subtitle: _("Colors extracted from your wallpapers will appear here")
+            });
+            cacheGroup.add(emptyRow);
+            rows.push(emptyRow);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const fileName = GLib.uri_unescape_string(entry.wallpaperUri.split("/").pop(), null) ?? entry.wallpaperUri;
+            const lastUsed = GLib.DateTime.new_from_iso8601(entry.lastUsed, null);
+            const row = new Adw.ActionRow({
+                title: GLib.markup_escape_text(fileName, -1),
+                subtitle:
+                    _("Last used: ") +
+                    (lastUsed ? lastUsed.to_local().format("%x %X") : entry.lastUsed) +
+                    (entry.pinned ? " · " + _("Pinned") : "") +
+                    (entry.pinnedColors ? " · " + _("Colors pinned") : ""),
+                tooltip_text: entry.wallpaperUri
+            });
+
+            // Thumbnail (loaded asynchronously)
+            const thumbnail = new Gtk.Picture({
+                width_request: 64,
+                height_request: 40,
+                content_fit: Gtk.ContentFit.COVER,
+                valign: Gtk.Align.CENTER
+            });
+            row.add_prefix(thumbnail);
+            _loadThumbnail(entry.wallpaperUri, 128, 80)
+                .then(texture => thumbnail.set_paintable(texture))
+                .catch(e => log(`[CSSGnomme:Prefs] No thumbnail for ${fileName}: ${e.message}`));
+
+            // Light and dark swatches
+            const swatches = new Gtk.Box({
+                orientation: Gtk.Orientation.VERTICAL,
+                spacing: 3,
+                valign: Gtk.Align.CENTER
+            });
+            if (entry.lightColors.length > 0) {
+                swatches.append(
+                    _createSwatchStrip(
+                        colorPalette.getPalettePreview(entry.lightColors),
+                        "weather-clear-symbolic",
+                        _("Light mode palette")
+                    )
+                );
+            }
+            if (entry.darkColors.length > 0) {
+                swatches.append(
+                    _createSwatchStrip(
+                        colorPalette.getPalettePreview(entry.darkColors),
+                        "weather-clear-night-symbolic",
+                        _("Dark mode palette")
+                    )
+                );
+            }
+            row.add_suffix(swatches);
+
+            // Pinned colors / pin / re-extract / delete
+            row.add_suffix(_createPinnedColorsButton(colorPalette, entry, refreshList));
+
+            const pinButton = new Gtk.ToggleButton({
+                icon_name: "view-pin-symbolic",
+                active: entry.pinned,
+                valign: Gtk.Align.CENTER,
+                css_classes: ["flat"],
+                tooltip_text: _("Pin (never remove automatically)")
+            });
+            pinButton.connect("toggled", () => {
+                colorPalette.setCacheEntryPinned(entry.fingerprint, pinButton.get_active());
+                refreshList();
+            });
+            row.add_suffix(pinButton);
+
+            const reextractButton = new Gtk.Button({
+                icon_name: "view-refresh-symbolic",
+                valign: Gtk.Align.CENTER,
+                css_classes: ["flat"],
+                tooltip_text: _("Re-extract colors")
+            });
+            reextractButton.connect("clicked", async () => {
+                reextractButton.set_sensitive(false);
+                try {
+                    await colorPalette.reextractCacheEntry(entry.fingerprint);
+                } catch (e) {
+                    log(`[CSSGnomme:Prefs] Re-extraction failed for ${fileName}: ${e.message}`);
+                }
+                refreshList();
+            });
+            row.add_suffix(reextractButton);
+
+            const deleteButton = new Gtk.Button({
+                icon_name: "user-trash-symbolic",
+                valign: Gtk.Align.CENTER,
+                css_classes: ["flat"],
+                tooltip_text: _("Remove from cache")
+            });
+            deleteButton.connect("clicked", () => {
+                colorPalette.deleteCacheEntry(entry.fingerprint);
+                refreshList();
+            });
+            row.add_suffix(deleteButton);
+
+            cacheGroup.add(row);
+            rows.push(row);
+        });
+    };
+
+    // Extension saved new / changed palettes - show them
+    colorPalette.watchPersistentCache(refreshList);
+    refreshList();
+
+    return cachePage;
+}
+
+/**
+ * Show modal message dialog
+ * @param {Gtk.Window} window - Parent window
+ * @param {string} text - Heading
+ * @param {string} secondaryText - Details
+ */
+function _showMessage(window, text, secondaryText) {
+    const messageDialog = new Gtk.MessageDialog({
+        transient_for: window,
+        modal: true,
+        buttons: Gtk.ButtonsType.OK,
+        text,
+        secondary_text: secondaryText
+    });
+    messageDialog.connect("response", () => messageDialog.destroy());
+    messageDialog.show();
+}
+
+/**
+ * Build "Share Configuration" group - export / import all settings as a versioned JSON document
+ * The pinned colors of the current wallpaper travel along and are pinned to the current wallpaper on import
+ * @param {SettingsProfiles} profiles - Profile store (owns import/export)
+ * @param {ColorPalette} colorPalette - Palette instance owning the cache (pinned colors)
+ * @param {Gtk.Window} window - Parent for file and message dialogs
+ * @returns {Adw.PreferencesGroup} Group
+ */
+function _createConfigTransferGroup(profiles, colorPalette, window) {
+    const transferGroup = new Adw.PreferencesGroup({
+        title: _("Share Configuration"),
+        description: _(
+            "Export every setting, the base theme and pinned wallpaper colors to a file, and import it on another machine."
+        )
+    });
+
+    const filter = new Gtk.FileFilter({ name: _("CSS Gnommé configuration") });
+    filter.add_suffix(Constants.CONFIG_TRANSFER.fileExtension.slice(1));
+    const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+    filters.append(filter);
+
+    const isDismissed = e => e instanceof GLib.Error && e.matches(Gtk.DialogError, Gtk.DialogError.DISMISSED);
+
+    const exportRow = new Adw.ActionRow({
+        title: _("Export Settings"),
+        subtitle: _("Save the complete configuration as JSON")
+    });
+    const exportButton = new Gtk.Button({
+        label: _("Export…"),
+        valign: Gtk.Align.CENTER
+    });
+    exportButton.connect("clicked", async () => {
+        const dialog = new Gtk.FileDialog({
+            title: _("Export Settings"),
+            initial_name: "cssgnomme" + Constants.CONFIG_TRANSFER.fileExtension,
+            filters
+        });
+
+        try {
+            const file = await dialog.save(window, null);
+            const pinnedColors = colorPalette.getCurrentWallpaperEntry()?.pinnedColors ?? null;
+            await profiles.exportToFile(file, pinnedColors);
+            _showMessage(window, _("Settings Exported"), file.get_path());
+        } catch (e) {
+            if (isDismissed(e)) return;
+            log(`[CSSGnomme:Prefs] Export failed: ${e.message}`);
+            _showMessage(window, _("Export Failed"), e.message);
+        }
+    });
+    exportRow.add_suffix(exportButton);
+    exportRow.activatable_widget = exportButton;
+    transferGroup.add(exportRow);
+
+    const importRow = new Adw.ActionRow({
+        title: _("Import Settings"),
+        subtitle: _("Replace all settings with an exported configuration")
+    });
+    const importButton = new Gtk.Button({
+        label: _("Import…"),
+        valign: Gtk.Align.CENTER
+    });
+    importButton.connect("clicked", async () => {
+        const dialog = new Gtk.FileDialog({
+            title: _("Import Settings"),
+            filters
+        });
+
+        try {
+            const file = await dialog.open(window, null);
+            // Same list the source theme dropdown offers
+            const { pinnedPalette, resetKeys, warnings } = await profiles.importFromFile(
+                file,
+                _discoverInstalledThemes()
+            );
+
+            let details = _("Settings not in the file were reset to defaults: ") + resetKeys.length + ".";
+            if (pinnedPalette) {
+                const entry = colorPalette.getCurrentWallpaperEntry();
+                if (entry) {
+                    colorPalette.setPinnedColors(entry.fingerprint, pinnedPalette);
+                    details += " " + _("Pinned colors were applied to the current wallpaper.");
+                } else {
+                    details += " " + _("Pinned colors were skipped: the current wallpaper has not been analyzed yet.");
+                }
+            }
+            if (warnings.length > 0) {
+                details += "\n\n" + warnings.join("\n");
+            }
+            _showMessage(window, _("Settings Imported"), details);
+        } catch (e) {
+            if (isDismissed(e)) return;
+            log(`[CSSGnomme:Prefs] Import failed: ${e.message}`);
+            _showMessage(window, _("Import Failed"), e.message);
+        }
+    });
+    importRow.add_suffix(importButton);
+    importRow.activatable_widget = importButton;
+    transferGroup.add(importRow);
+
+    return transferGroup;
+}
+
+/**
+ * Build "Profiles" page - save current settings as named profile, load / overwrite / delete profiles
+ * The active profile shows how many settings were changed since it was saved or loaded
+ * @param {SettingsProfiles} profiles - Profile store
+ * @param {Gio.Settings} settings - Extension settings
+ * @param {GlobalSignalsHandler} signalsHandler - Prefs signal handler (disconnected on window close)
+ * @param {ColorPalette} colorPalette - Palette instance owning the cache (import/export of pinned colors)
+ * @param {Gtk.Window} window - Preferences window
+ * @returns {Adw.PreferencesPage} Page
+ */
+function _createProfilesPage(profiles, settings, signalsHandler, colorPalette, window) {
+    const profilesPage = new Adw.PreferencesPage({
+        title: _("Profiles"),
+        icon_name: "document-save-symbolic"
+    });
+
+    const saveGroup = new Adw.PreferencesGroup({
+        title: _("Save Profile"),
+        description: _(
+            "A profile stores opacity, colors, border radius, blur, shadow and palette settings. Switch profiles here or from the panel menu."
+        )
+    });
+    profilesPage.add(saveGroup);
+
+    const profilesGroup = new Adw.PreferencesGroup({
+        title: _("Saved Profiles")
+    });
+    profilesPage.add(profilesGroup);
+
+    let rows = new Map();
+    let emptyRow = null;
+
+    // drifted: changed keys of the active profile, null for the other rows
+    const getSubtitle = (profile, drifted) => {
+        const modified = GLib.DateTime.new_from_iso8601(profile?.modified ?? "", null);
+        const parts = [];
+        if (modified) {
+            parts.push(_("Saved: ") + modified.to_local().format("%x %X"));
+        }
+        if (drifted) {
+            parts.push(
+                drifted.length > 0
+                    ? ngettext(
+                          "Active, modified (%d setting changed)",
+                          "Active, modified (%d settings changed)",
+                          drifted.length
+                      ).replace("%d", drifted.length)
+                    : _("Active")
+            );
+        }
+        return parts.join(" · ");
+    };
+
+    // Only subtitles change while sliders move - rows are rebuilt on save / delete
+    // Runs on every settings change: read the profile file and compare settings once per call
+    const updateSubtitles = () => {
+        const stored = profiles.getProfiles();
+        const activeName = profiles.getActiveProfileName();
+        const activeDrift = Object.hasOwn(stored, activeName)
+            ? profiles.getDriftedKeys(activeName, stored[activeName])
+            : [];
+
+        rows.forEach((row, name) => {
+            const drifted = name === activeName ? activeDrift : null;
+            row.set_subtitle(getSubtitle(Object.hasOwn(stored, name) ? stored[name] : undefined, drifted));
+            row.set_tooltip_text(drifted?.length > 0 ? _("Changed: ") + drifted.join(", ") : null);
+        });
+    };
+
+    const refreshList = () => {
+        rows.forEach(row => profilesGroup.remove(row));
+        rows = new Map();
+        if (emptyRow) {
+            profilesGroup.remove(emptyRow);
+            emptyRow = null;
+        }
+
+        const names = profiles.getProfileNames();
+        if (names.length === 0) {
+            emptyRow = new Adw.ActionRow({
+                title: _("No profiles saved yet"),
+                subtitle: _("Enter a name above to save the current settings")
+            });
+            profilesGroup.add(emptyRow);
+            return;
+        }
+
+        names.forEach(name => {
+            const row = new Adw.ActionRow({
+                title: GLib.markup_escape_text(name, -1)
+            });
+
+            const loadButton = new Gtk.Button({
+                label: _("Load"),
+                valign: Gtk.Align.CENTER,
+                tooltip_text: _("Apply this profile")
+            });
+            loadButton.connect("clicked", () => {
+                profiles.applyProfile(name);
+                updateSubtitles();
+            });
+            row.add_suffix(loadButton);
+
+            const overwriteButton = new Gtk.Button({
+                icon_name: "document-save-symbolic",
+                valign: Gtk.Align.CENTER,
+                css_classes: ["flat"],
+                tooltip_text: _("Overwrite with current settings")
+            });
+            overwriteButton.connect("clicked", () => {
+                profiles.saveProfile(name);
+                updateSubtitles();
+            });
+            row.add_suffix(overwriteButton);
+
+            const deleteButton = new Gtk.Button({
+                icon_name: "user-trash-symbolic",
+                valign: Gtk.Align.CENTER,
+                css_classes: ["flat"],
+                tooltip_text: _("Delete profile")
+            });
+            deleteButton.connect("clicked", () => {
+                profiles.deleteProfile(name);
+                refreshList();
+            });
+            row.add_suffix(deleteButton);
+
+            profilesGroup.add(row);
+            rows.set(name, row);
+        });
+
+        updateSubtitles();
+    };
+
+    const nameRow = new Adw.EntryRow({
+        title: _("Save current settings as…"),
+        show_apply_button: true
+    });
+    nameRow.connect("apply", () => {
+        const name = nameRow.get_text().trim();
+        if (!name) return;
+
+        try {
+            profiles.saveProfile(name);
+            nameRow.set_text("");
+            refreshList();
+        } catch (e) {
+            log(`[CSSGnomme:Prefs] Cannot save profile: ${e.message}`);
+        }
+    });
+    saveGroup.add(nameRow);
+
+    profilesPage.add(_createConfigTransferGroup(profiles, colorPalette, window));
+
+    // Any key change may add or remove drift from the active profile
+    signalsHandler.add([settings, "changed", () => updateSubtitles()]);
+    refreshList();
+
+    return profilesPage;
+}
+
 export default class CSSGnommePreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
@@ -402,6 +985,69 @@ export default class CSSGnommePreferences extends ExtensionPreferences {
         autoDetectRadiusRow.set_activatable_widget(autoDetectRadiusSwitch);
         themeIntegrationGroup.add(autoDetectRadiusRow);
 
+        // libadwaita named colors in ~/.config/gtk-4.0/gtk.css
+        const gtk4UserColorsRow = new Adw.ActionRow({
+            title: _("Recolor libadwaita apps"),
+            subtitle: _("Write accent, window, headerbar and popover colors to ~/.config/gtk-4.0/gtk.css")
+        });
+        const gtk4UserColorsSwitch = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+        settings.bind("gtk4-user-colors", gtk4UserColorsSwitch, "active", Gio.SettingsBindFlags.DEFAULT);
+        gtk4UserColorsRow.add_suffix(gtk4UserColorsSwitch);
+        gtk4UserColorsRow.set_activatable_widget(gtk4UserColorsSwitch);
+        themeIntegrationGroup.add(gtk4UserColorsRow);
+
+        // org.gnome.desktop.interface accent-color (GNOME 47+)
+        const gnomeAccentRow = new Adw.ActionRow({
+            title: _("Set GNOME accent color"),
+            subtitle: _("Use the named system accent closest to the wallpaper accent (GNOME 47+)")
+        });
+        const gnomeAccentSwitch = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+        settings.bind("sync-gnome-accent-color", gnomeAccentSwitch, "active", Gio.SettingsBindFlags.DEFAULT);
+        gnomeAccentRow.add_suffix(gnomeAccentSwitch);
+        gnomeAccentRow.set_activatable_widget(gnomeAccentSwitch);
+        themeIntegrationGroup.add(gnomeAccentRow);
+
+        // Shell stylesheet backend - user-theme extension or St.ThemeContext
+        const shellBackendValues = Constants.SHELL_STYLESHEET.backends;
+        const shellBackendLabels = {
+            auto: _("Automatic"),
+            "user-theme": _("User Themes extension"),
+            "theme-context": _("Direct (no extension needed)")
+        };
+        const shellBackendList = new Gtk.StringList();
+        shellBackendValues.forEach(value => shellBackendList.append(shellBackendLabels[value]));
+
+        const shellBackendRow = new Adw.ComboRow({
+            title: _("Shell Stylesheet"),
+            subtitle: _("How the overlay's Shell CSS is loaded (automatic uses User Themes when it is active)"),
+            model: shellBackendList
+        });
+        shellBackendRow.set_selected(
+            Math.max(0, shellBackendValues.indexOf(settings.get_string("shell-stylesheet-backend")))
+        );
+
+        signalsHandler.add([
+            shellBackendRow,
+            "notify::selected",
+            () => {
+                const value = shellBackendValues[shellBackendRow.get_selected()];
+                if (value && value !== settings.get_string("shell-stylesheet-backend")) {
+                    settings.set_string("shell-stylesheet-backend", value);
+                }
+            }
+        ]);
+        signalsHandler.add([
+            settings,
+            "changed::shell-stylesheet-backend",
+            () => {
+                const index = shellBackendValues.indexOf(settings.get_string("shell-stylesheet-backend"));
+                if (index >= 0 && index !== shellBackendRow.get_selected()) {
+                    shellBackendRow.set_selected(index);
+                }
+            }
+        ]);
+        themeIntegrationGroup.add(shellBackendRow);
+
         overlayPage.add(themeIntegrationGroup);
 
         // Automatic Color Extraction Group
@@ -423,6 +1069,17 @@ export default class CSSGnommePreferences extends ExtensionPreferences {
         autoExtractRow.activatable_widget = autoExtractSwitch;
         colorExtractionGroup.add(autoExtractRow);
 
+        // Theme color variant (ZorinRed, Orchis-Purple, Yaru-olive, ...) follows wallpaper accent
+        const themeColorVariantRow = new Adw.ActionRow({
+            title: _("Match theme color to wallpaper"),
+            subtitle: _("Switch to the color variant of the base theme closest to the wallpaper accent")
+        });
+        const themeColorVariantSwitch = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+        settings.bind("auto-theme-color-variant", themeColorVariantSwitch, "active", Gio.SettingsBindFlags.DEFAULT);
+        themeColorVariantRow.add_suffix(themeColorVariantSwitch);
+        themeColorVariantRow.set_activatable_widget(themeColorVariantSwitch);
+        colorExtractionGroup.add(themeColorVariantRow);
+
         // Manual extract button
         const extractButtonRow = new Adw.ActionRow({
             title: _("Extract Colors Now"),
@@ -443,6 +1100,106 @@ export default class CSSGnommePreferences extends ExtensionPreferences {
 
         overlayPage.add(colorExtractionGroup);
 
+        // Swatch Assignment Group - which named wallpaper swatch drives each role
+        const swatchGroup = new Adw.PreferencesGroup({
+            title: _("Swatch Assignment"),
+            description: _("Choose which wallpaper swatch colors each element. Automatic keeps the built-in choice.")
+        });
+
+        const swatchValues = ["auto", ...Object.keys(Constants.PALETTE_SWATCHES.targets)];
+        const swatchLabels = {
+            auto: _("Automatic"),
+            Vibrant: _("Vibrant"),
+            DarkVibrant: _("Dark Vibrant"),
+            LightVibrant: _("Light Vibrant"),
+            Muted: _("Muted"),
+            DarkMuted: _("Dark Muted"),
+            LightMuted: _("Light Muted")
+        };
+        const swatchRoles = [
+            ["panel", _("Panel"), _("Automatic: background color behind the panel")],
+            ["popup", _("Popup Menus"), _("Automatic: wallpaper accent")],
+            ["border", _("Borders"), _("Applied in Full Auto Mode. Automatic: wallpaper accent")],
+            ["shadow", _("Shadows"), _("Applied in Full Auto Mode. Automatic: wallpaper accent")]
+        ];
+
+        swatchRoles.forEach(([role, title, subtitle]) => {
+            const key = Constants.PALETTE_SWATCHES.roles[role];
+            const swatchList = new Gtk.StringList();
+            swatchValues.forEach(value => swatchList.append(swatchLabels[value]));
+
+            const swatchRow = new Adw.ComboRow({ title, subtitle, model: swatchList });
+            swatchRow.set_selected(Math.max(0, swatchValues.indexOf(settings.get_string(key))));
+
+            signalsHandler.add([
+                swatchRow,
+                "notify::selected",
+                () => {
+                    const value = swatchValues[swatchRow.get_selected()];
+                    if (value && value !== settings.get_string(key)) {
+                        settings.set_string(key, value);
+                    }
+                }
+            ]);
+            signalsHandler.add([
+                settings,
+                `changed::${key}`,
+                () => {
+                    const index = swatchValues.indexOf(settings.get_string(key));
+                    if (index >= 0 && index !== swatchRow.get_selected()) {
+                        swatchRow.set_selected(index);
+                    }
+                }
+            ]);
+
+            swatchGroup.add(swatchRow);
+        });
+
+        // Color harmony - popup / border / hover colors derived from the accent hue
+        const harmonyValues = ["none", ...Object.keys(Constants.COLOR_HARMONY.modes)];
+        const harmonyLabels = {
+            none: _("None (accent only)"),
+            monochromatic: _("Monochromatic"),
+            analogous: _("Analogous"),
+            complementary: _("Complementary"),
+            "split-complementary": _("Split Complementary"),
+            triadic: _("Triadic")
+        };
+        const harmonyList = new Gtk.StringList();
+        harmonyValues.forEach(value => harmonyList.append(harmonyLabels[value]));
+
+        const harmonyRow = new Adw.ComboRow({
+            title: _("Color Harmony"),
+            subtitle: _("Derive popup, border and hover colors from the wallpaper accent hue"),
+            model: harmonyList
+        });
+        harmonyRow.set_selected(Math.max(0, harmonyValues.indexOf(settings.get_string("color-harmony"))));
+
+        signalsHandler.add([
+            harmonyRow,
+            "notify::selected",
+            () => {
+                const value = harmonyValues[harmonyRow.get_selected()];
+                if (value && value !== settings.get_string("color-harmony")) {
+                    settings.set_string("color-harmony", value);
+                }
+            }
+        ]);
+        signalsHandler.add([
+            settings,
+            "changed::color-harmony",
+            () => {
+                const index = harmonyValues.indexOf(settings.get_string("color-harmony"));
+                if (index >= 0 && index !== harmonyRow.get_selected()) {
+                    harmonyRow.set_selected(index);
+                }
+            }
+        ]);
+
+        swatchGroup.add(harmonyRow);
+
+        overlayPage.add(swatchGroup);
+
         // Manual Controls Group
         const manualControlGroup = new Adw.PreferencesGroup({
             title: _("Manual Controls") //,
@@ -1297,6 +2054,27 @@ export default class CSSGnommePreferences extends ExtensionPreferences {
         autoSwitchColorSchemeRow.activatable_widget = autoSwitchColorSchemeSwitch;
         automationGroup.add(autoSwitchColorSchemeRow);
 
+        // Pre-generated Light/Dark overlays (only used by the auto-switch above)
+        const dualOverlaysRow = new Adw.ActionRow({
+            title: _("Keep Light and Dark overlays"),
+            subtitle: _(
+                "Generates CSSGnomme-Light and CSSGnomme-Dark ahead of time, each with its own theme variant and wallpaper colors. The Dark/Light toggle then switches instantly instead of rebuilding the overlay."
+            )
+        });
+        const dualOverlaysSwitch = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+        settings.bind("dual-overlays", dualOverlaysSwitch, "active", Gio.SettingsBindFlags.DEFAULT);
+        dualOverlaysRow.add_suffix(dualOverlaysSwitch);
+        dualOverlaysRow.set_activatable_widget(dualOverlaysSwitch);
+        dualOverlaysRow.sensitive = settings.get_boolean("auto-switch-color-scheme");
+        signalsHandler.add([
+            settings,
+            "changed::auto-switch-color-scheme",
+            () => {
+                dualOverlaysRow.sensitive = settings.get_boolean("auto-switch-color-scheme");
+            }
+        ]);
+        automationGroup.add(dualOverlaysRow);
+
         // Full Auto Mode switch
         const fullAutoModeRow = new Adw.ActionRow({
             title: _("Full Auto Mode"),
@@ -1413,6 +2191,14 @@ export default class CSSGnommePreferences extends ExtensionPreferences {
 
         aboutPage.add(howItWorksGroup);
 
+        // === PALETTE CACHE PAGE ===
+        // Own ColorPalette instance manages the shared cache file (destroyed on window close)
+        let cachePalette = new ColorPalette(null, settings, interfaceSettings);
+        window.add(_createPaletteCachePage(cachePalette));
+
+        // === PROFILES PAGE ===
+        window.add(_createProfilesPage(new SettingsProfiles(settings), settings, signalsHandler, cachePalette, window));
+
         window.add(aboutPage);
 
         // Cleanup settings connections when preferences window closes
@@ -1449,6 +2235,12 @@ export default class CSSGnommePreferences extends ExtensionPreferences {
                 }
             }
 
+            // Stop cache file monitor and flush pending cache changes
+            if (cachePalette) {
+                cachePalette.destroy();
+                cachePalette = null;
+            }
+
             log("[CSSGnomme:Prefs] Cleanup complete");
             return false; // Don't prevent window close
         });
@@ -0,0 +1,466 @@
+/**
+ * settingsProfiles.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * Named settings profiles (presets) and configuration import/export as JSON
+ */
+
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+
+import { Constants } from "./constants.js";
+import { ThemeUtils } from "./themeUtils.js";
+
+Gio._promisify(Gio.File.prototype, "load_contents_async", "load_contents_finish");
+Gio._promisify(Gio.File.prototype, "replace_contents_bytes_async", "replace_contents_finish");
+
+/* settingsProfiles.js
+ *
+ * A profile is a snapshot of every CSS-affecting key (Constants.SETTINGS_PROFILES.keys),
+ * kept in ~/.local/share/cssgnomme/profiles.json. Used by preferences (manage) and by the
+ * panel indicator (switch); the name of the last saved/applied profile is the active-profile key.
+ *
+ * A configuration document (Constants.CONFIG_TRANSFER) is the shareable counterpart: all keys,
+ * the source theme and optionally the pinned palette, validated in full before anything is applied.
+ */
+
+export class SettingsProfiles {
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Logger} logger - Logger instance (optional, prefs process has none)
+     */
+    constructor(settings, logger = null) {
+        this._settings = settings;
+        this._filePath = `${GLib.get_user_data_dir()}/cssgnomme/${Constants.SETTINGS_PROFILES.fileName}`;
+
+        if (logger) {
+            this._logger = logger;
+        } else {
+            this._logger = {
+                info: msg => log(`[CSSGnomme:Profiles:INFO] ${msg}`),
+                warn: msg => log(`[CSSGnomme:Profiles:WARN] ${msg}`),
+                error: msg => log(`[CSSGnomme:Profiles:ERROR] ${msg}`),
+                debug: msg => log(`[CSSGnomme:Profiles:DEBUG] ${msg}`)
+            };
+        }
+    }
+
+    // ===== PROFILE ACCESS =====
+
+    /**
+     * Profile names, sorted alphabetically
+     * @returns {Array} Names
+     */
+    getProfileNames() {
+        return Object.keys(this._load().profiles).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * All stored profiles in one read (for callers that need several)
+     * @returns {Object} Null-prototype object, name → {modified, settings} (check with Object.hasOwn)
+     */
+    getProfiles() {
+        return this._load().profiles;
+    }
+
+    /**
+     * Stored profile
+     * @param {string} name - Profile name
+     * @returns {Object|null} {modified: ISO date, settings: {key: value}} or null
+     */
+    getProfile(name) {
+        const { profiles } = this._load();
+        return Object.hasOwn(profiles, name) ? profiles[name] : null;
+    }
+
+    /**
+     * Name of last saved/applied profile
+     * @returns {string} Profile name or "" if none
+     */
+    getActiveProfileName() {
+        return this._settings.get_string("active-profile");
+    }
+
+    // ===== SAVE / APPLY / DELETE =====
+
+    /**
+     * Save current settings as profile (overwrites existing profile of same name)
+     * The saved profile becomes active
+     * @param {string} name - Profile name
+     * @returns {boolean} True if written
+     * @throws {Error} If name is empty
+     */
+    saveProfile(name) {
+        name = name?.trim();
+        if (!name) {
+            throw new Error("Profile name must not be empty");
+        }
+
+        const data = this._load();
+        data.profiles[name] = {
+            modified: GLib.DateTime.new_now_local().format_iso8601(),
+            settings: this.snapshotSettings()
+        };
+
+        if (!this._save(data)) return false;
+
+        this._settings.set_string("active-profile", name);
+        this._logger.info(`Saved profile "${name}"`);
+        return true;
+    }
+
+    /**
+     * Apply profile to settings in one batch (settings.delay()/apply())
+     * Listeners see a single burst of changes, so the overlay is regenerated once
+     * Keys unknown to this version or with values out of range are skipped
+     * @param {string} name - Profile name
+     * @returns {boolean} True if profile exists and was applied
+     */
+    applyProfile(name) {
+        const profile = this.getProfile(name);
+        if (!profile) {
+            this._logger.warn(`Profile "${name}" not found`);
+            return false;
+        }
+
+        let skipped = 0;
+        this._settings.delay();
+        try {
+            for (const [key, value] of Object.entries(profile.settings)) {
+                const variant = Constants.SETTINGS_PROFILES.keys.includes(key) ? this._toVariant(key, value) : null;
+                if (variant) {
+                    this._settings.set_value(key, variant);
+                } else {
+                    skipped++;
+                }
+            }
+            this._settings.set_string("active-profile", name);
+        } finally {
+            this._settings.apply();
+        }
+
+        this._logger.info(`Applied profile "${name}"${skipped > 0 ? ` (${skipped} invalid keys skipped)` : ""}`);
+        return true;
+    }
+
+    /**
+     * Delete profile (clears active-profile if it was active)
+     * @param {string} name - Profile name
+     * @returns {boolean} True if deleted
+     */
+    deleteProfile(name) {
+        const data = this._load();
+        if (!Object.hasOwn(data.profiles, name)) return false;
+
+        delete data.profiles[name];
+        if (!this._save(data)) return false;
+
+        if (this.getActiveProfileName() === name) {
+            this._settings.set_string("active-profile", "");
+        }
+        this._logger.info(`Deleted profile "${name}"`);
+        return true;
+    }
+
+    // ===== DRIFT DETECTION =====
+
+    /**
+     * Current values of all profile keys
+     * @returns {Object} {key: value} (GVariant unpacked to JS)
+     */
+    snapshotSettings() {
+        const snapshot = {};
+        for (const key of Constants.SETTINGS_PROFILES.keys) {
+            if (this._settings.settings_schema.has_key(key)) {
+                snapshot[key] = this._settings.get_value(key).recursiveUnpack();
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Keys whose current value differs from the profile
+     * @param {string} name - Profile name (defaults to active profile)
+     * @param {Object|null} profile - Profile already read via getProfiles() (skips reading the file)
+     * @returns {Array} Changed keys (empty if no such profile)
+     */
+    getDriftedKeys(name = this.getActiveProfileName(), profile = null) {
+        profile ??= name ? this.getProfile(name) : null;
+        if (!profile) return [];
+
+        const current = this.snapshotSettings();
+        return Object.keys(current).filter(
+            key => key in profile.settings && JSON.stringify(current[key]) !== JSON.stringify(profile.settings[key])
+        );
+    }
+
+    // ===== IMPORT / EXPORT =====
+
+    /**
+     * Build configuration document from current settings
+     * @param {Object|null} pinnedColors - Pinned colors of current wallpaper {accent?, panel?, popup?} as [r, g, b]
+     * @returns {Object} {format, version, exported, sourceTheme, settings, pinnedPalette}
+     */
+    exportConfiguration(pinnedColors = null) {
+        const { format, formatVersion } = Constants.CONFIG_TRANSFER;
+
+        const settings = {};
+        for (const key of this._getTransferKeys()) {
+            settings[key] = this._settings.get_value(key).recursiveUnpack();
+        }
+
+        const pinnedPalette = pinnedColors
+            ? Object.fromEntries(Object.entries(pinnedColors).map(([role, rgb]) => [role, ThemeUtils.rgbToHex(...rgb)]))
+            : null;
+
+        return {
+            format,
+            version: formatVersion,
+            exported: GLib.DateTime.new_now_local().format_iso8601(),
+            sourceTheme: this._settings.get_string("overlay-source-theme"),
+            settings,
+            pinnedPalette
+        };
+    }
+
+    /**
+     * Validate configuration document and apply it in one batch
+     * Nothing is changed unless the whole document is valid; keys missing from it are reset to defaults.
+     * A source theme that is not installed here is skipped (the current one stays) and reported in warnings
+     * @param {Object} document - Parsed configuration document
+     * @param {Array} installedThemes - Theme names usable as overlay source
+     * @returns {Object} {pinnedPalette: {role: [r, g, b]} or null, resetKeys: Array, warnings: Array}
+     * @throws {Error} If format, version or any value is invalid (message lists all problems)
+     */
+    importConfiguration(document, installedThemes) {
+        const { format, formatVersion, colorKeys } = Constants.CONFIG_TRANSFER;
+
+        if (!document || typeof document !== "object" || document.format !== format) {
+            throw new Error(`Not a ${format} document`);
+        }
+        if (!Number.isInteger(document.version) || document.version < 1 || document.version > formatVersion) {
+            throw new Error(`Unsupported ${format} version ${document.version} (supported: 1-${formatVersion})`);
+        }
+
+        const values = document.settings;
+        const errors = [];
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+            errors.push("settings must be an object");
+        }
+        if (document.sourceTheme !== undefined && typeof document.sourceTheme !== "string") {
+            errors.push("sourceTheme must be a string");
+        }
+        // Per-key checks below need a settings object
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration: ${errors.join("; ")}`);
+        }
+
+        // Validate everything first - a half-applied configuration is worse than none
+        const variants = new Map();
+        const resetKeys = [];
+        for (const key of this._getTransferKeys()) {
+            if (!(key in values)) {
+                resetKeys.push(key);
+                continue;
+            }
+
+            const variant = this._toVariant(key, values[key]);
+            if (!variant) {
+                errors.push(`${key}: invalid value ${JSON.stringify(values[key])}`);
+            } else if (colorKeys.includes(key) && !ThemeUtils.parseColor(values[key])) {
+                errors.push(`${key}: invalid color "${values[key]}"`);
+            } else {
+                variants.set(key, variant);
+            }
+        }
+
+        const pinnedPalette = this._parsePinnedPalette(document.pinnedPalette, errors);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration: ${errors.join("; ")}`);
+        }
+
+        // "" = no source theme chosen yet, anything else has to exist on this machine
+        const warnings = [];
+        let sourceTheme = document.sourceTheme;
+        if (sourceTheme && !installedThemes.includes(sourceTheme)) {
+            warnings.push(`sourceTheme: "${sourceTheme}" is not installed, keeping the current source theme`);
+            sourceTheme = undefined;
+        }
+
+        this._settings.delay();
+        try {
+            variants.forEach((variant, key) => this._settings.set_value(key, variant));
+            resetKeys.forEach(key => this._settings.reset(key));
+            if (typeof sourceTheme === "string") {
+                this._settings.set_string("overlay-source-theme", sourceTheme);
+            }
+            // Imported look is not a saved profile
+            this._settings.set_string("active-profile", "");
+        } finally {
+            this._settings.apply();
+        }
+
+        this._logger.info(
+            `Imported configuration: ${variants.size} keys set, ${resetKeys.length} reset to defaults` +
+                (pinnedPalette ? `, pinned palette: ${Object.keys(pinnedPalette).join(", ")}` : "")
+        );
+        warnings.forEach(warning => this._logger.warn(`Import: ${warning}`));
+        return { pinnedPalette, resetKeys, warnings };
+    }
+
+    /**
+     * Write configuration document to file
+     * @param {Gio.File} file - Target file
+     * @param {Object|null} pinnedColors - See exportConfiguration
+     * @returns {Promise<void>}
+     */
+    async exportToFile(file, pinnedColors = null) {
+        const json = JSON.stringify(this.exportConfiguration(pinnedColors), null, 2);
+        await file.replace_contents_bytes_async(
+            new GLib.Bytes(new TextEncoder().encode(json)),
+            null,
+            false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION,
+            null
+        );
+        this._logger.info(`Exported configuration to ${file.get_path()}`);
+    }
+
+    /**
+     * Read configuration document from file and import it
+     * @param {Gio.File} file - Source file
+     * @param {Array} installedThemes - See importConfiguration
+     * @returns {Promise<Object>} See importConfiguration
+     * @throws {Error} If file is unreadable, not JSON or invalid
+     */
+    async importFromFile(file, installedThemes) {
+        const [contents] = await file.load_contents_async(null);
+
+        let document;
+        try {
+            document = JSON.parse(new TextDecoder().decode(contents));
+        } catch (e) {
+            throw new Error(`${file.get_basename()} is not valid JSON: ${e.message}`);
+        }
+        return this.importConfiguration(document, installedThemes);
+    }
+
+    /**
+     * Schema keys carried by a configuration document
+     * @returns {Array} Sorted keys
+     * @private
+     */
+    _getTransferKeys() {
+        const { excludedKeys } = Constants.CONFIG_TRANSFER;
+        return this._settings.settings_schema
+            .list_keys()
+            .filter(key => !excludedKeys.includes(key))
+            .sort();
+    }
+
+    /**
+     * Parse pinnedPalette of a configuration document
+     * @param {*} pinnedPalette - {accent?, panel?, popup?} as color strings, or null/undefined
+     * @param {Array} errors - Problems are appended here
+     * @returns {Object|null} {role: [r, g, b]} or null if none
+     * @private
+     */
+    _parsePinnedPalette(pinnedPalette, errors) {
+        if (pinnedPalette === undefined || pinnedPalette === null) return null;
+        if (typeof pinnedPalette !== "object" || Array.isArray(pinnedPalette)) {
+            errors.push("pinnedPalette must be an object");
+            return null;
+        }
+
+        const parsed = {};
+        for (const [role, color] of Object.entries(pinnedPalette)) {
+            const rgba = ThemeUtils.parseColor(color);
+            if (!Constants.CACHE_PERSISTENCE.pinnedColorRoles.includes(role)) {
+                errors.push(`pinnedPalette.${role}: unknown color role`);
+            } else if (!rgba || ![rgba.r, rgba.g, rgba.b].every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+                errors.push(`pinnedPalette.${role}: invalid color "${color}"`);
+            } else {
+                parsed[role] = [rgba.r, rgba.g, rgba.b];
+            }
+        }
+        return Object.keys(parsed).length > 0 ? parsed : null;
+    }
+
+    // ===== STORAGE =====
+
+    /**
+     * Build GVariant for key from stored JSON value
+     * @param {string} key - Settings key
+     * @param {*} value - Stored value
+     * @returns {GLib.Variant|null} Variant or null if key unknown / value invalid
+     * @private
+     */
+    _toVariant(key, value) {
+        if (!this._settings.settings_schema.has_key(key)) {
+            return null;
+        }
+
+        const schemaKey = this._settings.settings_schema.get_key(key);
+        const typeString = schemaKey.get_value_type().dup_string();
+
+        // GLib.Variant coerces silently ("abc" → NaN, "no" → true) - check JS type first
+        const jsTypes = { b: "boolean", d: "number", i: "number", s: "string" };
+        if (typeString in jsTypes && typeof value !== jsTypes[typeString]) return null;
+        if (typeString === "i" && !Number.isInteger(value)) return null;
+        if (typeString === "d" && !Number.isFinite(value)) return null;
+
+        try {
+            const variant = new GLib.Variant(typeString, value);
+            return schemaKey.range_check(variant) ? variant : null;
+        } catch (e) {
+            this._logger.debug(`Invalid value for ${key}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Read profile file
+     * Profiles are a null-prototype object: names are user input, so "__proto__" or "toString"
+     * must be plain keys rather than Object.prototype members
+     * @returns {Object} {version, profiles} (empty on missing/unreadable file)
+     * @private
+     */
+    _load() {
+        const empty = { version: Constants.SETTINGS_PROFILES.formatVersion, profiles: Object.create(null) };
+        const file = Gio.File.new_for_path(this._filePath);
+        if (!file.query_exists(null)) return empty;
+
+        try {
+            const [, contents] = file.load_contents(null);
+            const data = JSON.parse(new TextDecoder().decode(contents));
+            if (!data || typeof data.profiles !== "object" || data.profiles === null) {
+                throw new Error("missing profiles object");
+            }
+            data.profiles = Object.assign(Object.create(null), data.profiles);
+            return data;
+        } catch (e) {
+            this._logger.error(`Cannot read ${this._filePath}: ${e.message}`);
+            return empty;
+        }
+    }
+
+    /**
+     * Write profile file
+     * @param {Object} data - {version, profiles}
+     * @returns {boolean} True on success
+     * @private
+     */
+    _save(data) {
+        try {
+            GLib.mkdir_with_parents(GLib.path_get_dirname(this._filePath), parseInt("0755", 8));
+            const file = Gio.File.new_for_path(this._filePath);
+            const bytes = new TextEncoder().encode(JSON.stringify(data, null, 2));
+            file.replace_contents(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+            return true;
+        } catch (e) {
+            this._logger.error(`Cannot write ${this._filePath}: ${e.message}`);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * shellStylesheet.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * Shell stylesheet backends: user-theme extension or St.ThemeContext
+ */
+
+import Gio from "gi://Gio";
+import St from "gi://St";
+
+import * as Main from "resource:///org/gnome/shell/ui/main.js";
+import { ExtensionState } from "resource:///org/gnome/shell/misc/extensionUtils.js";
+
+import { Constants } from "./constants.js";
+import { GlobalSignalsHandler } from "./signalHandler.js";
+
+/* shellStylesheet.js
+ *
+ * The overlay's gnome-shell.css reaches the shell through one of two backends:
+ * - "user-theme": sets the user-theme extension's theme name to the overlay (replaces the shell theme)
+ * - "theme-context": loads the file as custom stylesheet of the current St.Theme (layered on top of
+ *   whatever shell theme is active; Main.loadTheme() carries custom stylesheets over to the new theme)
+ * The shell-stylesheet-backend setting picks one, "auto" prefers user-theme while that extension is active.
+ * Override components (gnome-shell/components/*.css) are always custom stylesheets, so a changed component
+ * is swapped on its own instead of reloading the whole theme.
+ */
+
+// ExtensionState.ENABLED was renamed to ACTIVE in GNOME 47
+const EXTENSION_ACTIVE = ExtensionState.ACTIVE ?? ExtensionState.ENABLED;
+
+export class ShellStylesheet {
+    /**
+     * @param {Gio.Settings} settings - Extension settings (shell-stylesheet-backend)
+     * @param {Logger} logger - Logger instance (optional)
+     */
+    constructor(settings, logger = null) {
+        this._settings = settings;
+
+        if (logger) {
+            this._logger = logger;
+        } else {
+            this._logger = {
+                info: msg => log(`[CSSGnomme:ShellStylesheet:INFO] ${msg}`),
+                warn: msg => log(`[CSSGnomme:ShellStylesheet:WARN] ${msg}`),
+                error: msg => log(`[CSSGnomme:ShellStylesheet:ERROR] ${msg}`),
+                debug: msg => log(`[CSSGnomme:ShellStylesheet:DEBUG] ${msg}`)
+            };
+        }
+
+        this._userThemeSettings = null;
+
+        // State of last apply() - backend null = nothing applied
+        this._themeName = null;
+        this._stylesheetFile = null;
+        this._componentFiles = [];
+        this._activeBackend = null;
+        this._replacedUserTheme = null; // user-theme name we replaced (restored on backend switch)
+
+        this._signalsHandler = new GlobalSignalsHandler();
+        this._signalsHandler.add(
+            [this._settings, "changed::shell-stylesheet-backend", () => this._onBackendChanged()],
+            [
+                Main.extensionManager,
+                "extension-state-changed",
+                (manager, extension) => {
+                    if (extension.uuid === Constants.SHELL_STYLESHEET.userThemeUuid) {
+                        this._onBackendChanged();
+                    }
+                }
+            ]
+        );
+    }
+
+    /**
+     * Backend currently holding the stylesheet
+     * @returns {string|null} "user-theme", "theme-context" or null if nothing applied
+     */
+    get activeBackend() {
+        return this._activeBackend;
+    }
+
+    /**
+     * Backend the setting resolves to right now
+     * "user-theme" falls back to "theme-context" while the user-theme extension is not active
+     * @returns {string} "user-theme" or "theme-context"
+     */
+    resolveBackend() {
+        const choice = this._settings.get_string("shell-stylesheet-backend");
+        if (choice === "theme-context") return "theme-context";
+
+        if (this._isUserThemeAvailable()) return "user-theme";
+
+        if (choice === "user-theme") {
+            this._logger.warn("user-theme extension not active - using St.ThemeContext backend");
+        }
+        return "theme-context";
+    }
+
+    /**
+     * Theme name the user-theme extension currently has set
+     * @returns {string|null} Theme name ("" = default Shell theme) or null if the user-theme schema is not installed
+     */
+    getUserThemeName() {
+        return this._getUserThemeSettings()?.get_string("name") ?? null;
+    }
+
+    // ===== APPLY / RELOAD / REMOVE =====
+
+    /**
+     * Make stylesheet active through the resolved backend (reloads if already active)
+     * @param {string} themeName - Overlay theme name (user-theme backend)
+     * @param {string} stylesheetPath - Absolute path of gnome-shell.css (theme-context backend)
+     * @param {Array} componentPaths - Component stylesheets loaded on top, in order
+     */
+    apply(themeName, stylesheetPath, componentPaths = []) {
+        const backend = this.resolveBackend();
+        if (this._activeBackend && this._activeBackend !== backend) {
+            this._unload(this._replacedUserTheme ?? "");
+        }
+
+        // Components dropped since the last apply would otherwise stay loaded
+        this._componentFiles.forEach(file => this._unloadCustomStylesheet(file));
+
+        // Same backend, other overlay (Light/Dark switch): the previous gnome-shell.css would stay loaded
+        if (this._stylesheetFile && this._stylesheetFile.get_path() !== stylesheetPath) {
+            this._unloadCustomStylesheet(this._stylesheetFile);
+        }
+
+        this._themeName = themeName;
+        this._stylesheetFile = Gio.File.new_for_path(stylesheetPath);
+        this._componentFiles = componentPaths.map(path => Gio.File.new_for_path(path));
+        this._load(backend);
+    }
+
+    /**
+     * Re-read rewritten component stylesheets without reloading the theme (no-op if nothing applied)
+     * A reloaded stylesheet becomes St's newest one, so the components after the first changed one are
+     * reloaded too - the load order stays the apply() order
+     * @param {Array} componentPaths - Paths passed to apply() whose content changed
+     */
+    swapComponents(componentPaths) {
+        if (!this._activeBackend || componentPaths.length === 0) return;
+
+        componentPaths
+            .filter(path => !this._componentFiles.some(component => component.get_path() === path))
+            .forEach(path => this._logger.debug(`Not swapping ${path} - not part of the applied stylesheet`));
+
+        const firstIndex = this._componentFiles.findIndex(component => componentPaths.includes(component.get_path()));
+        if (firstIndex === -1) return;
+
+        const reloaded = this._loadComponents(this._componentFiles.slice(firstIndex));
+        this._logger.debug(
+            `Hot-swapped ${componentPaths.length} Shell components (${reloaded} reloaded to keep load order)`
+        );
+    }
+
+    /**
+     * Take stylesheet out of the shell
+     * The user-theme name is reset even if nothing was applied in this session (overlay left active by
+     * a previous session), but only while it still names our overlay
+     * @param {string} themeName - Overlay theme name
+     * @param {string} restoreThemeName - user-theme name to restore ("" = default shell theme)
+     */
+    remove(themeName, restoreThemeName = "") {
+        this._themeName = themeName;
+        this._unload(restoreThemeName);
+        this._themeName = null;
+        this._stylesheetFile = null;
+        this._componentFiles = [];
+    }
+
+    /**
+     * Unload custom stylesheets and disconnect signals (extension disable)
+     * A user-theme name is left as is, like GTK theme settings
+     */
+    destroy() {
+        if (this._activeBackend) {
+            this._componentFiles.forEach(file => this._unloadCustomStylesheet(file));
+            if (this._activeBackend === "theme-context") {
+                this._unloadCustomStylesheet(this._stylesheetFile);
+            }
+            this._activeBackend = null;
+        }
+
+        if (this._signalsHandler) {
+            this._signalsHandler.destroy();
+            this._signalsHandler = null;
+        }
+        this._userThemeSettings = null;
+    }
+
+    // ===== BACKENDS =====
+
+    /**
+     * Load stylesheet through backend
+     * @param {string} backend - "user-theme" or "theme-context"
+     * @private
+     */
+    _load(backend) {
+        try {
+            if (backend === "user-theme") {
+                const userThemeSettings = this._getUserThemeSettings();
+                const currentName = userThemeSettings.get_string("name");
+                if (currentName !== this._themeName) {
+                    // Keep the first replaced name (a Light/Dark overlay switch replaces the other overlay)
+                    this._replacedUserTheme ??= currentName;
+                    userThemeSettings.set_string("name", this._themeName);
+                }
+                // Force immediate reload (user-theme reacts to the name change, this skips its delay)
+                Main.loadTheme();
+            } else {
+                this._reloadCustomStylesheet(this._stylesheetFile);
+            }
+            this._loadComponents(this._componentFiles);
+
+            this._activeBackend = backend;
+            this._logger.info(`Shell stylesheet applied via ${backend}`);
+        } catch (e) {
+            this._activeBackend = null;
+            this._logger.error(`Failed to apply shell stylesheet via ${backend}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Unload stylesheet from every backend that may hold it
+     * @param {string} restoreThemeName - user-theme name to restore
+     * @private
+     */
+    _unload(restoreThemeName) {
+        if (this._stylesheetFile) {
+            this._unloadCustomStylesheet(this._stylesheetFile);
+        }
+        this._componentFiles.forEach(file => this._unloadCustomStylesheet(file));
+
+        const userThemeSettings = this._getUserThemeSettings();
+        if (userThemeSettings && this._themeName && userThemeSettings.get_string("name") === this._themeName) {
+            userThemeSettings.set_string("name", restoreThemeName);
+            this._logger.info(`user-theme restored to "${restoreThemeName}"`);
+        }
+
+        this._activeBackend = null;
+        this._replacedUserTheme = null;
+    }
+
+    /**
+     * (Re)load component stylesheets in order - one that fails to parse does not stop the others
+     * @param {Array} files - Component Gio.Files
+     * @returns {number} Components loaded
+     * @private
+     */
+    _loadComponents(files) {
+        let loaded = 0;
+        files.forEach(file => {
+            try {
+                this._reloadCustomStylesheet(file);
+                loaded++;
+            } catch (e) {
+                this._logger.warn(`Failed to load ${file.get_path()}: ${e.message}`);
+            }
+        });
+        return loaded;
+    }
+
+    /**
+     * (Re)load stylesheet file into current St.Theme
+     * @param {Gio.File} file - Stylesheet
+     * @throws {Error} If the stylesheet cannot be parsed
+     * @private
+     */
+    _reloadCustomStylesheet(file) {
+        const theme = St.ThemeContext.get_for_stage(global.stage).get_theme();
+        theme.unload_stylesheet(file);
+        theme.load_stylesheet(file);
+    }
+
+    /**
+     * Remove stylesheet file from current St.Theme (no-op if not loaded)
+     * @param {Gio.File} file - Stylesheet
+     * @private
+     */
+    _unloadCustomStylesheet(file) {
+        try {
+            St.ThemeContext.get_for_stage(global.stage).get_theme().unload_stylesheet(file);
+        } catch (e) {
+            this._logger.warn(`Failed to unload shell stylesheet: ${e.message}`);
+        }
+    }
+
+    /**
+     * Setting or user-theme extension state changed - move an applied stylesheet to the new backend
+     * @private
+     */
+    _onBackendChanged() {
+        if (!this._activeBackend) return;
+
+        const backend = this.resolveBackend();
+        if (backend === this._activeBackend) return;
+
+        this._logger.info(`Switching shell stylesheet backend: ${this._activeBackend} → ${backend}`);
+        this._unload(this._replacedUserTheme ?? "");
+        this._load(backend);
+    }
+
+    /**
+     * Whether the user-theme extension is active and its settings schema is installed
+     * @returns {boolean} True if user-theme backend can be used
+     * @private
+     */
+    _isUserThemeAvailable() {
+        const extension = Main.extensionManager.lookup(Constants.SHELL_STYLESHEET.userThemeUuid);
+        return extension?.state === EXTENSION_ACTIVE && this._getUserThemeSettings() !== null;
+    }
+
+    /**
+     * user-theme extension settings (schema must be installed system-wide)
+     * @returns {Gio.Settings|null} Settings or null if schema not found
+     * @private
+     */
+    _getUserThemeSettings() {
+        if (!this._userThemeSettings) {
+            const schemaId = Constants.SHELL_STYLESHEET.userThemeSchema;
+            if (!Gio.SettingsSchemaSource.get_default().lookup(schemaId, true)) {
+                return null;
+            }
+            this._userThemeSettings = new Gio.Settings({ schema_id: schemaId });
+        }
+        return this._userThemeSettings;
+    }
+}
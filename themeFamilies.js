@@ -0,0 +1,104 @@
+/**
+ * themeFamilies.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * Theme family / color / Dark-Light variant resolution from theme names
+ */
+
+import { Constants } from "./constants.js";
+
+/* themeFamilies.js
+ *
+ * Theme families encode color and style in the directory name, in no fixed order:
+ * ZorinBlue-Dark, Orchis-Purple-Dark-Compact, Fluent-round-teal-Dark, Yaru-olive-dark.
+ * Each name is split into base, color, variant (dark/light) and modifier tokens; themes sharing
+ * base and modifiers are one family, so switching only swaps the color or variant token.
+ */
+
+export class ThemeFamilyResolver {
+    /**
+     * @param {Array} themeNames - Installed theme names (OverlayThemeManager.getAvailableThemes())
+     */
+    constructor(themeNames) {
+        this.themes = themeNames.map(name => ThemeFamilyResolver.parse(name));
+    }
+
+    /**
+     * Split theme name into family tokens (case-insensitive)
+     * A color glued to the base in CamelCase (ZorinBlue) is split off as well
+     * @param {string} themeName - Theme directory name
+     * @returns {Object} {name, base, color, variant, modifiers, familyKey}
+     *   color / variant are lowercase or null (family default), modifiers lowercase in name order
+     */
+    static parse(themeName) {
+        const { colors, variants } = Constants.THEME_FAMILIES;
+        const [first, ...rest] = themeName.split("-").filter(token => token.length > 0);
+
+        let base = first ?? themeName;
+        let color = null;
+        let variant = null;
+        const modifiers = [];
+
+        const glued = /^(.+?)([A-Z][a-z]+)$/.exec(base);
+        if (glued && colors.includes(glued[2].toLowerCase())) {
+            base = glued[1];
+            color = glued[2].toLowerCase();
+        }
+
+        for (const token of rest) {
+            const lower = token.toLowerCase();
+            if (!variant && variants.includes(lower)) {
+                variant = lower;
+            } else if (!color && colors.includes(lower)) {
+                color = lower;
+            } else {
+                modifiers.push(lower);
+            }
+        }
+
+        return {
+            name: themeName,
+            base,
+            color,
+            variant,
+            modifiers,
+            familyKey: [base.toLowerCase(), ...modifiers].join("-")
+        };
+    }
+
+    /**
+     * Find Dark/Light counterpart of a theme (same family, color and modifiers)
+     * Themes without variant token count as light (Adwaita / Adwaita-dark, Yaru / Yaru-dark)
+     * @param {string} themeName - Current theme name
+     * @param {boolean} preferDark - Whether dark variant is wanted
+     * @returns {string|null} themeName if it already matches, counterpart name, or null if not installed
+     */
+    findVariant(themeName, preferDark) {
+        const current = ThemeFamilyResolver.parse(themeName);
+        if ((current.variant === "dark") === preferDark) {
+            return themeName;
+        }
+
+        const target = preferDark ? "dark" : "light";
+        const candidates = this.themes.filter(
+            theme =>
+                theme.familyKey === current.familyKey &&
+                theme.color === current.color &&
+                (theme.variant === target || (!preferDark && theme.variant === null))
+        );
+
+        // Explicit -Light wins over an unsuffixed name
+        candidates.sort((a, b) => (b.variant === target) - (a.variant === target));
+        return candidates[0]?.name ?? null;
+    }
+
+    /**
+     * Installed color variants of a theme's family with the same Dark/Light variant and modifiers
+     * @param {string} themeName - Current theme name
+     * @returns {Array} Parsed themes (see parse), current theme included
+     */
+    getColorVariants(themeName) {
+        const current = ThemeFamilyResolver.parse(themeName);
+        return this.themes.filter(theme => theme.familyKey === current.familyKey && theme.variant === current.variant);
+    }
+}
@@ -53,21 +53,13 @@ export class ThemeUtils {
 
     /**
      * Create lighter/darker shade of color
+     * Works in OKLCH (see shadeOklch) so lightness steps are perceptually even and hue is kept
      * @param {Array} color - [r, g, b] array
      * @param {number} factor - Shade factor (positive = lighter, negative = darker)
      * @returns {Array} Shaded color [r, g, b]
      */
     static colorShade(color, factor) {
-        const [r, g, b] = color.map(c => parseInt(c));
-
-        if (factor > 0) {
-            // Lighten: mix with white
-            return [this.colorMix(r, 255, factor), this.colorMix(g, 255, factor), this.colorMix(b, 255, factor)];
-        } else {
-            // Darken: reduce intensity
-            const darkFactor = 1 + factor; // Convert to 0-1 range
-            return [Math.round(r * darkFactor), Math.round(g * darkFactor), Math.round(b * darkFactor)];
-        }
+        return this.shadeOklch(color, factor);
     }
 
     /**
@@ -321,8 +313,26 @@ export class ThemeUtils {
         return ratio >= minRatio;
     }
 
+    /**
+     * Validate color contrast meets APCA lightness contrast level
+     * @param {Array} fgColor - [r, g, b] foreground
+     * @param {Array} bgColor - [r, g, b] background
+     * @param {string} level - Key of Constants.MIN_APCA_CONTRAST (body, content, large, ui)
+     * @returns {boolean} True if |Lc| meets the level
+     */
+    static validateApcaContrast(fgColor, bgColor, level = "content") {
+        const minLc = Constants.MIN_APCA_CONTRAST[level] || Constants.MIN_APCA_CONTRAST.content;
+        return Math.abs(this.apcaContrast(fgColor, bgColor)) >= minLc;
+    }
+
     /**
      * Ensure minimum contrast by adjusting foreground
+     * Moves only OKLCH lightness (hue and chroma kept, gamut-mapped) and finds the
+     * smallest lightness change that meets the WCAG ratio via binary search
+     * @param {Array} fgColor - [r, g, b] foreground
+     * @param {Array} bgColor - [r, g, b] background
+     * @param {number} minRatio - Minimum WCAG contrast ratio (default AA)
+     * @returns {Array} Adjusted [r, g, b] foreground
      */
     static ensureContrast(fgColor, bgColor, minRatio = null) {
         // Use constant default if not provided
@@ -330,35 +340,42 @@ export class ThemeUtils {
             minRatio = Constants.MIN_CONTRAST_RATIO.AA;
         }
 
-        let adjustedFg = [...fgColor];
-        let ratio = this.contrastRatio(adjustedFg, bgColor);
-
-        if (ratio >= minRatio) return adjustedFg;
+        if (this.contrastRatio(fgColor, bgColor) >= minRatio) return [...fgColor];
 
         const isDarkBg = this.getBgDark(...bgColor);
-        const direction = isDarkBg ? 1 : -1; // Lighten on dark, darken on light
+        const [L, C, h] = this.rgbToOklch(fgColor);
+        const targetL = isDarkBg ? 1 : 0; // Lighten on dark, darken on light
 
-        for (
-            let adjustment = Constants.CONTRAST_ADJUSTMENT_STEP;
-            adjustment <= 1;
-            adjustment += Constants.CONTRAST_ADJUSTMENT_STEP
-        ) {
-            adjustedFg = this.colorShade(fgColor, direction * adjustment);
-            ratio = this.contrastRatio(adjustedFg, bgColor);
+        // Even full lightness travel (white/black) can't reach the ratio - high contrast fallback
+        if (this.contrastRatio(this.oklchToRgb(targetL, C, h), bgColor) < minRatio) {
+            return isDarkBg ? [255, 255, 255] : [0, 0, 0];
+        }
 
-            if (ratio >= minRatio) return adjustedFg;
+        // Binary search the travel fraction toward targetL (contrast grows monotonically with it)
+        let low = 0;
+        let high = 1;
+        while (high - low > Constants.CONTRAST_SEARCH_PRECISION) {
+            const mid = (low + high) / 2;
+            const candidate = this.oklchToRgb(L + (targetL - L) * mid, C, h);
+            if (this.contrastRatio(candidate, bgColor) >= minRatio) {
+                high = mid;
+            } else {
+                low = mid;
+            }
         }
 
-        // Fallback to high contrast
-        return isDarkBg ? [255, 255, 255] : [0, 0, 0];
+        return this.oklchToRgb(L + (targetL - L) * high, C, h);
     }
 
     /**
      * Generate complementary color
+     * Opposite OKLCH hue with the same lightness and chroma (RGB inversion would also flip lightness)
+     * @param {Array|string} color - [r, g, b] array or hex string
+     * @returns {Array} Complementary [r, g, b]
      */
     static getComplementaryColor(color) {
-        const [r, g, b] = Array.isArray(color) ? color : this.hexToRgb(color);
-        return [255 - r, 255 - g, 255 - b];
+        const rgb = Array.isArray(color) ? color : this.hexToRgb(color);
+        return this.rotateHueOklch(rgb, 180);
     }
 
     /**
@@ -488,6 +505,349 @@ export class ThemeUtils {
         return palette;
     }
 
+    // ===== PERCEPTUAL COLOR SCIENCE =====
+    // OKLab/OKLCH for perceptually even shading, CIELAB + CIEDE2000 for color difference,
+    // APCA for lightness contrast. OKLab reference: https://bottosson.github.io/posts/oklab/
+
+    /**
+     * Convert sRGB channel (0-255) to linear light (0-1)
+     * @param {number} c - Channel value (0-255)
+     * @returns {number} Linear value
+     * @private
+     */
+    static _srgbToLinear(c) {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Convert linear light (0-1) to sRGB channel (0-255), clamped and rounded
+     * @param {number} c - Linear value
+     * @returns {number} Channel value (0-255)
+     * @private
+     */
+    static _linearToSrgb(c) {
+        c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(255, Math.round(c * 255)));
+    }
+
+    /**
+     * Convert sRGB to OKLab (perceptually uniform color space)
+     * Euclidean distance in OKLab approximates perceived color difference,
+     * which makes it suitable for clustering wallpaper pixels
+     * @param {number|Array} r - Red (0-255) or [r,g,b] array
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {Array} [L, a, b] where L is 0-1, a and b roughly -0.4 to 0.4
+     */
+    static rgbToOklab(r, g, b) {
+        if (Array.isArray(r)) {
+            [r, g, b] = r;
+        }
+
+        const lr = this._srgbToLinear(r);
+        const lg = this._srgbToLinear(g);
+        const lb = this._srgbToLinear(b);
+
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        return [
+            0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+        ];
+    }
+
+    /**
+     * Convert OKLab to linear sRGB without clamping (used for gamut checks)
+     * @param {number} L - Lightness (0-1)
+     * @param {number} a - Green/red axis
+     * @param {number} b - Blue/yellow axis
+     * @returns {Array} [r, g, b] linear values (in gamut if all within 0-1)
+     * @private
+     */
+    static _oklabToLinearRgb(L, a, b) {
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s
+        ];
+    }
+
+    /**
+     * Convert OKLab back to sRGB
+     * Out-of-gamut values are clamped to the 0-255 range
+     * @param {number|Array} L - Lightness (0-1) or [L,a,b] array
+     * @param {number} a - Green/red axis
+     * @param {number} b - Blue/yellow axis
+     * @returns {Array} [r, g, b] where each is 0-255
+     */
+    static oklabToRgb(L, a, b) {
+        if (Array.isArray(L)) {
+            [L, a, b] = L;
+        }
+
+        return this._oklabToLinearRgb(L, a, b).map(c => this._linearToSrgb(c));
+    }
+
+    /**
+     * Convert sRGB to OKLCH (polar OKLab)
+     * @param {number|Array} r - Red (0-255) or [r,g,b] array
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {Array} [L, C, h] where L is 0-1, C is chroma (0 to ~0.37), h is hue 0-360
+     */
+    static rgbToOklch(r, g, b) {
+        const [L, A, B] = this.rgbToOklab(r, g, b);
+        const C = Math.hypot(A, B);
+        const h = C < 1e-6 ? 0 : ((Math.atan2(B, A) * 180) / Math.PI + 360) % 360;
+        return [L, C, h];
+    }
+
+    /**
+     * Convert OKLCH to sRGB with hue-preserving gamut mapping
+     * Out-of-gamut colors keep lightness and hue; only chroma is reduced (binary search)
+     * until the color fits sRGB, avoiding the hue shifts of per-channel clamping
+     * @param {number|Array} L - Lightness (0-1) or [L,C,h] array
+     * @param {number} C - Chroma
+     * @param {number} h - Hue (0-360)
+     * @returns {Array} [r, g, b] where each is 0-255
+     */
+    static oklchToRgb(L, C, h) {
+        if (Array.isArray(L)) {
+            [L, C, h] = L;
+        }
+
+        L = Math.max(0, Math.min(1, L));
+        const hueRad = (h * Math.PI) / 180;
+        const cosH = Math.cos(hueRad);
+        const sinH = Math.sin(hueRad);
+        const inGamut = chroma =>
+            this._oklabToLinearRgb(L, chroma * cosH, chroma * sinH).every(c => c >= -1e-4 && c <= 1 + 1e-4);
+
+        if (!inGamut(C)) {
+            let low = 0;
+            let high = C;
+            for (let i = 0; i < 16; i++) {
+                const mid = (low + high) / 2;
+                if (inGamut(mid)) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            C = low;
+        }
+
+        return this.oklabToRgb(L, C * cosH, C * sinH);
+    }
+
+    /**
+     * Convert sRGB to CIELAB (D65 white point)
+     * @param {number|Array} r - Red (0-255) or [r,g,b] array
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {Array} [L, a, b] where L is 0-100
+     */
+    static rgbToLab(r, g, b) {
+        if (Array.isArray(r)) {
+            [r, g, b] = r;
+        }
+
+        const lr = this._srgbToLinear(r);
+        const lg = this._srgbToLinear(g);
+        const lb = this._srgbToLinear(b);
+
+        // Linear sRGB → XYZ, normalized by D65 reference white
+        const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+        const y = 0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb;
+        const z = (0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb) / 1.08883;
+
+        const f = t => (t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116);
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * Convert CIELAB (D65) to sRGB
+     * @param {number|Array} L - Lightness (0-100) or [L,a,b] array
+     * @param {number} a - Green/red axis
+     * @param {number} b - Blue/yellow axis
+     * @returns {Array} [r, g, b] where each is 0-255 (clamped)
+     */
+    static labToRgb(L, a, b) {
+        if (Array.isArray(L)) {
+            [L, a, b] = L;
+        }
+
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const finv = t => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+        const x = finv(fx) * 0.95047;
+        const y = finv(fy);
+        const z = finv(fz) * 1.08883;
+
+        return [
+            3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+            -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+            0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+        ].map(c => this._linearToSrgb(c));
+    }
+
+    /**
+     * CIEDE2000 color difference
+     * ~1.0 is a just-noticeable difference, >10 reads as a different color
+     * @param {Array} color1 - [r, g, b] array
+     * @param {Array} color2 - [r, g, b] array
+     * @returns {number} Delta E 2000
+     */
+    static deltaE2000(color1, color2) {
+        const [L1, a1, b1] = this.rgbToLab(color1);
+        const [L2, a2, b2] = this.rgbToLab(color2);
+        const rad = deg => (deg * Math.PI) / 180;
+        const deg = r => (r * 180) / Math.PI;
+
+        const C1 = Math.hypot(a1, b1);
+        const C2 = Math.hypot(a2, b2);
+        const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+        const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+        const a1p = a1 * (1 + G);
+        const a2p = a2 * (1 + G);
+        const C1p = Math.hypot(a1p, b1);
+        const C2p = Math.hypot(a2p, b2);
+        const h1p = C1p === 0 ? 0 : (deg(Math.atan2(b1, a1p)) + 360) % 360;
+        const h2p = C2p === 0 ? 0 : (deg(Math.atan2(b2, a2p)) + 360) % 360;
+
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(rad(dhp / 2));
+
+        const Lbarp = (L1 + L2) / 2;
+        const Cbarp = (C1p + C2p) / 2;
+        let hbarp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) > 180) {
+                hbarp += h1p + h2p < 360 ? 360 : -360;
+            }
+            hbarp /= 2;
+        }
+
+        const T =
+            1 -
+            0.17 * Math.cos(rad(hbarp - 30)) +
+            0.24 * Math.cos(rad(2 * hbarp)) +
+            0.32 * Math.cos(rad(3 * hbarp + 6)) -
+            0.2 * Math.cos(rad(4 * hbarp - 63));
+        const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+        const Cbarp7 = Math.pow(Cbarp, 7);
+        const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+        const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+        const Sc = 1 + 0.045 * Cbarp;
+        const Sh = 1 + 0.015 * Cbarp * T;
+        const Rt = -Math.sin(rad(2 * dTheta)) * Rc;
+
+        return Math.sqrt(
+            Math.pow(dLp / Sl, 2) + Math.pow(dCp / Sc, 2) + Math.pow(dHp / Sh, 2) + Rt * (dCp / Sc) * (dHp / Sh)
+        );
+    }
+
+    /**
+     * APCA lightness contrast (APCA-W3 0.0.98G)
+     * Unlike WCAG contrastRatio() the result is polarity-aware and perceptually scaled:
+     * positive = dark text on light background, negative = light text on dark background
+     * Typical minimums (|Lc|): 75 body text, 60 content text, 45 large text, 30 UI/non-text
+     * @param {Array} textColor - [r, g, b] foreground
+     * @param {Array} bgColor - [r, g, b] background
+     * @returns {number} Lightness contrast Lc (roughly -108 to 106)
+     */
+    static apcaContrast(textColor, bgColor) {
+        const luminance = ([r, g, b]) => {
+            const y =
+                0.2126729 * Math.pow(r / 255, 2.4) +
+                0.7151522 * Math.pow(g / 255, 2.4) +
+                0.072175 * Math.pow(b / 255, 2.4);
+            // Soft clamp near black (flare compensation)
+            return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+        };
+
+        const yText = luminance(textColor);
+        const yBg = luminance(bgColor);
+
+        if (Math.abs(yBg - yText) < 0.0005) {
+            return 0;
+        }
+
+        let contrast;
+        if (yBg > yText) {
+            // Dark text on light background
+            const sapc = (Math.pow(yBg, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+            contrast = sapc < 0.1 ? 0 : sapc - 0.027;
+        } else {
+            // Light text on dark background
+            const sapc = (Math.pow(yBg, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+            contrast = sapc > -0.1 ? 0 : sapc + 0.027;
+        }
+
+        return contrast * 100;
+    }
+
+    /**
+     * Lighten or darken color in OKLCH, preserving hue
+     * Positive factor moves lightness toward white, negative scales it toward black.
+     * Chroma is kept and only reduced as far as needed to stay in sRGB gamut,
+     * so deep shadow shades of a saturated blue stay blue instead of drifting to grey-purple
+     * @param {Array} color - [r, g, b] array
+     * @param {number} factor - Shade factor (-1 to 1)
+     * @returns {Array} Shaded color [r, g, b]
+     */
+    static shadeOklch(color, factor) {
+        const [L, C, h] = this.rgbToOklch(color.map(c => parseInt(c)));
+        const newL = factor > 0 ? L + (1 - L) * factor : L * (1 + factor);
+        return this.oklchToRgb(newL, C, h);
+    }
+
+    /**
+     * Interpolate between two colors in OKLab (perceptually even crossfade)
+     * @param {Array} from - [r, g, b] at t = 0
+     * @param {Array} to - [r, g, b] at t = 1
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {Array} Mixed color [r, g, b]
+     */
+    static mixOklab(from, to, t) {
+        const a = this.rgbToOklab(from);
+        const b = this.rgbToOklab(to);
+        return this.oklabToRgb(a.map((v, i) => v + (b[i] - v) * t));
+    }
+
+    /**
+     * Rotate hue in OKLCH (lightness and chroma kept, gamut-mapped)
+     * @param {Array} color - [r, g, b] array
+     * @param {number} degrees - Hue rotation (negative = counter-clockwise)
+     * @returns {Array} Rotated color [r, g, b]
+     */
+    static rotateHueOklch(color, degrees) {
+        const [L, C, h] = this.rgbToOklch(color);
+        return this.oklchToRgb(L, C, (((h + degrees) % 360) + 360) % 360);
+    }
+
     // ===== THEME TINT DETECTION & NEUTRALIZATION =====
 
     /**
@@ -1016,4 +1376,22 @@ export class ThemeUtils {
 
         return { css, replacementCount, whitelistedBlocks: cssBlocks.filter(b => b.shouldPreserve).length };
     }
+
+    // ===== OVERLAY THEME NAMES =====
+
+    /**
+     * Whether a theme name is one of our overlays: the single overlay, a Light/Dark variant
+     * (dual-overlays) or the refresh alias of either
+     * @param {string} themeName - Theme directory / gtk-theme name
+     * @param {string} extensionName - Overlay base name
+     * @returns {boolean} True for overlay names (never listed as source themes)
+     */
+    static isOverlayThemeName(themeName, extensionName = "CSSGnomme") {
+        const { aliasSuffix } = Constants.OVERLAY_REFRESH;
+        const name = themeName.endsWith(aliasSuffix) ? themeName.slice(0, -aliasSuffix.length) : themeName;
+        return (
+            name === extensionName ||
+            Object.values(Constants.DUAL_OVERLAYS.variantSuffixes).some(suffix => name === extensionName + suffix)
+        );
+    }
 }
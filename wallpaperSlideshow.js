@@ -0,0 +1,191 @@
+/**
+ * wallpaperSlideshow.js
+ *
+ * CSS Gnommé Extension Module - GNOME 46+
+ * GNOME background XML (slideshow / time-of-day wallpaper) parsing
+ */
+
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+
+Gio._promisify(Gio.File.prototype, "load_contents_async", "load_contents_finish");
+
+/* wallpaperSlideshow.js
+ *
+ * Parses <background> XML files referenced by picture-uri and works out which
+ * image is on screen at a given time, following gnome-desktop's GnomeBGSlideShow rules:
+ * the <static>/<transition> sequence loops forever starting at <starttime>.
+ */
+
+export class WallpaperSlideshow {
+    /**
+     * @param {GLib.DateTime} startTime - Slideshow start (local time)
+     * @param {Array} slides - [{type: "static", duration, uri}] / [{type: "transition", duration, from, to}]
+     */
+    constructor(startTime, slides) {
+        this.startTime = startTime;
+        this.slides = slides;
+        this.totalDuration = slides.reduce((sum, slide) => sum + slide.duration, 0);
+    }
+
+    /**
+     * Check if picture-uri points to a background XML file
+     * @param {string} pictureUri - Wallpaper URI from org.gnome.desktop.background
+     * @returns {boolean} True for *.xml URIs
+     */
+    static isSlideshowUri(pictureUri) {
+        return typeof pictureUri === "string" && /\.xml$/i.test(pictureUri);
+    }
+
+    /**
+     * Parse background XML content
+     * Relative image paths are resolved against the XML file's directory
+     * @param {string} xml - XML file content
+     * @param {Gio.File} xmlFile - XML file (base for relative paths)
+     * @returns {WallpaperSlideshow} Parsed slideshow
+     * @throws {Error} If the document has no <background> element, an invalid <starttime> or no slides with
+     *   positive duration
+     */
+    static parse(xml, xmlFile) {
+        const background = /<background\b[^>]*>([\s\S]*)<\/background>/.exec(xml.replace(/<!--[\s\S]*?-->/g, ""));
+        if (!background) {
+            throw new Error("Not a GNOME background XML (missing <background>)");
+        }
+        const body = background[1];
+        const baseDir = xmlFile.get_parent();
+        const toUri = path => {
+            const file = GLib.path_is_absolute(path)
+                ? Gio.File.new_for_path(path)
+                : baseDir.resolve_relative_path(path);
+            return file.get_uri();
+        };
+
+        // <starttime> fields default to the Unix epoch when missing
+        const startBlock = WallpaperSlideshow._element(body, "starttime") ?? "";
+        const fields = [
+            ["year", 1970],
+            ["month", 1],
+            ["day", 1],
+            ["hour", 0],
+            ["minute", 0],
+            ["second", 0]
+        ].map(([name, fallback]) => Number(WallpaperSlideshow._element(startBlock, name) ?? fallback));
+        // new_local() returns null for out-of-range fields (month 13, day 32, ...)
+        const startTime = fields.every(Number.isInteger) ? GLib.DateTime.new_local(...fields) : null;
+        if (!startTime) {
+            throw new Error(`Invalid <starttime> in background XML (${fields.join(", ")})`);
+        }
+
+        const slides = [];
+        const slidePattern = /<(static|transition)\b[^>]*>([\s\S]*?)<\/\1>/g;
+        let match;
+        while ((match = slidePattern.exec(body)) !== null) {
+            const [, type, content] = match;
+            const duration = parseFloat(WallpaperSlideshow._element(content, "duration"));
+            if (!(duration > 0)) continue;
+
+            if (type === "static") {
+                const file = WallpaperSlideshow._imagePath(WallpaperSlideshow._element(content, "file"));
+                if (file) slides.push({ type, duration, uri: toUri(file) });
+            } else {
+                const from = WallpaperSlideshow._imagePath(WallpaperSlideshow._element(content, "from"));
+                const to = WallpaperSlideshow._imagePath(WallpaperSlideshow._element(content, "to"));
+                if (from && to) slides.push({ type, duration, from: toUri(from), to: toUri(to) });
+            }
+        }
+
+        if (slides.length === 0) {
+            throw new Error("Background XML contains no usable <static>/<transition> slides");
+        }
+
+        return new WallpaperSlideshow(startTime, slides);
+    }
+
+    /**
+     * Load and parse background XML file
+     * @param {string} pictureUri - URI of XML file
+     * @param {Gio.Cancellable} cancellable - Optional cancellable
+     * @returns {Promise<WallpaperSlideshow>} Parsed slideshow
+     */
+    static async load(pictureUri, cancellable = null) {
+        const xmlFile = Gio.File.new_for_uri(pictureUri);
+        const [contents] = await xmlFile.load_contents_async(cancellable);
+        return WallpaperSlideshow.parse(new TextDecoder().decode(contents), xmlFile);
+    }
+
+    /**
+     * Work out what the slideshow shows at the given time
+     * @param {GLib.DateTime} now - Current local time (defaults to now)
+     * @returns {Object} Frame:
+     *   {type: "static", uri, secondsRemaining} or
+     *   {type: "transition", from, to, progress (0-1), duration, secondsRemaining}
+     */
+    getFrame(now = GLib.DateTime.new_now_local()) {
+        // DateTime.difference() is in microseconds; loop position wraps (also before <starttime>)
+        const elapsed = now.difference(this.startTime) / 1000000;
+        let position = elapsed % this.totalDuration;
+        if (position < 0) position += this.totalDuration;
+
+        for (const slide of this.slides) {
+            if (position < slide.duration) {
+                const secondsRemaining = slide.duration - position;
+                if (slide.type === "static") {
+                    return { type: "static", uri: slide.uri, secondsRemaining };
+                }
+                return {
+                    type: "transition",
+                    from: slide.from,
+                    to: slide.to,
+                    progress: position / slide.duration,
+                    duration: slide.duration,
+                    secondsRemaining
+                };
+            }
+            position -= slide.duration;
+        }
+
+        // Floating point rounding at the very end of the loop - wrap to first slide
+        return this.getFrame(now.add_seconds(1));
+    }
+
+    /**
+     * Text content of first child element with given name
+     * @param {string} xml - XML fragment
+     * @param {string} name - Element name
+     * @returns {string|null} Trimmed inner content or null
+     * @private
+     */
+    static _element(xml, name) {
+        const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`).exec(xml);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Image path from <file>/<from>/<to> content
+     * Multi-resolution entries (<size width height>path</size>) resolve to the largest size
+     * @param {string|null} content - Element content
+     * @returns {string|null} Unescaped file path
+     * @private
+     */
+    static _imagePath(content) {
+        if (!content) return null;
+
+        const sizes = [...content.matchAll(/<size\b([^>]*)>([\s\S]*?)<\/size>/g)];
+        if (sizes.length > 0) {
+            const area = attrs => {
+                const w = parseInt(/width="(\d+)"/.exec(attrs)?.[1] ?? 0, 10);
+                const h = parseInt(/height="(\d+)"/.exec(attrs)?.[1] ?? 0, 10);
+                return w * h;
+            };
+            sizes.sort((a, b) => area(b[1]) - area(a[1]));
+            content = sizes[0][2].trim();
+        }
+
+        return content
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, "&");
+    }
+}